@@ -26,4 +26,9 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Node scripts at the repo root (CLI tools)
+    files: ['*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
@@ -1,44 +1,254 @@
-// scripts/fix-template.js
-const fs = require("fs");
-const PizZip = require("pizzip");
+// fix-template.js — template doctor: repair {{placeholders}} and check them against DB.xlsx
+import fs from "fs";
+import path from "path";
+import PizZip from "pizzip";
+import { xmlVisibleText } from "./src/lib/docx.js";
+import { readWorkbookBuffer } from "./src/lib/workbook.js";
+import { canon, getTagsAndClausesByTemplateName } from "./src/lib/evaluator.js";
+import { findTemplate } from "./src/lib/repository.js";
 
-function patchDocx(inputPath, outputPath) {
-  const buf = fs.readFileSync(inputPath);
-  const zip = new PizZip(buf);
+const USAGE = `Usage: node fix-template.js <input.docx> [output.docx] [options]
 
-  // Patch main document and all headers/footers
-  const targets = [
-    "word/document.xml",
-    ...["header1.xml","header2.xml","header3.xml","footer1.xml","footer2.xml","footer3.xml"]
-      .map(f => "word/" + f)
-      .filter(name => !!zip.files[name])
-  ];
+Repairs placeholders in every word/*.xml part (document, headers, footers, footnotes,
+endnotes, ...), lists them, and cross-checks them against the workbook.
+Writes the repaired template when output.docx is given.
 
-  for (const name of targets) {
-    let xml = zip.file(name).asText();
+Options:
+  --db <path>        workbook (default: public/DB.xlsx)
+  --template <name>  only expect this Document Table template's variables and clauses
+  --json             print the report as JSON
 
-    // 1) Remove any placeholder that accidentally wraps Word XML runs
-    //    e.g. {{</w:t>...}}  (this is what’s breaking your file)
-    xml = xml.replace(/\{\{\s*<\/w:t>[\s\S]*?\}\}/g, "");
+Exit codes: 0 clean, 2 unknown or never-placed names found, 1 error.`;
 
-    // 2) Remove totally empty placeholders like {{   }}
-    xml = xml.replace(/\{\{\s*\}\}/g, "");
+const PLACEHOLDER_RE = /\{\{\s*([^{}]+?)\s*\}\}/g;
 
-    // 3) Optional: collapse stray doubled braces like {{{{ -> {{
-    xml = xml.replace(/\{\{\s*\{\{/g, "{{").replace(/\}\}\s*\}\}/g, "}}");
+/** ---------- XML repair ---------- */
+const escapeXml = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
 
-    zip.file(name, xml);
+/**
+ * The <w:t> runs of each paragraph, walking the XML tag by tag. Text boxes
+ * (w:txbxContent) and content controls (w:sdtContent) nest whole paragraphs inside
+ * an outer one; a run belongs to the innermost paragraph around it.
+ * Returns [[{ start, end, open, text }]], one list per paragraph.
+ */
+function paragraphRuns(xml) {
+  const TAG_RE = /<w:p(?:\s[^>]*?)?(\/)?>|<\/w:p>|(<w:t(?:\s[^>]*)?>)[\s\S]*?<\/w:t>/g;
+  const open = [];
+  const out = [];
+  for (const m of xml.matchAll(TAG_RE)) {
+    if (m[2]) {
+      open.at(-1)?.push({ start: m.index, end: m.index + m[0].length, open: m[2], text: xmlVisibleText(m[0]) });
+    } else if (m[0] === "</w:p>") {
+      if (open.length) out.push(open.pop());
+    } else if (!m[1]) open.push([]);
   }
+  return out;
+}
+
+/**
+ * Word often splits "{{Name}}" across several <w:t> runs ("{{", "Na", "me}}").
+ * Within one paragraph, move every character of a placeholder into the run where
+ * it starts, so the placeholder survives as one piece of text.
+ * Returns { edits: [{ start, end, xml }], merged } — replacements for the changed runs.
+ */
+function mergeSplitPlaceholders(runs) {
+  if (runs.length < 2) return { edits: [], merged: 0 };
+
+  // owner[c] = index of the run character c of the paragraph text belongs to
+  const owner = runs.flatMap((r, i) => Array.from({ length: r.text.length }, () => i));
+  const text = runs.map((r) => r.text).join("");
+
+  let merged = 0;
+  for (const p of text.matchAll(PLACEHOLDER_RE)) {
+    const first = owner[p.index];
+    const last = owner[p.index + p[0].length - 1];
+    if (first === last) continue;
+    for (let c = p.index; c < p.index + p[0].length; c++) owner[c] = first;
+    merged++;
+  }
+  if (!merged) return { edits: [], merged };
+
+  const texts = runs.map(() => "");
+  for (let c = 0; c < text.length; c++) texts[owner[c]] += text[c];
+
+  const edits = runs.map((r, i) => {
+    const open = /xml:space=/.test(r.open) ? r.open : r.open.replace(/>$/, ' xml:space="preserve">');
+    return { start: r.start, end: r.end, xml: open + escapeXml(texts[i]) + "</w:t>" };
+  });
+  return { edits, merged };
+}
+
+/** Repair one XML part; returns { xml, merged, removedEmpty } */
+function repairPart(xml) {
+  let merged = 0;
+  const edits = [];
+  for (const runs of paragraphRuns(xml)) {
+    const r = mergeSplitPlaceholders(runs);
+    merged += r.merged;
+    edits.push(...r.edits);
+  }
+  // apply from the end so earlier offsets stay valid
+  for (const e of edits.sort((a, b) => b.start - a.start)) xml = xml.slice(0, e.start) + e.xml + xml.slice(e.end);
+
+  // Remove totally empty placeholders like {{   }}
+  const before = xml.length;
+  xml = xml.replace(/\{\{\s*\}\}/g, "");
+  const removedEmpty = before !== xml.length;
+
+  // Collapse stray doubled braces like {{{{ -> {{
+  xml = xml.replace(/\{\{\s*\{\{/g, "{{").replace(/\}\}\s*\}\}/g, "}}");
+
+  return { xml, merged, removedEmpty };
+}
+
+/** ---------- workbook cross-check ---------- */
+
+/**
+ * Names a placeholder may use, and the variables / clauses expected in the template.
+ * Variables answer to Name or Object_Name; clauses to their Provision_or_Clause name,
+ * full name or number, or to a "Clause" variable that lists them.
+ */
+function expectedNames(db, templateName) {
+  const clauseNames = (c) =>
+    [c.Provision_or_Clause_Name, c.Provision_or_Clause_Full_Name, c.Provision_or_Clause_Number].map(canon).filter(Boolean);
+
+  let wantedVars = null;
+  let wantedClauses = null;
+  if (templateName) {
+    const template = findTemplate(db, templateName);
+    if (!template) throw new Error(`Template "${templateName}" not found in the Document Table.`);
+    wantedVars = new Set(template.Variable_Array.map(canon));
+    wantedClauses = new Set(getTagsAndClausesByTemplateName(db, templateName).clausesArray);
+  }
+
+  const variables = db.variables
+    .filter((v) => !wantedVars || wantedVars.has(canon(v.Object_Name)))
+    .map((v) => ({
+      id: v.Variable_ID,
+      label: v.Object_Name || v.Name,
+      names: [v.Name, v.Object_Name].map(canon).filter(Boolean),
+      isClause: canon(v.Variable_Type) === "clause",
+      clauses: v.Associated_Clause_Array,
+    }));
+
+  const clauses = db.clauses
+    .filter((c) => !wantedClauses || wantedClauses.has(c.PC_ID))
+    .map((c) => ({ id: c.PC_ID, label: c.Provision_or_Clause_Name, names: clauseNames(c) }));
+
+  // every name in the workbook is "known", even outside the chosen template
+  const known = new Set([...db.variableByName.keys(), ...db.clauses.flatMap(clauseNames)]);
 
-  const outBuf = zip.generate({ type: "nodebuffer" });
-  fs.writeFileSync(outputPath, outBuf);
-  console.log(`Patched template written to: ${outputPath}`);
+  return { variables, clauses, known };
 }
 
-// Usage: node scripts/fix-template.js public/ProgramTemplate.docx public/template_patched.docx
-const [,, inPath, outPath] = process.argv;
-if (!inPath || !outPath) {
-  console.error("Usage: node scripts/fix-template.js <input.docx> <output.docx>");
+function crossCheck(tokens, db, templateName) {
+  const { variables, clauses, known } = expectedNames(db, templateName);
+  const placed = new Set(tokens.map(canon));
+
+  const placedVars = variables.filter((v) => v.names.some((n) => placed.has(n)));
+  const placedViaVariable = new Set(placedVars.filter((v) => v.isClause).flatMap((v) => v.clauses));
+
+  return {
+    unknownTokens: tokens.filter((t) => !known.has(canon(t))),
+    unplacedVariables: variables
+      .filter((v) => !placedVars.includes(v))
+      .map((v) => ({ id: v.id, name: v.label })),
+    unplacedClauses: clauses
+      .filter((c) => !placedViaVariable.has(c.id) && !c.names.some((n) => placed.has(n)))
+      .map((c) => ({ pc: c.id, name: c.label })),
+  };
+}
+
+/** ---------- main ---------- */
+function parseArgs(argv) {
+  const opts = { db: path.join("public", "DB.xlsx"), files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--json") opts.json = true;
+    else if (a === "--help") opts.help = true;
+    else if (a === "--db" || a === "--template") {
+      if (argv[i + 1] == null) throw new Error(`${a} needs a value`);
+      opts[a.slice(2)] = argv[++i];
+    } else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else opts.files.push(a);
+  }
+  return opts;
+}
+
+function doctor(opts) {
+  const [inPath, outPath] = opts.files;
+  const zip = new PizZip(fs.readFileSync(inPath));
+
+  const parts = Object.keys(zip.files).filter((n) => /^word\/[^/]+\.xml$/.test(n)).sort();
+  const placeholders = new Map(); // token -> [part names]
+  const repairs = [];
+
+  for (const name of parts) {
+    const { xml, merged, removedEmpty } = repairPart(zip.file(name).asText());
+    if (merged || removedEmpty) {
+      repairs.push({ part: name, mergedPlaceholders: merged, removedEmpty });
+      zip.file(name, xml);
+    }
+    for (const m of xmlVisibleText(xml).matchAll(PLACEHOLDER_RE)) {
+      const tok = m[1].trim();
+      if (!placeholders.has(tok)) placeholders.set(tok, []);
+      if (!placeholders.get(tok).includes(name)) placeholders.get(tok).push(name);
+    }
+  }
+
+  if (outPath) fs.writeFileSync(outPath, zip.generate({ type: "nodebuffer" }));
+
+  const db = readWorkbookBuffer(fs.readFileSync(opts.db));
+  const tokens = [...placeholders.keys()];
+  return {
+    input: inPath,
+    output: outPath || null,
+    template: opts.template || null,
+    parts,
+    repairs,
+    placeholders: tokens.map((t) => ({ token: t, parts: placeholders.get(t) })),
+    ...crossCheck(tokens, db, opts.template),
+  };
+}
+
+function printReport(r) {
+  console.log(`Scanned ${r.parts.length} parts of ${r.input}: ${r.parts.join(", ")}`);
+  for (const fix of r.repairs) {
+    console.log(`  repaired ${fix.part}: ${fix.mergedPlaceholders} split placeholder(s)${fix.removedEmpty ? ", removed empty {{ }}" : ""}`);
+  }
+  if (r.output) console.log(`Repaired template written to: ${r.output}`);
+
+  console.log(`\nPlaceholders (${r.placeholders.length}):`);
+  for (const p of r.placeholders) console.log(`  {{${p.token}}}  [${p.parts.join(", ")}]`);
+
+  const scope = r.template ? `template "${r.template}"` : "whole workbook";
+  const section = (title, list, fmt) => {
+    console.log(`\n${title} (${list.length}):`);
+    if (!list.length) console.log("  none");
+    for (const x of list) console.log(`  ${fmt(x)}`);
+  };
+  section("Unknown tokens — no Variable or Clause with this name", r.unknownTokens, (t) => `{{${t}}}`);
+  section(`Variables never placed (${scope})`, r.unplacedVariables, (v) => `${v.id}  ${v.name}`);
+  section(`Clauses never placed (${scope})`, r.unplacedClauses, (c) => `${c.pc}  ${c.name}`);
+}
+
+try {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || !opts.files.length || opts.files.length > 2) {
+    if (opts.help) {
+      console.log(USAGE);
+      process.exit(0);
+    }
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const report = doctor(opts);
+  if (opts.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+
+  const problems = report.unknownTokens.length + report.unplacedVariables.length + report.unplacedClauses.length;
+  process.exit(problems ? 2 : 0);
+} catch (e) {
+  console.error(`Error: ${e?.message || e}`);
   process.exit(1);
 }
-patchDocx(inPath, outPath);
@@ -0,0 +1,271 @@
+// generate-docs.js — batch document generator (same evaluator + renderer as the app)
+import fs from "fs";
+import path from "path";
+import Papa from "papaparse";
+import { readWorkbookBuffer, readOverlayBuffer, applyOverlays } from "./src/lib/workbook.js";
+import { canon, filterAndSortVariables } from "./src/lib/evaluator.js";
+import { invalidFields } from "./src/lib/fields.js";
+import { findTemplate } from "./src/lib/repository.js";
+import { renderDocument } from "./src/lib/docx.js";
+import {
+  resolveTemplateUrl,
+  makeFileName,
+  withDefaultAnswers,
+  resolveDocument,
+  buildDocumentContext,
+} from "./src/lib/generator.js";
+import { SESSION_FORMAT, parseSession } from "./src/lib/session.js";
+
+const USAGE = `Usage: node generate-docs.js --template "<name>" --answers <file.json|file.csv> [options]
+
+Options:
+  --db <path>        workbook (default: public/DB.xlsx)
+  --overlay <path>   overlay workbook applied on top of --db (repeat for several, in order)
+  --template <name>  Document Table name (rows/documents may override it)
+  --answers <path>   JSON or CSV, one document per row / array entry
+  --out <dir>        output folder (default: out)
+  --docx <path>      use this .docx instead of the template's Doc_URL
+
+JSON: one document or an array of { name?, template?, tagAnswers, variableAnswers }
+      ("tags" / "variables" also accepted; exported session files work as-is).
+      Tags the document leaves out start from the template's Default_Answers.
+CSV:  one row per document. Columns: name, template, T<Tag_ID>, V<Variable_ID>,
+      or a variable's Name / Object_Name.
+      Documents with an answer that fails its Entry_Type / Entry_Category check
+      (bad email, out-of-range amount, required variable left blank, ...) are not
+      written; summary.json lists them under invalidFields.
+
+Exit codes: 0 all documents resolved, 2 some documents still have pending questions,
+1 error (unknown or empty template, invalid fields, ...).`;
+
+const OPTIONS = ["db", "overlay", "template", "answers", "out", "docx"];
+const PUBLIC_DIR = "public";
+const FALLBACK_TEMPLATE = path.join(PUBLIC_DIR, "template_complex.docx");
+
+/** ---------- args ---------- */
+function parseArgs(argv) {
+  const opts = { db: path.join(PUBLIC_DIR, "DB.xlsx"), out: "out", overlay: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z]+)$/.exec(argv[i]);
+    if (!m) throw new Error(`Unexpected argument "${argv[i]}"`);
+    if (m[1] === "help") return { help: true };
+    if (!OPTIONS.includes(m[1])) throw new Error(`Unknown option --${m[1]}`);
+    if (argv[i + 1] == null) throw new Error(`--${m[1]} needs a value`);
+    if (m[1] === "overlay") opts.overlay.push(argv[++i]);
+    else opts[m[1]] = argv[++i];
+  }
+  return opts;
+}
+
+/** ---------- answers ---------- */
+
+/** { "12": "Yes", "Contracting Officer Full Name": "..." } -> keyed by Variable_ID */
+function normalizeVariables(obj, db) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj || {})) {
+    if (v == null || v === "") continue;
+    const id = /^V?\d+$/i.test(k.trim()) ? k.trim().replace(/^v/i, "") : db.variableByName.get(canon(k))?.Variable_ID;
+    if (id == null) console.warn(`[generate] Unknown variable "${k}" — ignored.`);
+    else out[id] = String(v);
+  }
+  return out;
+}
+
+function normalizeTags(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj || {})) {
+    if (v == null || v === "") continue;
+    const id = k.trim().replace(/^t/i, "");
+    if (!/^\d+$/.test(id)) console.warn(`[generate] Tag key "${k}" is not a Tag_ID — ignored.`);
+    else out[id] = String(v);
+  }
+  return out;
+}
+
+function readJsonDocuments(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.documents) ? data.documents : [data];
+  return list.map((d, i) => {
+    if (d?.format === SESSION_FORMAT) {
+      const s = parseSession(d);
+      return { name: d.name || "", template: s.templateName, tags: s.tagAnswers, variables: s.variableAnswers };
+    }
+    if (d == null || typeof d !== "object") throw new Error(`Answers entry ${i + 1} is not an object.`);
+    return {
+      name: d.name || "",
+      template: d.template || d.templateName || "",
+      tags: d.tagAnswers || d.tags || {},
+      variables: d.variableAnswers || d.variables || {},
+    };
+  });
+}
+
+function readCsvDocuments(text) {
+  const { data, errors } = Papa.parse(text, { header: true, skipEmptyLines: true, transformHeader: (h) => h.trim() });
+  if (errors.length) throw new Error(`CSV row ${errors[0].row + 2}: ${errors[0].message}`);
+  return data.map((row) => {
+    const doc = { name: "", template: "", tags: {}, variables: {} };
+    for (const [key, value] of Object.entries(row)) {
+      const k = canon(key);
+      if (k === "name" || k === "document") doc.name = value;
+      else if (k === "template" || k === "template name") doc.template = value;
+      else if (/^t\d+$/.test(k) || /^tag:\s*\d+$/.test(k)) doc.tags[k.replace(/^tag:\s*|^t/, "")] = value;
+      else if (/^var:\s*\d+$/.test(k)) doc.variables[k.replace(/^var:\s*/, "")] = value;
+      else doc.variables[key] = value;
+    }
+    return doc;
+  });
+}
+
+/** ---------- templates ---------- */
+const templateCache = new Map();
+
+/** Template .docx bytes for a template: --docx, then Doc_URL, then the bundled fallback */
+async function loadTemplate(template, override) {
+  const key = override || template?.Doc_URL || "";
+  if (templateCache.has(key)) return templateCache.get(key);
+
+  let result = null;
+  const url = resolveTemplateUrl(template?.Doc_URL);
+  if (override) {
+    result = { buffer: fs.readFileSync(override), source: override };
+  } else if (/^https?:\/\//i.test(url)) {
+    try {
+      const res = await fetch(url, { signal: AbortSignal.timeout(20000) });
+      if (res.ok) result = { buffer: Buffer.from(await res.arrayBuffer()), source: url };
+      else console.warn(`[generate] HTTP ${res.status} fetching ${url} — using fallback template.`);
+    } catch (e) {
+      console.warn(`[generate] Could not fetch ${url} (${e?.message || e}) — using fallback template.`);
+    }
+  } else if (url && fs.existsSync(path.join(PUBLIC_DIR, url))) {
+    result = { buffer: fs.readFileSync(path.join(PUBLIC_DIR, url)), source: path.join(PUBLIC_DIR, url) };
+  }
+  if (!result) result = { buffer: fs.readFileSync(FALLBACK_TEMPLATE), source: FALLBACK_TEMPLATE };
+
+  templateCache.set(key, result);
+  return result;
+}
+
+/** ---------- main ---------- */
+const safeName = (s) => String(s).replace(/[\\/:*?"<>|]+/g, "_").trim();
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!opts.answers) throw new Error("--answers is required.");
+
+  const { db, summary: overlaySummary } = applyOverlays(
+    readWorkbookBuffer(fs.readFileSync(opts.db)),
+    path.basename(opts.db),
+    opts.overlay.map((p) => ({ name: path.basename(p), records: readOverlayBuffer(fs.readFileSync(p)) }))
+  );
+  for (const o of overlaySummary) {
+    console.log(`Overlay ${o.source}: ${o.replaced} replaced, ${o.added} added, ${o.removed} removed`);
+    if (o.notFound.length) console.warn(`[generate] ${o.source}: nothing to remove for ${o.notFound.join(", ")}`);
+  }
+
+  const answersText = fs.readFileSync(opts.answers, "utf8");
+  const documents = /\.csv$/i.test(opts.answers) ? readCsvDocuments(answersText) : readJsonDocuments(answersText);
+  if (!documents.length) throw new Error(`No documents in ${opts.answers}.`);
+
+  fs.mkdirSync(opts.out, { recursive: true });
+  const summary = [];
+  const usedNames = new Set();
+
+  for (const [i, doc] of documents.entries()) {
+    const templateName = String(doc.template || opts.template || "").trim();
+    const label = doc.name || `Document ${i + 1}`;
+    const template = templateName ? findTemplate(db, templateName) : null;
+    if (!template) {
+      console.error(`✗ ${label}: ${templateName ? `unknown template "${templateName}"` : "no template (use --template)"}`);
+      summary.push({ document: label, template: templateName, status: "error", error: "unknown template" });
+      continue;
+    }
+
+    // the template's Default_Answers apply unless the document answers that tag (or its group)
+    const tagAnswers = withDefaultAnswers(db, template.Name, normalizeTags(doc.tags));
+    const variableAnswers = normalizeVariables(doc.variables, db);
+    const r = resolveDocument(db, template.Name, tagAnswers);
+    if (r.status === "empty-template") {
+      console.error(`✗ ${label}: template "${template.Name}" has no clauses or tags`);
+      summary.push({ document: label, template: template.Name, status: "error", error: "empty template" });
+      continue;
+    }
+
+    // same rule as the Generate button: no document while an answer fails its field check
+    const issues = invalidFields({
+      tags: r.tags,
+      variables: filterAndSortVariables(db, template.Name, r.clauseEval),
+      answeredTags: tagAnswers,
+      answeredVariables: variableAnswers,
+      entryOptions: db.entryOptions,
+    });
+    if (issues.length) {
+      console.error(`✗ ${label}: ${issues.length} invalid field(s)`);
+      for (const f of issues) console.error(`    ${f.kind} ${f.id} (${f.label}): ${f.error}`);
+      summary.push({
+        document: label,
+        template: template.Name,
+        status: "error",
+        error: "invalid fields",
+        invalidFields: issues,
+      });
+      continue;
+    }
+
+    const { buffer, source } = await loadTemplate(template, opts.docx);
+    const { context, unmatched, includedIds } = buildDocumentContext(
+      buffer,
+      db,
+      template.Name,
+      r.clauseEval,
+      variableAnswers,
+      tagAnswers
+    );
+
+    let fileName = doc.name ? `${safeName(doc.name)}.docx` : makeFileName(template);
+    if (usedNames.has(fileName)) fileName = fileName.replace(/\.docx$/, ` (${i + 1}).docx`);
+    usedNames.add(fileName);
+    fs.writeFileSync(path.join(opts.out, fileName), renderDocument(buffer, context, "nodebuffer"));
+
+    const entry = {
+      document: label,
+      template: template.Name,
+      file: fileName,
+      templateSource: source,
+      status: r.status,
+      includedClauses: includedIds.map((pc) => ({ pc, name: db.clauseById.get(pc)?.Provision_or_Clause_Full_Name || "" })),
+      unresolvedTags: r.nextQuestions.map((q) => ({ tagId: q.Tag_ID, question: q.Question || "" })),
+      unmatchedPlaceholders: unmatched,
+      expressionErrors: r.exprErrors,
+    };
+    summary.push(entry);
+
+    const mark = r.status === "done" ? "✓" : "…";
+    console.log(`${mark} ${label} -> ${path.join(opts.out, fileName)} (${r.status})`);
+    console.log(`    included clauses: ${includedIds.length ? includedIds.join(", ") : "none"}`);
+    if (entry.unresolvedTags.length) {
+      console.log(`    unresolved tags: ${entry.unresolvedTags.map((t) => t.tagId).join(", ")}`);
+    }
+    if (unmatched.length) console.log(`    unmatched placeholders: ${unmatched.length}`);
+  }
+
+  fs.writeFileSync(path.join(opts.out, "summary.json"), JSON.stringify(summary, null, 2));
+  const pending = summary.filter((s) => s.status === "ask").length;
+  const failed = summary.filter((s) => s.status === "error").length;
+  console.log(`\n${summary.length} document(s): ${pending} pending, ${failed} failed. Summary: ${path.join(opts.out, "summary.json")}`);
+
+  if (failed) return 1;
+  return pending ? 2 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(`Error: ${e?.message || e}\n\n${USAGE}`);
+    process.exit(1);
+  }
+);
@@ -1,41 +1,61 @@
-import React, { useCallback, useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { useDatabase } from "./modules/useDatabase";
 import { useAi } from "./modules/useAi";
 import Question from "./components/Question";
-import VariableField from "./components/VariableField";
+import VariablesPanel from "./components/VariablesPanel";
+import SessionPanel from "./components/SessionPanel";
+import WorkbookHealth from "./components/WorkbookHealth";
+import DatabaseSource from "./components/DatabaseSource";
+import AnswerHistory from "./components/AnswerHistory";
+import BuildWizard from "./components/BuildWizard";
+import ReviewPage from "./components/ReviewPage";
+import ClauseExplainer from "./components/ClauseExplainer";
+import ImproveWording from "./components/ImproveWording";
+import InferFromText from "./components/InferFromText";
 
 import {
-  getTagsAndClausesByTemplateName,
-  evaluateTagsBuildMode,
-  evaluateClauses,
-  returnNextTagQuestions,
-  filterTableByIds,
-  shapeTagsInfo,
-  dedupeByTagId,
+  canon,
+  filterAndSortVariables,
+  questionsForTags,
+  resolveExclusiveGroups,
+  sectionQuestions,
+  tagSection,
 } from "./lib/evaluator";
+import { findTemplate } from "./lib/repository";
+import { computeVariables } from "./lib/formulas";
+import { invalidFields, splitMulti, MULTI_SEPARATOR } from "./lib/fields";
+import { startHistory, recordAnswers, undoAnswers, redoAnswers, statusChanges } from "./lib/history";
+import { renderAndDownload } from "./lib/docx";
+import { downloadDatabaseJson } from "./lib/workbook";
+import {
+  fetchTemplateBuffer,
+  makeFileName,
+  withDefaultAnswers,
+  resolveDocument,
+  buildDocumentContext,
+} from "./lib/generator";
+import {
+  makeSession,
+  parseSession,
+  checkSession,
+  downloadSession,
+  saveAutosave,
+  loadAutosave,
+  clearAutosave,
+} from "./lib/session";
+import { validateWorkbook } from "./lib/validator";
+import { explainClauses } from "./lib/explain";
+
+/** AI answers accepted but not yet confirmed: { tags|variables: { [id]: { answer, confidence?, evidence? } } } */
+const NO_AI_MARKS = { tags: {}, variables: {} };
+const markedAnswers = (marks) => ({
+  tags: Object.fromEntries(Object.entries(marks.tags).map(([id, m]) => [id, m.answer])),
+  variables: Object.fromEntries(Object.entries(marks.variables).map(([id, m]) => [id, m.answer])),
+});
 
 /** Toggle: show questions even if Entry_Type is "No Display" */
 const COERCE_NO_DISPLAY = true;
 
-const SPLIT_RE = /[,|;]+/;
-const asList = (cell) =>
-  (cell == null ? [] : String(cell).split(SPLIT_RE).map((s) => s.trim()).filter(Boolean));
-
-/** Build map: entryCategory(lowercased) -> options[] from EntryCategory Table */
-function buildEntryOptionsMap(entryCategoriesTable) {
-  if (!entryCategoriesTable?.length) return new Map();
-  const head = entryCategoriesTable[0]?.map((h) => String(h || "").trim().toLowerCase()) || [];
-  const iCat = head.findIndex((h) => ["category", "entry category", "name"].includes(h));
-  const iOpts = head.findIndex((h) => ["options", "answers", "values", "option list"].includes(h));
-  const map = new Map();
-  for (const r of entryCategoriesTable.slice(1)) {
-    const k = String(r[iCat] ?? "").trim().toLowerCase();
-    const opts = asList(r[iOpts]);
-    if (k) map.set(k, opts);
-  }
-  return map;
-}
-
 /** If a tag is No Display, make it renderable for UI (best-effort) */
 function coerceForUI(tag, entryOptionsMap) {
   const t = { ...tag };
@@ -58,164 +78,467 @@ function coerceForUI(tag, entryOptionsMap) {
 }
 
 export default function App() {
-  const { loading, error, tables, templates } = useDatabase();
+  const {
+    loading,
+    error,
+    db,
+    templates,
+    entryOptionsMap,
+    fingerprint,
+    source,
+    overlays,
+    loadFiles,
+    loadDefault,
+    addOverlays,
+    removeOverlay,
+  } = useDatabase();
   const ai = useAi();
 
   const [selectedTemplate, setSelectedTemplate] = useState("");
   const [mode, setMode] = useState("build");
-  const [answeredTags, setAnsweredTags] = useState({});
+  // tag answers live in the history (order answered, undo / redo); see lib/history.js
+  const [history, setHistory] = useState(() => startHistory());
+  const answeredTags = history.answers;
+  const [lastChange, setLastChange] = useState(null);
   const [answeredVariables, setAnsweredVariables] = useState({});
+  const [aiMarks, setAiMarks] = useState(NO_AI_MARKS);
+  const [wording, setWording] = useState({}); // Tag_ID -> { question, helper } from "Improve wording"
+  /** The mark on a tag / variable, while its answer is still the one the AI suggested */
+  const aiMarkOf = useCallback(
+    (kind, id, current) => {
+      const m = aiMarks[kind][String(id)];
+      return m && canon(m.answer) === canon(current) ? m : null;
+    },
+    [aiMarks]
+  );
+  const clearAiMarks = useCallback((kind, ids) => {
+    setAiMarks((marks) => {
+      if (!ids.some((id) => marks[kind][String(id)])) return marks;
+      const next = { ...marks[kind] };
+      for (const id of ids) delete next[String(id)];
+      return { ...marks, [kind]: next };
+    });
+  }, []);
 
   const [resolverDebug, setResolverDebug] = useState([]);
+  const [exprErrors, setExprErrors] = useState([]);
+  const [exclusiveConflicts, setExclusiveConflicts] = useState([]);
   const [status, setStatus] = useState("idle");
   const [ratioCompleted, setRatioCompleted] = useState(0);
 
   const [nextQuestions, setNextQuestions] = useState([]);
-  const [filteredTagsTable, setFilteredTagsTable] = useState([]);
-  const [filteredClausesTable, setFilteredClausesTable] = useState([]);
+  const [templateTags, setTemplateTags] = useState([]);
+  const [templateClauses, setTemplateClauses] = useState([]);
   const [clausesArray, setClausesArray] = useState([]);
   const [tagsArray, setTagsArray] = useState([]);
+  const [clauseEval, setClauseEval] = useState({});
+  const [assignedTags, setAssignedTags] = useState({});
+  const [showExplainer, setShowExplainer] = useState(false);
+  const [fewestFirst, setFewestFirst] = useState(false);
+  const [buildView, setBuildView] = useState("wizard"); // "wizard" | "single"
+  const [wizardPage, setWizardPage] = useState(""); // canon(category), or "review"
+  const explainerRef = useRef(null);
 
-  const [entryOptionsMap, setEntryOptionsMap] = useState(new Map());
+  const [sessionStartedAt, setSessionStartedAt] = useState("");
+  const [sessionNotice, setSessionNotice] = useState(null);
+  const [autosaveReady, setAutosaveReady] = useState(false);
 
-  useEffect(() => {
-    if (!loading) {
-      setEntryOptionsMap(buildEntryOptionsMap(tables?.entryCategoriesTable));
-    }
-  }, [loading, tables]);
+  const [generating, setGenerating] = useState(false);
+  const [generateResult, setGenerateResult] = useState(null);
 
   const recompute = useCallback(
     (templateName, answers) => {
-      if (!tables || !templateName) return;
+      if (!db || !templateName) return;
 
-      const { tagsArray, clausesArray, debug } = getTagsAndClausesByTemplateName(
-        {
-          templatesTable: tables.templatesTable,
-          variablesTable: tables.variablesTable,
-          clausesTable: tables.clausesTable,
-        },
-        templateName
-      );
+      const r = resolveDocument(db, templateName, answers);
+      const { tagsArray, clausesArray, status, nextQuestions } = r;
 
-      setResolverDebug(debug || []);
+      setResolverDebug(r.debug);
       setTagsArray(tagsArray);
       setClausesArray(clausesArray);
-
-      if (!clausesArray?.length) {
-        setFilteredTagsTable([]);
-        setFilteredClausesTable([]);
-        setNextQuestions([]);
-        setRatioCompleted(0);
-        setStatus("empty-template");
-        console.info("[recompute] empty template for", templateName);
-        return;
-      }
-
-      const _filteredTags = filterTableByIds(tables.tagsTable, tagsArray);
-      const _filteredClauses = filterTableByIds(tables.clausesTable, clausesArray);
-
-      setFilteredTagsTable(_filteredTags);
-      setFilteredClausesTable(_filteredClauses);
-
-      // Shape & de-dup tags for UI
-      const tagsInfoRaw = shapeTagsInfo(_filteredTags);
-      const tagsInfo = dedupeByTagId(tagsInfoRaw);
-
-      // Build-mode assignment
-      const assigned = evaluateTagsBuildMode(answers, _filteredTags);
-
-      // Clause evaluation
-      const clauseEval = evaluateClauses(assigned, _filteredClauses);
-
-      // Next questions
-      const { status, nextQuestions, ratioCompletedTags } = returnNextTagQuestions(
-        clauseEval,
-        _filteredClauses,
-        clausesArray,
-        assigned,
-        tagsArray,
-        tagsInfo
-      );
-
+      setTemplateTags(r.tags);
+      setTemplateClauses(r.clauses);
+      setExprErrors(r.exprErrors);
+      setAssignedTags(r.assignedTags);
+      setExclusiveConflicts(r.exclusiveConflicts);
+      setClauseEval(r.clauseEval);
       setNextQuestions(nextQuestions);
-      setRatioCompleted(ratioCompletedTags);
+      setRatioCompleted(r.ratioCompletedTags);
       setStatus(status);
 
-      console.info("[recompute]", {
-        templateName,
-        clauses: clausesArray.length,
-        tags: tagsArray.length,
-        status,
-        nextCount: nextQuestions.length,
-      });
+      if (status === "empty-template") return r;
+
       // Helpful window hooks for quick inspection
       window.__dbgNext = nextQuestions;
-      window.__dbgFilteredTags = _filteredTags;
-      window.__dbgFilteredClauses = _filteredClauses;
+      window.__dbgTags = r.tags;
+      window.__dbgClauses = r.clauses;
+      return r;
     },
-    [tables]
+    [db]
   );
 
-  const handleTemplateChange = useCallback(
-    (e) => {
-      const name = e?.target?.value || "";
+  /** Start a fresh questionnaire for `name`, seeded with its Default_Answers (or clear everything when blank) */
+  const startTemplate = useCallback(
+    (name) => {
+      const defaults = name ? withDefaultAnswers(db, name) : {};
       setSelectedTemplate(name);
-      setAnsweredTags({});
+      setHistory(startHistory(defaults));
+      setLastChange(null);
+      setWizardPage("");
+      setAiMarks(NO_AI_MARKS);
+      setWording({});
       setAnsweredVariables({});
+      setGenerateResult(null);
+      setSessionStartedAt(new Date().toISOString());
       if (name) {
-        recompute(name, {});
+        recompute(name, defaults);
       } else {
         setStatus("idle");
         setNextQuestions([]);
         setRatioCompleted(0);
       }
     },
-    [recompute]
+    [db, recompute]
   );
 
-  const handleAnswer = useCallback(
-    (tagId, answer) => {
-      setAnsweredTags((prev) => {
-        const updated = { ...prev, [String(tagId)]: answer ?? "" };
-        if (selectedTemplate) recompute(selectedTemplate, updated);
-        return updated;
+  const handleTemplateChange = useCallback(
+    (e) => {
+      setSessionNotice(null);
+      startTemplate(e?.target?.value || "");
+    },
+    [startTemplate]
+  );
+
+  /** Load a parsed session into state; `source` is "autosave" or "file" */
+  const applySession = useCallback(
+    (session, source) => {
+      const check = checkSession(session, db, fingerprint);
+      if (!check.templateFound) {
+        setSessionNotice({
+          kind: "error",
+          message: `Session template "${session.templateName}" is not in the current DB.xlsx — nothing was loaded.`,
+        });
+        return;
+      }
+
+      setSelectedTemplate(session.templateName);
+      setMode(session.mode === "fill" ? "fill" : "build");
+      setHistory(startHistory(check.tagAnswers));
+      setLastChange(null);
+      setAiMarks({
+        tags: Object.fromEntries(Object.entries(session.aiSuggested?.tags || {}).map(([id, answer]) => [id, { answer }])),
+        variables: Object.fromEntries(
+          Object.entries(session.aiSuggested?.variables || {}).map(([id, answer]) => [id, { answer }])
+        ),
       });
+      setAnsweredVariables(check.variableAnswers);
+      setWording({});
+      setSessionStartedAt(session.startedAt);
+      setGenerateResult(null);
+      recompute(session.templateName, check.tagAnswers);
+
+      const details = [];
+      if (!check.fingerprintMatches) {
+        details.push("DB.xlsx has changed since this session was saved — review the answers below.");
+      }
+      if (check.unknownTagIds.length) {
+        details.push(`Dropped answers for tags no longer in the Tag Table: ${check.unknownTagIds.join(", ")}`);
+      }
+      if (check.unknownVariableIds.length) {
+        details.push(
+          `Dropped answers for variables no longer in the Variable Table: ${check.unknownVariableIds.join(", ")}`
+        );
+      }
+      const when = session.savedAt ? new Date(session.savedAt).toLocaleString() : "an earlier visit";
+      setSessionNotice({
+        kind: details.length ? "warning" : "info",
+        source,
+        message:
+          source === "autosave"
+            ? `Restored your autosaved answers for "${session.templateName}" from ${when}.`
+            : `Imported session for "${session.templateName}" (saved ${when}).`,
+        details,
+      });
+    },
+    [db, fingerprint, recompute]
+  );
+
+  const handleExportSession = useCallback(() => {
+    if (!selectedTemplate) return;
+    downloadSession(
+      makeSession({
+        templateName: selectedTemplate,
+        mode,
+        dbFingerprint: fingerprint,
+        tagAnswers: answeredTags,
+        variableAnswers: answeredVariables,
+        aiSuggested: markedAnswers(aiMarks),
+        startedAt: sessionStartedAt,
+      })
+    );
+  }, [selectedTemplate, mode, fingerprint, answeredTags, answeredVariables, aiMarks, sessionStartedAt]);
+
+  const handleImportSession = useCallback(
+    async (file) => {
+      try {
+        applySession(parseSession(await file.text()), "file");
+      } catch (e) {
+        setSessionNotice({ kind: "error", message: `Could not import ${file.name} — ${e?.message || e}` });
+      }
     },
-    [recompute, selectedTemplate]
+    [applySession]
+  );
+
+  /** Move to `next` history state and note which clauses / questions it changed */
+  const moveHistory = useCallback(
+    (next) => {
+      if (next === history) return;
+      setHistory(next);
+      const r = selectedTemplate ? recompute(selectedTemplate, next.answers) : null;
+      setLastChange(r ? statusChanges({ clauseEval, nextQuestions }, r) : null);
+    },
+    [history, selectedTemplate, recompute, clauseEval, nextQuestions]
+  );
+  const changeAnswers = useCallback(
+    (updated, opts) => moveHistory(recordAnswers(history, updated, opts)),
+    [moveHistory, history]
   );
+  const undo = useCallback(() => moveHistory(undoAnswers(history)), [moveHistory, history]);
+  const redo = useCallback(() => moveHistory(redoAnswers(history)), [moveHistory, history]);
 
-  const [inferBlob, setInferBlob] = useState("");
-  const [inferring, setInferring] = useState(false);
-  const doInferFromText = useCallback(async () => {
-    if (!inferBlob?.trim()) return;
-    if (!filteredTagsTable?.length) return;
+  /**
+   * `group` (Exclusive_Group) clears sibling answers so one pick owns the group;
+   * `typing` keystrokes in one answer share an undo step
+   */
+  const handleAnswer = useCallback(
+    (tagId, answer, group = [], { typing = false } = {}) => {
+      const updated = { ...answeredTags };
+      for (const id of group) delete updated[String(id)];
+      updated[String(tagId)] = answer ?? "";
+      changeAnswers(updated, { coalesce: typing });
+      clearAiMarks("tags", [tagId, ...group]);
+    },
+    [answeredTags, changeAnswers, clearAiMarks]
+  );
+
+  // Fill-mode variables: template Variable_Array + Internal_Variables of included clauses
+  const fillVariables = useMemo(
+    () => (db && selectedTemplate ? filterAndSortVariables(db, selectedTemplate, clauseEval) : []),
+    [db, selectedTemplate, clauseEval]
+  );
+
+  // Answers that fail their Entry_Type / Entry_Category rule; generation waits on these
+  const fieldIssues = useMemo(
+    () =>
+      invalidFields({
+        tags: templateTags,
+        variables: fillVariables,
+        answeredTags,
+        answeredVariables,
+        entryOptions: entryOptionsMap,
+      }),
+    [templateTags, fillVariables, answeredTags, answeredVariables, entryOptionsMap]
+  );
+  const canGenerate = status === "done" && !fieldIssues.length;
 
-    setInferring(true);
+  /** Render the selected template with included clauses + answered variables */
+  const handleGenerate = useCallback(async () => {
+    if (!db || !selectedTemplate || !canGenerate) return;
+
+    setGenerating(true);
+    setGenerateResult(null);
     try {
-      const tagsInfo = shapeTagsInfo(filteredTagsTable);
-      const suggestions = await ai.inferTagsFromText(inferBlob, tagsInfo);
-      setAnsweredTags((prev) => {
-        const merged = { ...prev, ...suggestions };
-        if (selectedTemplate) recompute(selectedTemplate, merged);
-        return merged;
-      });
+      const template = findTemplate(db, selectedTemplate);
+      const { buffer, url, fallback } = await fetchTemplateBuffer(template?.Doc_URL);
+
+      const { context, unmatched, includedIds } = buildDocumentContext(
+        buffer,
+        db,
+        selectedTemplate,
+        clauseEval,
+        answeredVariables,
+        answeredTags
+      );
+
+      const fileName = makeFileName(template);
+      renderAndDownload(buffer, context, fileName);
+
+      setGenerateResult({ ok: true, fileName, url, fallback, includedIds, unmatched });
     } catch (e) {
-      console.error("Inference failed:", e);
+      console.error("Generation failed:", e);
+      setGenerateResult({ ok: false, error: e?.message || String(e) });
     } finally {
-      setInferring(false);
+      setGenerating(false);
+    }
+  }, [db, selectedTemplate, canGenerate, clauseEval, answeredVariables, answeredTags]);
+
+  /**
+   * Accepted AI suggestions go through the history like typed answers, marked until confirmed;
+   * as in handleAnswer, an answer clears its exclusive-group siblings
+   */
+  const acceptAiTags = useCallback(
+    (list) => {
+      const groups = [...resolveExclusiveGroups({}, templateTags).values()];
+      const updated = { ...answeredTags };
+      const cleared = [];
+      for (const { tagId, answer } of list) {
+        const group = groups.find((g) => g.members.some((m) => m.id === Number(tagId)));
+        for (const { id } of group?.members || []) {
+          if (id === Number(tagId)) continue;
+          delete updated[String(id)];
+          cleared.push(id);
+        }
+        updated[String(tagId)] = answer;
+      }
+      changeAnswers(updated);
+      setAiMarks((marks) => {
+        const tags = { ...marks.tags };
+        for (const id of cleared) delete tags[String(id)];
+        for (const { tagId, ...m } of list) if (String(tagId) in updated) tags[String(tagId)] = m;
+        return { ...marks, tags };
+      });
+    },
+    [answeredTags, templateTags, changeAnswers]
+  );
+  const acceptAiVariables = useCallback((list) => {
+    setAnsweredVariables((p) => ({ ...p, ...Object.fromEntries(list.map((s) => [String(s.variableId), s.value])) }));
+    setAiMarks((marks) => ({
+      ...marks,
+      variables: {
+        ...marks.variables,
+        ...Object.fromEntries(list.map(({ variableId, value, ...m }) => [String(variableId), { answer: value, ...m }])),
+      },
+    }));
+  }, []);
+
+  // Restore the autosaved session once the workbook is loaded
+  useEffect(() => {
+    if (loading || autosaveReady) return;
+    if (db) {
+      const saved = loadAutosave();
+      if (saved) applySession(saved, "autosave");
     }
-  }, [ai, inferBlob, filteredTagsTable, recompute, selectedTemplate]);
+    setAutosaveReady(true);
+  }, [loading, db, autosaveReady, applySession]);
 
+  // Another database was loaded: re-evaluate the current answers against it,
+  // or start over when it no longer has the selected template
+  const lastDbRef = useRef(null);
   useEffect(() => {
-    if (!loading && selectedTemplate) {
-      recompute(selectedTemplate, answeredTags);
+    if (!db || lastDbRef.current === db) return;
+    const initial = !lastDbRef.current;
+    lastDbRef.current = db;
+    if (initial || !selectedTemplate) return;
+    if (findTemplate(db, selectedTemplate)) recompute(selectedTemplate, answeredTags);
+    else startTemplate("");
+  }, [db, selectedTemplate, answeredTags, recompute, startTemplate]);
+
+  // Autosave (debounced) after every change
+  useEffect(() => {
+    if (!autosaveReady) return;
+    if (!selectedTemplate) {
+      clearAutosave();
+      return;
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [loading]);
+    const t = setTimeout(() => {
+      saveAutosave(
+        makeSession({
+          templateName: selectedTemplate,
+          mode,
+          dbFingerprint: fingerprint,
+          tagAnswers: answeredTags,
+          variableAnswers: answeredVariables,
+          aiSuggested: markedAnswers(aiMarks),
+          startedAt: sessionStartedAt,
+        })
+      );
+    }, 500);
+    return () => clearTimeout(t);
+  }, [autosaveReady, selectedTemplate, mode, fingerprint, answeredTags, answeredVariables, aiMarks, sessionStartedAt]);
 
   const templateOptions = useMemo(() => templates || [], [templates]);
+  // with overlays loaded, questions / variables / clauses say which workbook they came from
+  const showSources = (db?.sources.length || 0) > 1;
+  const workbookIssues = useMemo(() => (db ? validateWorkbook(db) : []), [db]);
+
+  const clauseTraces = useMemo(
+    () =>
+      showExplainer
+        ? explainClauses({
+            assignedTags,
+            answeredTags,
+            clauses: templateClauses,
+            tags: templateTags,
+            clauseEval,
+          })
+        : [],
+    [showExplainer, assignedTags, answeredTags, templateClauses, templateTags, clauseEval]
+  );
+
+  const explainWithAi = useCallback(
+    async (trace, { signal } = {}) => {
+      const explanation = await ai.explainClause({
+        clause: {
+          pc: trace.pc,
+          name: trace.name,
+          expression: trace.expression,
+          include: trace.include.map(({ tagId, question, value, wanted }) => ({ tagId, question, value, wanted })),
+          exclude: trace.exclude.map(({ tagId, question, value }) => ({ tagId, question, value })),
+          result: trace.result,
+          reason: trace.reason,
+        },
+        assignedTags,
+        signal,
+      });
+      return String(explanation || "").trim() || "(no explanation returned)";
+    },
+    [ai, assignedTags]
+  );
+
+  const openExplainer = useCallback(() => {
+    setShowExplainer(true);
+    setTimeout(() => explainerRef.current?.scrollIntoView({ behavior: "smooth" }), 0);
+  }, []);
+
+  // Computed variables (Function / Reference_Variable), re-evaluated on every answer
+  const computedFields = useMemo(() => {
+    const out = new Map();
+    if (!db) return out;
+    const { values, computed } = computeVariables(db, answeredVariables, answeredTags);
+    for (const [id, info] of computed) {
+      out.set(id, {
+        value: values[id] ?? "",
+        formula: info.formula || `answer to the "${info.tagRef}" question`,
+        error: info.error,
+        inputs: info.refs.map((ref) => `${ref} = ${db.variableById.get(ref)?.Name || "?"}`),
+      });
+    }
+    return out;
+  }, [db, answeredVariables, answeredTags]);
+
+  const handleVariableChange = useCallback(
+    (id, val) => {
+      setAnsweredVariables((p) => ({ ...p, [String(id)]: val }));
+      clearAiMarks("variables", [id]);
+    },
+    [clearAiMarks]
+  );
   const progressPct = Math.round((ratioCompleted || 0) * 100);
 
+  /** A checkbox group answers every member: "Yes" for the checked labels, "No" for the rest */
+  const handleCheckboxGroup = useCallback(
+    (q, checked) => {
+      const picked = splitMulti(checked);
+      const updated = { ...answeredTags };
+      q.Checkbox_Group.forEach((id, i) => {
+        updated[String(id)] = picked.includes(q.Options[i]) ? "Yes" : "No";
+      });
+      changeAnswers(updated);
+      clearAiMarks("tags", q.Checkbox_Group);
+    },
+    [answeredTags, changeAnswers, clearAiMarks]
+  );
+
   // Final UI de-dup + coercion
   const renderQuestions = useMemo(() => {
     const seen = new Set();
@@ -230,6 +553,215 @@ export default function App() {
     return out;
   }, [nextQuestions, entryOptionsMap]);
 
+  /** Reword the pending questions through the provider; returns how many changed */
+  const improveWording = useCallback(
+    async ({ signal } = {}) => {
+      const list = await ai.improveQuestions({
+        questions: renderQuestions.map((q) => ({
+          tagId: q.Tag_ID,
+          tag: q.Tag,
+          question: q.Question || "",
+          helper: q.Helper_Text || "",
+        })),
+        signal,
+      });
+      const byId = new Map(renderQuestions.map((q) => [q.Tag_ID, q]));
+      const changed = {};
+      for (const { tagId, question, helper } of list || []) {
+        const q = byId.get(Number(tagId));
+        const text = String(question ?? "").trim();
+        if (!q || !text) continue;
+        const help = String(helper ?? "").trim() || q.Helper_Text || "";
+        if (text === q.Question && help === (q.Helper_Text || "")) continue;
+        changed[q.Tag_ID] = { question: text, helper: help };
+      }
+      setWording((w) => ({ ...w, ...changed }));
+      return Object.keys(changed).length;
+    },
+    [ai, renderQuestions]
+  );
+
+  // Pending questions in TagCategory sections; "fewest questions" puts the most decisive first
+  const questionSections = useMemo(
+    () =>
+      sectionQuestions(renderQuestions, {
+        tagCategoryPriority: db?.tagCategoryPriority,
+        fewest: fewestFirst,
+        clauses: templateClauses,
+        clauseEval,
+        assignedTags,
+      }),
+    [renderQuestions, db, fewestFirst, templateClauses, clauseEval, assignedTags]
+  );
+
+  // Default_Answers of the selected template, and where each current answer came from
+  const templateDefaults = useMemo(
+    () => findTemplate(db, selectedTemplate)?.Default_Answers || {},
+    [db, selectedTemplate]
+  );
+  const defaultQuestions = useMemo(
+    () => questionsForTags(Object.keys(templateDefaults), templateTags).map((q) => coerceForUI(q, entryOptionsMap)),
+    [templateDefaults, templateTags, entryOptionsMap]
+  );
+  // Answered questions in the order they were first answered (groups at their earliest member)
+  const historyQuestions = useMemo(() => {
+    const pos = new Map(history.order.map((id, i) => [id, i]));
+    const rank = (q) =>
+      Math.min(
+        ...[q.Tag_ID, ...(q.Exclusive_Group || []), ...(q.Checkbox_Group || []), ...(q.Threshold_Group || [])].map(
+          (id) => pos.get(id) ?? Infinity
+        )
+      );
+    return questionsForTags(history.order, templateTags)
+      .map((q) => coerceForUI(q, entryOptionsMap))
+      .sort((a, b) => rank(a) - rank(b));
+  }, [history.order, templateTags, entryOptionsMap]);
+
+  // Wizard: one page per Tag_Category holding its pending and answered questions, then the review
+  const wizardPages = useMemo(() => {
+    const pendingIds = new Set(renderQuestions.map((q) => q.Tag_ID));
+    const answered = historyQuestions.filter((q) => !pendingIds.has(q.Tag_ID));
+    return sectionQuestions([...renderQuestions, ...answered], {
+      tagCategoryPriority: db?.tagCategoryPriority,
+      fewest: fewestFirst,
+      clauses: templateClauses,
+      clauseEval,
+      assignedTags,
+    }).map((s) => ({
+      category: s.category,
+      pending: s.questions.filter((q) => pendingIds.has(q.Tag_ID)),
+      answered: s.questions.filter((q) => !pendingIds.has(q.Tag_ID)),
+    }));
+  }, [renderQuestions, historyQuestions, db, fewestFirst, templateClauses, clauseEval, assignedTags]);
+  const wizardStep =
+    wizardPage === "review"
+      ? wizardPages.length
+      : Math.max(0, wizardPages.findIndex((p) => canon(p.category) === wizardPage));
+  const goToWizardStep = (i) => {
+    setWizardPage(i >= wizardPages.length ? "review" : canon(wizardPages[i].category));
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const review = useMemo(() => {
+    const tagById = new Map(templateTags.map((t) => [t.Tag_ID, t]));
+    const sectionOf = (t) => tagSection(t, db?.tagCategoryPriority).category;
+    const clauseRow = (c) => ({ pc: c.PC_ID, name: c.Provision_or_Clause_Full_Name || c.Provision_or_Clause_Name });
+    return {
+      answers: history.order
+        .filter((id) => tagById.has(id))
+        .map((id) => {
+          const t = tagById.get(id);
+          return {
+            tagId: id,
+            question: String(t.Question || "").trim() ? `${t.Question} — ${t.Tag}` : t.Tag,
+            answer: answeredTags[String(id)],
+            category: sectionOf(t),
+            ai: !!aiMarkOf("tags", id, answeredTags[String(id)]),
+          };
+        }),
+      included: templateClauses.filter((c) => clauseEval[c.PC_ID] === 1).map(clauseRow),
+      unresolved: {
+        questions: renderQuestions.map((q) => ({ tagId: q.Tag_ID, question: q.Question || q.Tag, category: sectionOf(q) })),
+        clauses: templateClauses.filter((c) => (clauseEval[c.PC_ID] ?? 0) === 0).map(clauseRow),
+      },
+    };
+  }, [templateTags, history.order, answeredTags, aiMarkOf, templateClauses, clauseEval, renderQuestions, db]);
+
+  const answerCounts = useMemo(() => {
+    const counts = { defaults: 0, user: 0 };
+    for (const [id, v] of Object.entries(answeredTags)) {
+      if (!String(v ?? "").trim()) continue;
+      const d = templateDefaults[id];
+      if (d != null && canon(d) === canon(v)) counts.defaults++;
+      else counts.user++;
+    }
+    return counts;
+  }, [answeredTags, templateDefaults]);
+
+  /** One question (or exclusive / checkbox group), marked when the template has a default for it */
+  const renderQuestion = (q) => {
+    if (q.Checkbox_Group) return renderCheckboxGroup(q);
+    const group = q.Exclusive_Group || [];
+    // an exclusive group offers its members; other questions their Entry_Category's options
+    const catKey = String(q.Entry_Category || "").trim().toLowerCase();
+    const opts = group.length ? q.Options : entryOptionsMap.get(catKey) || q.Options || [];
+    const members = [q.Tag_ID, ...group];
+    // a group shows whichever member holds the answer
+    const answeredId = members.find((id) => String(answeredTags[String(id)] ?? "").trim());
+    const value = answeredId != null ? answeredTags[String(answeredId)] : "";
+    const defaultId = members.find((id) => templateDefaults[id] != null);
+    const defaultValue = defaultId != null ? templateDefaults[defaultId] : undefined;
+    let origin;
+    if (defaultId != null && answeredId != null) {
+      origin = answeredId === defaultId && canon(value) === canon(defaultValue) ? "default" : "user";
+    }
+    const aiSuggestion = answeredId != null ? aiMarkOf("tags", answeredId, value) : null;
+    return (
+      <React.Fragment key={`q-${q.Tag_ID}`}>
+        {lastChange?.newQuestions.has(q.Tag_ID) && (
+          <span className="new badge orange" data-badge-caption="" style={{ float: "none", marginLeft: 0 }}>
+            New follow-up
+          </span>
+        )}
+        <Question
+          tagId={q.Tag_ID}
+          label={wording[q.Tag_ID]?.question ?? q.Question}
+          helper={wording[q.Tag_ID]?.helper ?? q.Helper_Text}
+          entryType={q.Entry_Type}
+          entryCategory={q.Entry_Category}
+          value={value}
+          options={opts}
+          origin={origin}
+          defaultValue={defaultValue}
+          aiSuggestion={aiSuggestion}
+          onConfirmAi={() => clearAiMarks("tags", members)}
+          onChange={(id, val, opts) => handleAnswer(id, val, group, opts)}
+        />
+        {showSources && q.Source && (
+          <div className="grey-text" style={{ fontSize: 12, marginTop: -18, marginBottom: 18 }}>
+            Tag {q.Tag_ID} from {q.Source}
+          </div>
+        )}
+      </React.Fragment>
+    );
+  };
+
+  /** A checkbox group's value is its checked labels; defaults count when every member still matches */
+  const renderCheckboxGroup = (q) => {
+    const ids = q.Checkbox_Group;
+    const labelsWhere = (isYes) => q.Options.filter((_, i) => isYes(ids[i])).join(MULTI_SEPARATOR);
+    const value = labelsWhere((id) => canon(answeredTags[String(id)]) === "yes");
+    const defaulted = ids.filter((id) => templateDefaults[id] != null);
+    let origin;
+    let defaultValue;
+    if (defaulted.length) {
+      defaultValue = labelsWhere((id) => canon(templateDefaults[id]) === "yes") || "none";
+      const answered = ids.some((id) => String(answeredTags[String(id)] ?? "").trim());
+      if (answered) {
+        origin = defaulted.every((id) => canon(answeredTags[String(id)]) === canon(templateDefaults[id]))
+          ? "default"
+          : "user";
+      }
+    }
+    return (
+      <Question
+        key={`q-${q.Tag_ID}`}
+        tagId={q.Tag_ID}
+        label={wording[q.Tag_ID]?.question ?? q.Question}
+        helper={wording[q.Tag_ID]?.helper ?? q.Helper_Text}
+        entryType={q.Entry_Type}
+        entryCategory={q.Entry_Category}
+        value={value}
+        options={q.Options}
+        origin={origin}
+        defaultValue={defaultValue}
+        aiSuggestion={ids.map((id) => aiMarkOf("tags", id, answeredTags[String(id)])).find(Boolean)}
+        onConfirmAi={() => clearAiMarks("tags", ids)}
+        onChange={(_, val) => handleCheckboxGroup(q, val)}
+      />
+    );
+  };
+
   const hadOnlyNoDisplay =
     (nextQuestions?.length || 0) > 0 &&
     renderQuestions.length > 0 &&
@@ -240,6 +772,14 @@ export default function App() {
       <div className="row">
         <div className="col s12">
           <h4 className="header">USAI Template Filler</h4>
+          {source && (
+            <span className="grey-text text-darken-1" title={source.loadedAt.toLocaleString()}>
+              <i className="material-icons tiny">storage</i> {source.name}
+              {source.kind === "default" ? " (bundled)" : ` (${source.kind.toUpperCase()})`} · loaded{" "}
+              {source.loadedAt.toLocaleTimeString()}
+              {overlays.length > 0 && ` + ${overlays.length} overlay${overlays.length > 1 ? "s" : ""}`}
+            </span>
+          )}
         </div>
       </div>
 
@@ -247,7 +787,7 @@ export default function App() {
         <div className="row">
           <div className="col s12">
             <div className="card-panel grey lighten-4">
-              <span className="black-text">Loading DB.xlsx…</span>
+              <span className="black-text">Loading database…</span>
             </div>
           </div>
         </div>
@@ -257,14 +797,36 @@ export default function App() {
         <div className="row">
           <div className="col s12">
             <div className="card-panel red lighten-4">
-              <span className="red-text text-darken-4">
-                Failed to load DB.xlsx — {String(error)}
+              <span className="red-text text-darken-4" style={{ whiteSpace: "pre-line" }}>
+                Failed to load the database — {String(error)}
+                {db && source && `\nStill using ${source.name}.`}
               </span>
             </div>
           </div>
         </div>
       )}
 
+      {/* Database source + workbook integrity */}
+      <div className="row">
+        <div className="col s12">
+          <DatabaseSource
+            source={source}
+            busy={loading}
+            onLoadFiles={loadFiles}
+            onLoadDefault={loadDefault}
+            overlays={overlays}
+            onAddOverlays={addOverlays}
+            onRemoveOverlay={removeOverlay}
+            onExportJson={db ? () => downloadDatabaseJson(db, `${source.name.replace(/\.[^.]+$/, "")}.json`) : undefined}
+          />
+        </div>
+        {!loading && db && (
+          <div className="col s12">
+            <WorkbookHealth issues={workbookIssues} />
+          </div>
+        )}
+      </div>
+
       {/* Template + Mode */}
       <div className="row">
         <div className="col s12 m8">
@@ -294,6 +856,24 @@ export default function App() {
             <option value="fill">Fill Document</option>
           </select>
         </div>
+
+        <div className="col s12" style={{ marginTop: 12 }}>
+          <SessionPanel
+            canExport={!!selectedTemplate}
+            onExport={handleExportSession}
+            onImport={handleImportSession}
+            notice={sessionNotice}
+            onDismiss={() => setSessionNotice(null)}
+            onStartOver={
+              sessionNotice?.source === "autosave"
+                ? () => {
+                    setSessionNotice(null);
+                    startTemplate(selectedTemplate);
+                  }
+                : undefined
+            }
+          />
+        </div>
       </div>
 
       {/* Progress */}
@@ -318,12 +898,22 @@ export default function App() {
       )}
 
       {/* Debug from resolver */}
-      {resolverDebug?.length > 0 && (
+      {(resolverDebug?.length > 0 || exprErrors.length > 0) && (
         <div className="row">
           <div className="col s12">
-            <details>
-              <summary>Template resolver diagnostics</summary>
+            <details open={exprErrors.length > 0}>
+              <summary>
+                Template resolver diagnostics
+                {exprErrors.length > 0 && (
+                  <span className="red-text"> — {exprErrors.length} clause expression error(s)</span>
+                )}
+              </summary>
               <ul className="collection">
+                {exprErrors.map((d, i) => (
+                  <li className="collection-item red lighten-5 red-text text-darken-4" key={`expr-${i}`}>
+                    {d}
+                  </li>
+                ))}
                 {resolverDebug.map((d, i) => (
                   <li className="collection-item" key={`dbg-${i}`}>
                     {d}
@@ -353,19 +943,140 @@ export default function App() {
             </div>
           )}
 
-          {status === "done" && (
+          {status !== "empty-template" && (
+            <div className="row">
+              <div className="col s12">
+                <AnswerHistory
+                  count={historyQuestions.length}
+                  canUndo={history.past.length > 0}
+                  canRedo={history.future.length > 0}
+                  onUndo={undo}
+                  onRedo={redo}
+                  lastChange={lastChange}
+                  onShowClauses={openExplainer}
+                >
+                  {historyQuestions.map(renderQuestion)}
+                </AnswerHistory>
+              </div>
+            </div>
+          )}
+
+          {status !== "empty-template" && (
+            <div className="row" style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 24 }}>
+              <div className="col">
+                {[
+                  ["wizard", "Step by step"],
+                  ["single", "Single page"],
+                ].map(([value, label]) => (
+                  <label key={`view-${value}`} style={{ marginRight: 16 }}>
+                    <input
+                      className="with-gap"
+                      name="build-view"
+                      type="radio"
+                      checked={buildView === value}
+                      onChange={() => setBuildView(value)}
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+              <div className="col switch">
+                <label title="Ask first the questions whose answer decides the most pending clauses">
+                  All questions
+                  <input type="checkbox" checked={fewestFirst} onChange={(e) => setFewestFirst(e.target.checked)} />
+                  <span className="lever" />
+                  Fewest questions
+                </label>
+              </div>
+            </div>
+          )}
+
+          {buildView === "wizard" && status !== "empty-template" && (
+            <div className="row">
+              <div className="col s12">
+                <BuildWizard
+                  pages={wizardPages}
+                  step={wizardStep}
+                  onStep={goToWizardStep}
+                  progressPct={progressPct}
+                  renderQuestion={renderQuestion}
+                  review={
+                    <ReviewPage
+                      {...review}
+                      fieldIssues={fieldIssues}
+                      canGenerate={canGenerate}
+                      generating={generating}
+                      onGenerate={handleGenerate}
+                      onFill={() => setMode("fill")}
+                      onEdit={(category) => setWizardPage(canon(category))}
+                    />
+                  }
+                />
+              </div>
+            </div>
+          )}
+
+          {buildView === "single" && defaultQuestions.length > 0 && (
+            <div className="row">
+              <div className="col s12">
+                <details className="card-panel blue lighten-5" open={status !== "done"}>
+                  <summary>
+                    Template defaults ({defaultQuestions.length}) — answers: {answerCounts.defaults} from
+                    defaults, {answerCounts.user} from you
+                  </summary>
+                  <p className="grey-text text-darken-1">
+                    These come from the template’s Default_Answers. Change any of them to override.
+                  </p>
+                  {defaultQuestions.map(renderQuestion)}
+                </details>
+              </div>
+            </div>
+          )}
+
+          {buildView === "single" && status === "done" && (
             <div className="row">
               <div className="col s12">
                 <div className="card-panel green lighten-4">
                   <span className="green-text text-darken-4">
                     No more questions — all clause conditions are resolved.
                   </span>
+                  <div style={{ marginTop: 12 }}>
+                    <button
+                      className={`btn ${generating || !canGenerate ? "disabled" : "green"}`}
+                      onClick={handleGenerate}
+                      disabled={generating || !canGenerate}
+                      title={canGenerate ? "" : "Fix the fields listed below first"}
+                    >
+                      {generating ? "Generating…" : "Generate document"}
+                    </button>
+                  </div>
                 </div>
               </div>
             </div>
           )}
 
-          {status === "ask" && (
+          {exclusiveConflicts.length > 0 && (
+            <div className="row">
+              <div className="col s12">
+                <div className="card-panel amber lighten-4">
+                  <span className="amber-text text-darken-4">
+                    These answers pick more than one option in a mutually exclusive group, so
+                    the group is left undecided until you choose one:
+                  </span>
+                  <ul style={{ margin: "8px 0 0" }}>
+                    {exclusiveConflicts.map((c) => (
+                      <li key={`conflict-${c.entryCategory}`}>
+                        <b>{c.entryCategory}</b>:{" "}
+                        {c.picks.map((p) => `${p.option} (tag ${p.tagIds.join(", ")})`).join(" vs. ")}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {buildView === "single" && status === "ask" && (
             <div className="row">
               <div className="col s12">
                 {hadOnlyNoDisplay && (
@@ -381,22 +1092,42 @@ export default function App() {
                 <div className="card">
                   <div className="card-content">
                     <span className="card-title">Answer the next questions</span>
+                    <ImproveWording
+                      count={renderQuestions.length}
+                      improved={Object.keys(wording).length}
+                      onImprove={improveWording}
+                      onReset={() => setWording({})}
+                      providerLabel={ai.label}
+                    />
 
-                    {renderQuestions.map((q) => {
-                      const catKey = String(q.Entry_Category || "").trim().toLowerCase();
-                      const opts = entryOptionsMap.get(catKey) || [];
+                    {questionSections.map((section) => {
+                      const [first, ...rest] = section.questions;
                       return (
-                        <Question
-                          key={`q-${q.Tag_ID}`}
-                          tagId={q.Tag_ID}
-                          label={q.Question}
-                          helper={q.Helper_Text}
-                          entryType={q.Entry_Type}
-                          entryCategory={q.Entry_Category}
-                          value={answeredTags[String(q.Tag_ID)] ?? ""}
-                          options={opts}
-                          onChange={handleAnswer}
-                        />
+                        <div key={`section-${section.category}`} style={{ marginBottom: 16 }}>
+                          <h6 className="blue-text text-darken-2" style={{ borderBottom: "1px solid #e0e0e0", paddingBottom: 4 }}>
+                            {section.category}
+                            <span className="grey-text" style={{ fontSize: 13 }}>
+                              {" "}
+                              · {section.questions.length} question{section.questions.length > 1 ? "s" : ""}
+                            </span>
+                          </h6>
+                          {fewestFirst ? (
+                            <>
+                              {renderQuestion(first)}
+                              {rest.length > 0 && (
+                                <details>
+                                  <summary className="grey-text">
+                                    {rest.length} more in {section.category} — some may drop out once the one above is
+                                    answered
+                                  </summary>
+                                  {rest.map(renderQuestion)}
+                                </details>
+                              )}
+                            </>
+                          ) : (
+                            section.questions.map(renderQuestion)
+                          )}
+                        </div>
                       );
                     })}
                   </div>
@@ -404,68 +1135,139 @@ export default function App() {
               </div>
             </div>
           )}
-
-          {/* Infer from text */}
-          {status !== "empty-template" && (
-            <div className="row">
-              <div className="col s12">
-                <div className="card">
-                  <div className="card-content">
-                    <span className="card-title">Infer answers from pasted text</span>
-                    <p className="grey-text" style={{ marginBottom: 12 }}>
-                      Paste relevant scope/requirements text and let AI propose answers
-                      to currently needed questions. You can still edit any answer.
-                    </p>
-                    <textarea
-                      className="materialize-textarea"
-                      value={inferBlob}
-                      onChange={(e) => setInferBlob(e.target.value)}
-                      placeholder="Paste project text or requirements here…"
-                      style={{ minHeight: 120 }}
-                    />
-                  </div>
-                  <div className="card-action">
-                    <button
-                      className={`btn ${inferring ? "disabled" : "blue"}`}
-                      onClick={doInferFromText}
-                      disabled={inferring || !inferBlob.trim()}
-                    >
-                      {inferring ? "Inferring…" : "Infer answers"}
-                    </button>
-                  </div>
-                </div>
-              </div>
-            </div>
-          )}
         </>
       )}
 
-      {/* Fill mode (example) */}
+      {/* Fill mode */}
       {mode === "fill" && selectedTemplate && (
         <div className="row">
           <div className="col s12">
             <div className="card">
               <div className="card-content">
-                <span className="card-title">Fill document variables</span>
-                <p className="grey-text" style={{ marginBottom: 16 }}>
-                  This panel is for direct/indirect variables after the document is
-                  built. Hook this to your variable resolver when ready.
-                </p>
-                <VariableField
-                  key="v-8"
-                  variableId={8}
-                  label="Project Title"
-                  helper="Shown on title page"
-                  entryType="Text"
-                  entryCategory=""
-                  value={answeredVariables["8"] ?? ""}
-                  onChange={(id, val) =>
-                    setAnsweredVariables((p) => ({ ...p, [String(id)]: val }))
-                  }
+                <VariablesPanel
+                  variables={fillVariables}
+                  answers={answeredVariables}
+                  entryOptionsMap={entryOptionsMap}
+                  onChange={handleVariableChange}
+                  showSources={showSources}
+                  computed={computedFields}
+                  aiSuggested={(id) => aiMarkOf("variables", id, answeredVariables[String(id)])}
+                  onConfirmAi={(id) => clearAiMarks("variables", [id])}
                 />
               </div>
               <div className="card-action">
-                <button className="btn blue">Fill Variables (Preview)</button>
+                <button
+                  className={`btn ${generating || !canGenerate ? "disabled" : "blue"}`}
+                  onClick={handleGenerate}
+                  disabled={generating || !canGenerate}
+                  title={
+                    status !== "done" ? "Answer all Build questions first" : canGenerate ? "" : "Fix the fields listed below first"
+                  }
+                >
+                  {generating ? "Generating…" : "Generate document"}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Infer from text */}
+      {selectedTemplate && (
+        <div className="row">
+          <div className="col s12">
+            <InferFromText
+              templateName={selectedTemplate}
+              tags={templateTags}
+              variables={fillVariables}
+              answeredTags={answeredTags}
+              answeredVariables={answeredVariables}
+              entryOptions={entryOptionsMap}
+              onAcceptTags={acceptAiTags}
+              onAcceptVariables={acceptAiVariables}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Fields blocking generation */}
+      {selectedTemplate &&
+        status === "done" &&
+        fieldIssues.length > 0 &&
+        !(mode === "build" && buildView === "wizard") && (
+        <div className="row">
+          <div className="col s12">
+            <div className="card-panel red lighten-5">
+              <strong className="red-text text-darken-2">Fix these fields before generating</strong>
+              <ul className="browser-default" style={{ margin: "8px 0 0" }}>
+                {fieldIssues.map((f) => (
+                  <li key={`${f.kind}-${f.id}`}>
+                    {f.kind === "tag" ? "Question" : "Variable"} {f.id} — {f.label}: {f.error}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Generation result */}
+      {selectedTemplate && generateResult && (
+        <div className="row">
+          <div className="col s12">
+            {generateResult.ok ? (
+              <div className="card-panel grey lighten-4">
+                <div>
+                  Downloaded <b>{generateResult.fileName}</b> with{" "}
+                  {generateResult.includedIds.length} included clause(s).
+                </div>
+                {generateResult.fallback && (
+                  <div className="amber-text text-darken-4">
+                    The template&apos;s Doc_URL could not be downloaded — used{" "}
+                    <code>{generateResult.url}</code> instead. Browsers can&apos;t fetch Google Docs
+                    exports (no CORS headers); run <code>npm run generate</code> or put the .docx in{" "}
+                    <code>public/</code> and point Doc_URL at it.
+                  </div>
+                )}
+                {generateResult.unmatched.length > 0 && (
+                  <div className="grey-text text-darken-1">
+                    Left blank: {generateResult.unmatched.join(", ")}
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div className="card-panel red lighten-4">
+                <span className="red-text text-darken-4">
+                  Document generation failed — {generateResult.error}
+                </span>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Clause explainer */}
+      {selectedTemplate && showExplainer && (
+        <div className="row" ref={explainerRef}>
+          <div className="col s12">
+            <div className="card">
+              <div className="card-content">
+                <span className="card-title">
+                  Why is each clause in, out or pending?
+                  <button
+                    className="btn-flat right"
+                    onClick={() => setShowExplainer(false)}
+                    title="Hide"
+                  >
+                    <i className="material-icons">close</i>
+                  </button>
+                </span>
+                <ClauseExplainer
+                  traces={clauseTraces}
+                  onAiExplain={explainWithAi}
+                  showSources={showSources}
+                  changes={lastChange?.clauses}
+                />
               </div>
             </div>
           </div>
@@ -480,26 +1282,23 @@ export default function App() {
           </a>
           <ul>
             <li>
-              <a className="btn-floating green" title="Build document (preview only)">
+              <a
+                className={`btn-floating ${canGenerate ? "green" : "grey"}`}
+                title={
+                  status !== "done"
+                    ? "Answer all questions to generate"
+                    : canGenerate
+                      ? "Generate document"
+                      : "Fix the invalid fields to generate"
+                }
+                onClick={handleGenerate}
+              >
                 <i className="material-icons">description</i>
               </a>
             </li>
             <li>
-              <a className="btn-floating orange" title="Explain clauses (console)">
-                <i
-                  className="material-icons"
-                  onClick={() => {
-                    console.info("[clauses]", filteredClausesTable);
-                    console.info("[tags]", filteredTagsTable);
-                    console.info("[next raw]", nextQuestions);
-                    console.info(
-                      "[next render ids]",
-                      renderQuestions.map((q) => q.Tag_ID)
-                    );
-                  }}
-                >
-                  help
-                </i>
+              <a className="btn-floating orange" title="Explain clauses" onClick={openExplainer}>
+                <i className="material-icons">help</i>
               </a>
             </li>
           </ul>
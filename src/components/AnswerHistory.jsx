@@ -0,0 +1,82 @@
+// src/components/AnswerHistory.jsx
+import React from "react";
+
+const STATUS = { 1: "in", 0: "pending", [-1]: "out" };
+
+/**
+ * "Your answers" card: every answered question in the order it was answered
+ * (rendered by the caller as `children`, so each stays editable), undo / redo,
+ * and what the last change did to the clauses and follow-up questions.
+ * Props:
+ *  - count, canUndo, canRedo, onUndo(), onRedo()
+ *  - lastChange?: statusChanges() result for the last edit / undo / redo
+ *  - onShowClauses?: () => void  — opens the clause explainer
+ */
+export default function AnswerHistory({ count, canUndo, canRedo, onUndo, onRedo, lastChange, onShowClauses, children }) {
+  const moved = lastChange ? [...lastChange.clauses.entries()] : [];
+  const followUps = lastChange?.newQuestions.size || 0;
+
+  return (
+    <details className="card-panel" open={count > 0}>
+      <summary style={{ display: "flex", alignItems: "center", gap: 12, cursor: "pointer" }}>
+        <span>Your answers ({count})</span>
+        <span style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
+          <button
+            type="button"
+            className={`btn-small ${canUndo ? "blue" : "disabled"}`}
+            disabled={!canUndo}
+            onClick={(e) => {
+              e.preventDefault();
+              onUndo();
+            }}
+            title="Undo the last answer change"
+          >
+            <i className="material-icons left">undo</i>Undo
+          </button>
+          <button
+            type="button"
+            className={`btn-small ${canRedo ? "blue" : "disabled"}`}
+            disabled={!canRedo}
+            onClick={(e) => {
+              e.preventDefault();
+              onRedo();
+            }}
+            title="Redo"
+          >
+            <i className="material-icons left">redo</i>Redo
+          </button>
+        </span>
+      </summary>
+
+      {lastChange && (moved.length > 0 || followUps > 0) && (
+        <div className="card-panel orange lighten-5" style={{ marginTop: 12 }}>
+          <b>Last change:</b>{" "}
+          {moved.length > 0 && (
+            <>
+              {moved.length} clause{moved.length > 1 ? "s" : ""} changed status (
+              {moved.map(([pc, c]) => `${pc}: ${STATUS[c.from]} → ${STATUS[c.to]}`).join(", ")})
+              {onShowClauses && (
+                <>
+                  {" "}
+                  <a
+                    href="#!"
+                    onClick={(e) => {
+                      e.preventDefault();
+                      onShowClauses();
+                    }}
+                  >
+                    show clauses
+                  </a>
+                </>
+              )}
+              {followUps > 0 && "; "}
+            </>
+          )}
+          {followUps > 0 && `${followUps} new follow-up question${followUps > 1 ? "s" : ""} (marked below)`}
+        </div>
+      )}
+
+      {count === 0 ? <p className="grey-text">Nothing answered yet.</p> : <div style={{ marginTop: 12 }}>{children}</div>}
+    </details>
+  );
+}
@@ -0,0 +1,83 @@
+// src/components/BuildWizard.jsx
+import React from "react";
+
+/**
+ * Build mode one Tag_Category at a time, ending on a review page.
+ * Props:
+ *  - pages: [{ category, pending: question[], answered: question[] }]  (TagCategory order)
+ *  - step: index into pages; pages.length is the review page
+ *  - onStep(index)
+ *  - progressPct: share of the template's tags decided (ratioCompletedTags)
+ *  - renderQuestion(q): the caller's question renderer
+ *  - review: the review page content
+ */
+export default function BuildWizard({ pages, step, onStep, progressPct, renderQuestion, review }) {
+  const last = pages.length; // review
+  const current = Math.min(step, last);
+  const page = pages[current];
+  const pendingTotal = pages.reduce((n, p) => n + p.pending.length, 0);
+
+  return (
+    <div className="card">
+      <div className="card-content">
+        {/* steps */}
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 16 }}>
+          {[...pages.map((p) => p.category), "Review"].map((label, i) => {
+            const left = pages[i]?.pending.length || 0;
+            return (
+              <button
+                key={`step-${label}`}
+                type="button"
+                className={`btn-small ${i === current ? "blue" : "btn-flat"}`}
+                onClick={() => onStep(i)}
+                title={i < last ? (left ? `${left} question(s) left` : "All answered") : "Review and generate"}
+              >
+                {i < last && !left && <i className="material-icons left tiny">check</i>}
+                {label}
+                {left > 0 && ` (${left})`}
+              </button>
+            );
+          })}
+        </div>
+        <div className="grey-text" style={{ marginBottom: 16 }}>
+          Step {current + 1} of {last + 1} · {progressPct}% of the template’s tags decided
+          {pendingTotal > 0 && ` · ${pendingTotal} question(s) still open`}
+        </div>
+
+        {page ? (
+          <>
+            <span className="card-title">{page.category}</span>
+            {page.pending.length === 0 && (
+              <p className="green-text text-darken-2">Everything on this page is answered.</p>
+            )}
+            {page.pending.map(renderQuestion)}
+            {page.answered.length > 0 && (
+              <details open={page.pending.length === 0}>
+                <summary className="grey-text">Already answered ({page.answered.length})</summary>
+                {page.answered.map(renderQuestion)}
+              </details>
+            )}
+          </>
+        ) : (
+          review
+        )}
+      </div>
+      <div className="card-action" style={{ display: "flex", justifyContent: "space-between" }}>
+        <button
+          type="button"
+          className={`btn-flat ${current === 0 ? "disabled" : ""}`}
+          disabled={current === 0}
+          onClick={() => onStep(current - 1)}
+        >
+          <i className="material-icons left">chevron_left</i>Back
+        </button>
+        {current < last && (
+          <button type="button" className="btn blue" onClick={() => onStep(current + 1)}>
+            {current + 1 === last ? "Review" : "Next"}
+            <i className="material-icons right">chevron_right</i>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
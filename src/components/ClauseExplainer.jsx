@@ -0,0 +1,159 @@
+// src/components/ClauseExplainer.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { isAbort } from "../lib/aiResponse";
+
+const RESULT = {
+  1: { label: "In", color: "green" },
+  0: { label: "Pending", color: "amber" },
+  [-1]: { label: "Out", color: "red" },
+};
+
+const valueText = (v) => (v === 1 ? "Yes" : v === -1 ? "No" : "—");
+
+/**
+ * Per-clause decision trace ("why is this clause in / out / pending?").
+ * Props:
+ *  - traces: entries from explainClauses()
+ *  - onAiExplain?: (trace, { signal }) => Promise<string>  — optional plain-language sentence; may be cancelled
+ *  - showSources?: boolean  — label each clause with its workbook (base / overlay)
+ *  - changes?: Map<PC_ID, { from, to }>  — clauses the last answer change moved, marked "was …"
+ */
+export default function ClauseExplainer({ traces = [], onAiExplain, showSources = false, changes }) {
+  const [open, setOpen] = useState(null);
+  const [ai, setAi] = useState({}); // pc -> { busy, text, error, cancelled }
+  const pending = useRef(new Map()); // pc -> AbortController
+  useEffect(() => {
+    const requests = pending.current;
+    return () => requests.forEach((c) => c.abort());
+  }, []);
+
+  const askAi = async (t) => {
+    const ctrl = new AbortController();
+    pending.current.set(t.pc, ctrl);
+    setAi((p) => ({ ...p, [t.pc]: { busy: true } }));
+    try {
+      const text = await onAiExplain(t, { signal: ctrl.signal });
+      setAi((p) => ({ ...p, [t.pc]: { text } }));
+    } catch (e) {
+      const error = e?.title ? `${e.title}: ${e.message}` : e?.message || String(e);
+      setAi((p) => ({ ...p, [t.pc]: isAbort(e) ? { cancelled: true } : { error } }));
+    } finally {
+      pending.current.delete(t.pc);
+    }
+  };
+
+  const renderTags = (title, list) =>
+    list.length > 0 && (
+      <>
+        <h6 style={{ marginTop: 12 }}>{title}</h6>
+        <table className="striped" style={{ fontSize: 13 }}>
+          <thead>
+            <tr>
+              <th>Tag</th>
+              <th>Question</th>
+              <th>Needs</th>
+              <th>Current</th>
+            </tr>
+          </thead>
+          <tbody>
+            {list.map((tag) => (
+              <tr key={`${title}-${tag.tagId}`}>
+                <td>
+                  {tag.tagId}
+                  {tag.label ? <div className="grey-text">{tag.label}</div> : null}
+                </td>
+                <td>{tag.question || <span className="grey-text">(no question)</span>}</td>
+                <td>{tag.wanted == null ? "expr" : valueText(tag.wanted)}</td>
+                <td className={tag.ok === false ? "red-text" : tag.ok ? "green-text" : "grey-text"}>
+                  {valueText(tag.value)}
+                  {tag.answer && String(tag.answer) !== valueText(tag.value) ? ` (${tag.answer})` : ""}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </>
+    );
+
+  if (!traces.length) return <p className="grey-text">No clauses resolved for this template.</p>;
+
+  return (
+    <ul className="collapsible" style={{ margin: 0 }}>
+      {traces.map((t) => {
+        const r = RESULT[t.result] || RESULT[0];
+        const isOpen = open === t.pc;
+        const aiState = ai[t.pc];
+        const change = changes?.get(String(t.pc));
+        return (
+          <li key={`explain-${t.pc}`} className={isOpen ? "active" : undefined}>
+            <div
+              className="collapsible-header"
+              style={{ display: "flex", gap: 12, alignItems: "center", cursor: "pointer" }}
+              onClick={() => setOpen(isOpen ? null : t.pc)}
+            >
+              <span className={`new badge ${r.color}`} data-badge-caption="" style={{ marginLeft: 0 }}>
+                {r.label}
+              </span>
+              <span>
+                <b>{t.pc}</b> {t.name || t.number}
+              </span>
+              {change && (
+                <span className="orange-text text-darken-2" style={{ fontSize: 12 }} title="Changed by your last answer">
+                  <i className="material-icons tiny">history</i> was {(RESULT[change.from] || RESULT[0]).label}
+                </span>
+              )}
+              {showSources && t.source && (
+                <span className="grey-text" style={{ marginLeft: "auto", fontSize: 12 }}>
+                  {t.source}
+                </span>
+              )}
+            </div>
+            {isOpen && (
+              <div className="collapsible-body" style={{ display: "block", padding: 16 }}>
+                <p>
+                  {t.reason}
+                  {t.decidedBy && (
+                    <>
+                      {" "}
+                      <span className="grey-text">
+                        Deciding tag: {t.decidedBy.tagId}
+                        {t.decidedBy.question ? ` — “${t.decidedBy.question}”` : ""}
+                      </span>
+                    </>
+                  )}
+                </p>
+                {t.expression && (
+                  <p>
+                    Include_If_Expr: <code>{t.expression}</code>
+                  </p>
+                )}
+                {renderTags(t.expression ? "Expression tags" : "Include if Yes", t.include)}
+                {renderTags("Exclude if Yes", t.exclude)}
+
+                {onAiExplain && (
+                  <div style={{ marginTop: 12 }}>
+                    <button
+                      className={`btn-small ${aiState?.busy ? "disabled" : "blue"}`}
+                      onClick={() => askAi(t)}
+                      disabled={aiState?.busy}
+                    >
+                      {aiState?.busy ? "Asking…" : "Plain-language summary (AI)"}
+                    </button>
+                    {aiState?.busy && (
+                      <button className="btn-small btn-flat" onClick={() => pending.current.get(t.pc)?.abort()}>
+                        Cancel
+                      </button>
+                    )}
+                    {aiState?.text && <p style={{ marginTop: 8 }}>{aiState.text}</p>}
+                    {aiState?.cancelled && <p className="grey-text">Cancelled.</p>}
+                    {aiState?.error && <p className="red-text">{aiState.error}</p>}
+                  </div>
+                )}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
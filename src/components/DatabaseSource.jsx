@@ -0,0 +1,144 @@
+// src/components/DatabaseSource.jsx
+import React, { useRef, useState } from "react";
+
+/**
+ * Pick or drop the database to work from: a DB.xlsx-style workbook, one CSV per sheet
+ * ("Tag Table.csv", "Clause Table.csv", ...), or a JSON export made with "Export JSON".
+ * Props:
+ *  - source: { kind, name, loadedAt } | null  (from useDatabase)
+ *  - busy: boolean
+ *  - onLoadFiles: (files: FileList | File[]) => void
+ *  - onLoadDefault: () => void
+ *  - onExportJson: (() => void) | undefined  (undefined while no database is loaded)
+ *  - overlays: [{ name, added, replaced, removed, notFound[] }]  (from useDatabase)
+ *  - onAddOverlays: (files: File[]) => void
+ *  - onRemoveOverlay: (index) => void
+ *
+ * Overlay workbooks use the DB.xlsx sheet names; rows replace or add by Tag_ID, PC_ID,
+ * Variable_ID or Name, and an "Overlay_Action" column set to "remove" deletes a row.
+ */
+export default function DatabaseSource({
+  source,
+  busy,
+  onLoadFiles,
+  onLoadDefault,
+  onExportJson,
+  overlays = [],
+  onAddOverlays,
+  onRemoveOverlay,
+}) {
+  const xlsxRef = useRef(null);
+  const csvRef = useRef(null);
+  const jsonRef = useRef(null);
+  const overlayRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const picker = (ref, accept, multiple, onFiles = onLoadFiles) => (
+    <input
+      ref={ref}
+      type="file"
+      accept={accept}
+      multiple={multiple}
+      style={{ display: "none" }}
+      onChange={(e) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = "";
+        if (files.length) onFiles(files);
+      }}
+    />
+  );
+
+  return (
+    <details>
+      <summary>
+        Database source — {source ? source.name : "none loaded"}
+        {overlays.length > 0 && ` + ${overlays.map((o) => o.name).join(" + ")}`}
+      </summary>
+      <div
+        className={`card-panel ${dragging ? "blue lighten-4" : "grey lighten-5"}`}
+        style={{ border: "2px dashed #90a4ae", marginTop: 8 }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          if (e.dataTransfer.files?.length) onLoadFiles(e.dataTransfer.files);
+        }}
+      >
+        <p style={{ marginTop: 0 }}>
+          Drop a workbook (.xlsx), a JSON export, or one CSV file per sheet here — or choose:
+        </p>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <button className="btn-small blue" disabled={busy} onClick={() => xlsxRef.current?.click()}>
+            Open workbook
+          </button>
+          <button
+            className="btn-small blue"
+            disabled={busy}
+            onClick={() => csvRef.current?.click()}
+            title='One file per sheet, named after it (e.g. "Tag Table.csv")'
+          >
+            Open CSV files
+          </button>
+          <button className="btn-small blue" disabled={busy} onClick={() => jsonRef.current?.click()}>
+            Import JSON
+          </button>
+          <button
+            className={`btn-small ${onExportJson ? "blue" : "disabled"}`}
+            disabled={!onExportJson}
+            onClick={onExportJson}
+            title="Download the normalized database as JSON"
+          >
+            Export JSON
+          </button>
+          {source?.kind !== "default" && (
+            <button className="btn-flat btn-small" disabled={busy} onClick={onLoadDefault}>
+              Back to bundled DB.xlsx
+            </button>
+          )}
+        </div>
+        {picker(xlsxRef, ".xlsx,.xlsm,.xls", false)}
+        {picker(csvRef, ".csv,text/csv", true)}
+        {picker(jsonRef, "application/json,.json", false)}
+      </div>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <button
+          className="btn-small blue"
+          disabled={busy || !source}
+          onClick={() => overlayRef.current?.click()}
+          title="Agency workbook whose rows replace, add to or remove rows of the base"
+        >
+          Add overlay workbook
+        </button>
+        <span className="grey-text">Applied in order, on top of {source ? source.name : "the base"}.</span>
+        {picker(overlayRef, ".xlsx,.xlsm,.xls", true, onAddOverlays)}
+      </div>
+      {overlays.length > 0 && (
+        <ul className="collection">
+          {overlays.map((o, i) => (
+            <li className="collection-item" key={`overlay-${i}-${o.name}`}>
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <b>{i + 1}. {o.name}</b>
+                <span className="grey-text">
+                  {o.replaced} replaced, {o.added} added, {o.removed} removed
+                </span>
+                <button className="btn-flat btn-small" style={{ marginLeft: "auto" }} onClick={() => onRemoveOverlay(i)}>
+                  Remove
+                </button>
+              </div>
+              {o.notFound?.length > 0 && (
+                <div className="amber-text text-darken-3">
+                  Nothing to remove for: {o.notFound.join(", ")}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,125 @@
+// src/components/FieldControl.jsx
+import React from "react";
+import { MULTI_SEPARATOR, splitMulti } from "../lib/fields";
+import { parseAmount, formatAmount } from "../lib/thresholds";
+
+/** rule.control -> <input type> for the plain single-line controls */
+const INPUT_TYPES = { date: "date", time: "time", number: "number", email: "email", tel: "tel" };
+
+/**
+ * The bare input for a field rule (see lib/fields.js) — no label or messages;
+ * Question and VariableField wrap it.
+ * Props: id, name, rule, value, onChange(value), onBlur?, invalid
+ */
+export default function FieldControl({ id, name, rule, value, onChange, onBlur, invalid }) {
+  const raw = String(value ?? "");
+  const className = invalid ? "invalid" : "validate";
+
+  switch (rule.control) {
+    case "textarea":
+      return (
+        <textarea
+          id={id}
+          className={`materialize-textarea ${className}`}
+          value={raw}
+          onChange={(e) => onChange(e.target.value)}
+          onBlur={onBlur}
+          style={{ minHeight: 72 }}
+        />
+      );
+
+    case "select":
+      return (
+        <select id={id} className="browser-default" value={raw} onChange={(e) => onChange(e.target.value)} onBlur={onBlur}>
+          <option value="">— Select —</option>
+          {rule.options.map((opt, i) => (
+            <option key={`${id}-opt-${i}`} value={opt}>
+              {opt}
+            </option>
+          ))}
+        </select>
+      );
+
+    case "multiselect":
+    case "checkboxes": {
+      const picked = splitMulti(raw);
+      const toggle = (opt) => {
+        const next = picked.includes(opt) ? picked.filter((p) => p !== opt) : [...picked, opt];
+        // keep the EntryCategory order so the stored answer is stable
+        onChange(rule.options.filter((o) => next.includes(o)).join(MULTI_SEPARATOR));
+      };
+      return (
+        <div id={id} style={{ display: "flex", flexDirection: "column", gap: 4 }} onBlur={onBlur}>
+          {rule.options.map((opt, i) => (
+            <label key={`${id}-m-${i}`}>
+              <input type="checkbox" className="filled-in" checked={picked.includes(opt)} onChange={() => toggle(opt)} />
+              <span>{opt}</span>
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    case "radio": {
+      const choices = rule.options.length ? rule.options : ["Yes", "No"];
+      return (
+        <div id={id} style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+          {choices.map((opt, i) => (
+            <label key={`${id}-r-${i}`} style={{ cursor: "pointer" }}>
+              <input
+                className="with-gap"
+                name={name || id}
+                type="radio"
+                value={opt}
+                checked={raw === String(opt)}
+                onChange={(e) => onChange(e.target.value)}
+              />
+              <span>{opt}</span>
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    case "currency": {
+      const amount = parseAmount(raw);
+      return (
+        <input
+          id={id}
+          type="text"
+          inputMode="decimal"
+          className={className}
+          value={raw}
+          onChange={(e) => onChange(e.target.value)}
+          onBlur={() => {
+            if (amount != null) onChange(formatAmount(amount));
+            onBlur?.();
+          }}
+          placeholder={rule.hint}
+          autoComplete="off"
+        />
+      );
+    }
+
+    default: {
+      // text, date, time, number, email, tel, uei, duns, naics
+      const upper = rule.control === "uei";
+      return (
+        <input
+          id={id}
+          type={INPUT_TYPES[rule.control] || "text"}
+          inputMode={["duns", "naics"].includes(rule.control) ? "numeric" : undefined}
+          className={className}
+          value={raw}
+          min={rule.control === "number" && rule.min != null ? rule.min : undefined}
+          max={rule.control === "number" && rule.max != null ? rule.max : undefined}
+          maxLength={{ uei: 12, naics: 6, duns: 11 }[rule.control]}
+          onChange={(e) => onChange(upper ? e.target.value.toUpperCase() : e.target.value)}
+          onBlur={onBlur}
+          placeholder={rule.hint}
+          autoComplete="off"
+        />
+      );
+    }
+  }
+}
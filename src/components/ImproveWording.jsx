@@ -0,0 +1,65 @@
+// src/components/ImproveWording.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { isAbort } from "../lib/aiResponse";
+
+/**
+ * "Improve wording" for the pending Build questions: asks the inference provider to
+ * reword them, shown in place of the workbook's Question / Helper_Text until reset.
+ * Props:
+ *  - count: number            — questions that would be sent
+ *  - improved: number         — questions currently shown with improved wording
+ *  - onImprove: ({ signal }) => Promise<number>  — resolves to the number reworded; may be cancelled
+ *  - onReset: () => void      — back to the workbook's wording
+ *  - providerLabel?: string
+ */
+export default function ImproveWording({ count, improved, onImprove, onReset, providerLabel }) {
+  const [state, setState] = useState({}); // { busy, error, cancelled, done }
+  const pending = useRef(null);
+  useEffect(() => () => pending.current?.abort(), []);
+
+  const run = async () => {
+    const ctrl = new AbortController();
+    pending.current = ctrl;
+    setState({ busy: true });
+    try {
+      const done = await onImprove({ signal: ctrl.signal });
+      setState({ done });
+    } catch (e) {
+      const error = e?.title ? `${e.title}: ${e.message}` : e?.message || String(e);
+      setState(isAbort(e) ? { cancelled: true } : { error });
+    } finally {
+      pending.current = null;
+    }
+  };
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", marginBottom: 12 }}>
+      {state.busy ? (
+        <>
+          <span className="grey-text">Rewording {count} question{count === 1 ? "" : "s"}…</span>
+          <button type="button" className="btn-small btn-flat" onClick={() => pending.current?.abort()}>
+            Cancel
+          </button>
+        </>
+      ) : (
+        <button
+          type="button"
+          className="btn-small btn-flat deep-purple-text"
+          disabled={!count}
+          onClick={run}
+          title={providerLabel ? `Uses ${providerLabel}` : ""}
+        >
+          <i className="material-icons left">auto_fix_high</i>Improve wording
+        </button>
+      )}
+      {improved > 0 && !state.busy && (
+        <button type="button" className="btn-small btn-flat" onClick={onReset}>
+          Original wording ({improved})
+        </button>
+      )}
+      {state.error && <span className="red-text text-darken-2">{state.error}</span>}
+      {state.cancelled && <span className="grey-text">Cancelled.</span>}
+      {state.done === 0 && <span className="grey-text">No wording changes suggested.</span>}
+    </div>
+  );
+}
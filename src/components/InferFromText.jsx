@@ -1,71 +1,271 @@
 // src/components/InferFromText.jsx
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useAi } from "../modules/useAi";
+import { screenSuggestions } from "../lib/inference";
+import { AiError, isAbort } from "../lib/aiResponse";
+import { chunkText, mergeChunkResults, readSourceFile, DEFAULT_CHUNK_TOKENS, SOURCE_ACCEPT } from "../lib/ingest";
+import SuggestionReview from "./SuggestionReview";
 
-export default function InferFromText({ templateName, onApplyTags, onApplyVariables }) {
-  const { inferTags, extractVariables } = useAi();
+/**
+ * Paste text or drop source documents (.docx, .txt, .md, .html), ask the configured
+ * inference provider for tag answers and variable values chunk by chunk, then review
+ * the merged suggestions (SuggestionReview) before any becomes an answer.
+ * Suggestions for other templates' tags or with values the field cannot take are dropped
+ * (screenSuggestions) and listed; a run can be cancelled between or during requests.
+ * Props: templateName, tags[], variables[] (repository records), answeredTags, answeredVariables,
+ *        entryOptions (Map: canon Entry_Category -> options),
+ *        onAcceptTags([{ tagId, answer, confidence?, evidence? }]),
+ *        onAcceptVariables([{ variableId, value, confidence?, evidence? }])
+ */
+export default function InferFromText({
+  templateName,
+  tags = [],
+  variables = [],
+  answeredTags = {},
+  answeredVariables = {},
+  entryOptions,
+  onAcceptTags,
+  onAcceptVariables,
+}) {
+  const ai = useAi();
   const [text, setText] = useState("");
+  const [sources, setSources] = useState([]); // [{ name, kind, text }]
+  const [dragging, setDragging] = useState(false);
   const [busy, setBusy] = useState(false);
-  const [found, setFound] = useState({ tags: [], vars: [] });
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [error, setError] = useState(null); // AiError | Error
+  const [rejected, setRejected] = useState([]);
+  const abortRef = useRef(null);
+  useEffect(() => () => abortRef.current?.abort(), []);
+  const [fileError, setFileError] = useState("");
+  const [items, setItems] = useState(null);
+
+  const chunkTokens = ai.chunkTokens || DEFAULT_CHUNK_TOKENS;
+  const allSources = text.trim() ? [...sources, { name: "Pasted text", kind: "text", text }] : sources;
+  const chunks = allSources.flatMap((src) =>
+    chunkText(src.text, { maxTokens: chunkTokens }).map((c) => ({ ...c, source: src.name }))
+  );
+
+  const addFiles = async (fileList) => {
+    const files = [...(fileList || [])];
+    if (!files.length) return;
+    setFileError("");
+    const read = await Promise.allSettled(files.map(readSourceFile));
+    const loaded = read.filter((r) => r.status === "fulfilled").map((r) => r.value);
+    const failed = read.filter((r) => r.status === "rejected").map((r) => r.reason?.message || String(r.reason));
+    if (loaded.length)
+      setSources((list) => [...list.filter((s) => !loaded.some((l) => l.name === s.name)), ...loaded]);
+    if (failed.length) setFileError(failed.join(" · "));
+  };
 
   const run = async () => {
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    const { signal } = ctrl;
     setBusy(true);
+    setError(null);
+    setRejected([]);
     try {
-      const [tags, vars] = await Promise.all([
-        inferTags({ text, templateName }),
-        extractVariables({ text, templateName })
+      // one chunk at a time keeps each request inside the provider's budget and rate limits
+      const results = [];
+      const dropped = [];
+      for (const [i, chunk] of chunks.entries()) {
+        if (signal.aborted) throw new AiError("aborted", "The request was cancelled.");
+        setProgress({ done: i, total: chunks.length });
+        const [tagHits, varHits] = await Promise.all([
+          tags.length ? ai.inferTags({ text: chunk.text, tags, templateName, entryOptions, signal }) : [],
+          variables.length ? ai.inferVariables({ text: chunk.text, variables, templateName, signal }) : [],
+        ]);
+        const screened = screenSuggestions({ tags: tagHits, variables: varHits }, { tags, variables, entryOptions });
+        dropped.push(...screened.rejected);
+        results.push({ source: chunk.source, heading: chunk.heading, tags: screened.tags, variables: screened.variables });
+      }
+      setRejected(dropped);
+      const merged = mergeChunkResults(results);
+      const tagById = new Map(tags.map((t) => [t.Tag_ID, t]));
+      const variableById = new Map(variables.map((v) => [v.Variable_ID, v]));
+      const common = (s) => ({
+        confidence: s.confidence,
+        evidence: s.evidence,
+        where: chunks.length > 1 ? s.where : "",
+        conflicts: s.conflicts,
+      });
+      setItems([
+        ...merged.tags.map((t) => {
+          const tag = tagById.get(t.tagId);
+          return {
+            key: `tag-${t.tagId}`,
+            kind: "tag",
+            id: t.tagId,
+            question: tag?.Question ? `${tag.Question} (${tag.Tag})` : tag?.Tag || `Tag ${t.tagId}`,
+            answer: t.answer,
+            current: answeredTags[String(t.tagId)] || "",
+            ...common(t),
+          };
+        }),
+        ...merged.variables.map((v) => {
+          const variable = variableById.get(v.variableId);
+          return {
+            key: `var-${v.variableId}`,
+            kind: "variable",
+            id: v.variableId,
+            question: variable?.Question || variable?.Name || `Variable ${v.variableId}`,
+            answer: v.value,
+            current: answeredVariables[String(v.variableId)] || "",
+            ...common(v),
+          };
+        }),
       ]);
-      setFound({ tags, vars });
+    } catch (e) {
+      if (!isAbort(e)) console.error("Inference failed:", e);
+      setError(e);
     } finally {
+      abortRef.current = null;
       setBusy(false);
+      setProgress(null);
     }
   };
 
+  const accept = (list) => {
+    const pick = (kind) => list.filter((s) => s.kind === kind);
+    const tagsAccepted = pick("tag").map((s) => ({ tagId: s.id, answer: s.answer, confidence: s.confidence, evidence: s.evidence }));
+    const varsAccepted = pick("variable").map((s) => ({
+      variableId: s.id,
+      value: s.answer,
+      confidence: s.confidence,
+      evidence: s.evidence,
+    }));
+    if (tagsAccepted.length) onAcceptTags?.(tagsAccepted);
+    if (varsAccepted.length) onAcceptVariables?.(varsAccepted);
+  };
+
   return (
     <div className="card">
       <div className="card-content">
-        <span className="card-title">Infer from Text</span>
-        <div className="input-field">
-          <textarea
-            className="materialize-textarea"
-            value={text}
-            onChange={(e) => setText(e.target.value)}
-            placeholder="Paste RFP or notes here…"
-            rows={6}
-          />
-        </div>
-        <button className={`btn ${busy ? "disabled" : ""}`} onClick={run}>
-          {busy ? "Analyzing…" : "Analyze"}
-        </button>
+        <span className="card-title">Infer answers from text or documents</span>
+        <p className="grey-text" style={{ marginBottom: 12 }}>
+          Paste scope or requirements text, or drop source documents; {ai.label} proposes tag answers and
+          variable values for you to review. Accepted answers are marked “AI-suggested” until you confirm them.
+        </p>
+        <textarea
+          className="materialize-textarea"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Paste project text or requirements here…"
+          style={{ minHeight: 120 }}
+        />
 
-        {found.tags.length > 0 || found.vars.length > 0 ? (
-          <>
-            <ul className="collection with-header" style={{ marginTop: 16 }}>
-              <li className="collection-header"><h6>Tag suggestions</h6></li>
-              {found.tags.map((t, i) => (
-                <li className="collection-item" key={`tag-sug-${t.tagId}-${i}`}>
-                  <span className="title">Tag {t.tagId}</span>
-                  <p>{t.answer} {t.confidence ? `· ${Math.round(t.confidence*100)}%` : ""}</p>
+        <div
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragging(false);
+            addFiles(e.dataTransfer.files);
+          }}
+          className={dragging ? "blue lighten-5" : ""}
+          style={{ border: "2px dashed #bdbdbd", borderRadius: 4, padding: 12, marginTop: 8 }}
+        >
+          <i className="material-icons left grey-text">upload_file</i>
+          Drop .docx, .txt, .md or .html files here, or{" "}
+          <label style={{ fontSize: "inherit", cursor: "pointer" }}>
+            <a>choose files</a>
+            <input
+              type="file"
+              multiple
+              accept={SOURCE_ACCEPT}
+              style={{ display: "none" }}
+              onChange={(e) => {
+                addFiles(e.target.files);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          {sources.length > 0 && (
+            <ul className="collection" style={{ margin: "8px 0 0" }}>
+              {sources.map((src) => (
+                <li className="collection-item" key={src.name} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <span style={{ flex: 1 }}>
+                    {src.name}{" "}
+                    <span className="grey-text">
+                      ({src.kind}, {src.text.length.toLocaleString()} characters,{" "}
+                      {chunks.filter((c) => c.source === src.name).length} chunk(s))
+                    </span>
+                  </span>
+                  <button
+                    type="button"
+                    className="btn-small btn-flat"
+                    title="Remove"
+                    onClick={() => setSources((list) => list.filter((s) => s !== src))}
+                  >
+                    <i className="material-icons">close</i>
+                  </button>
                 </li>
               ))}
             </ul>
+          )}
+        </div>
 
-            <ul className="collection with-header">
-              <li className="collection-header"><h6>Variable suggestions</h6></li>
-              {found.vars.map((v, i) => (
-                <li className="collection-item" key={`var-sug-${v.variableId}-${i}`}>
-                  <span className="title">Var {v.variableId}</span>
-                  <p>{v.value} {v.confidence ? `· ${Math.round(v.confidence*100)}%` : ""}</p>
+        {fileError && <p className="red-text">Could not read — {fileError}</p>}
+        {error &&
+          (isAbort(error) ? (
+            <p className="grey-text">Cancelled — nothing was changed.</p>
+          ) : (
+            <div className="card-panel red lighten-5" style={{ marginTop: 12 }}>
+              <strong className="red-text text-darken-2">{error instanceof AiError ? error.title : "Inference failed"}</strong>
+              <div>
+                {error.message}
+                {error.code === "timeout" && " Try again, or split the text into smaller documents."}
+              </div>
+              {error.details?.length > 0 && (
+                <ul className="browser-default grey-text" style={{ margin: "4px 0 0", fontSize: 13 }}>
+                  {error.details.slice(0, 5).map((d) => (
+                    <li key={d}>{d}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        {rejected.length > 0 && (
+          <details style={{ marginTop: 8 }}>
+            <summary className="grey-text">
+              {rejected.length} suggestion{rejected.length === 1 ? "" : "s"} dropped (not in this template, or not a valid value)
+            </summary>
+            <ul className="browser-default" style={{ margin: "4px 0 0", fontSize: 13 }}>
+              {rejected.map((r, i) => (
+                <li key={`${r.kind}-${r.id}-${i}`}>
+                  {r.kind === "tag" ? "Tag" : "Variable"} {r.id} → “{String(r.value ?? "")}”: {r.reason}
                 </li>
               ))}
             </ul>
-
-            <div className="section" style={{ display: "flex", gap: 8 }}>
-              <button className="btn" onClick={() => onApplyTags?.(found.tags)}>Apply Tags</button>
-              <button className="btn" onClick={() => onApplyVariables?.(found.vars)}>Apply Variables</button>
-            </div>
-          </>
-        ) : null}
+          </details>
+        )}
+        {items && items.length === 0 && <p className="grey-text">No suggestions to review.</p>}
+        {items && (
+          <SuggestionReview
+            items={items}
+            onAccept={accept}
+            onDone={(keys) => setItems((list) => list.filter((s) => !keys.includes(s.key)))}
+          />
+        )}
+      </div>
+      <div className="card-action">
+        <button
+          className={`btn ${busy || !chunks.length ? "disabled" : "blue"}`}
+          onClick={run}
+          disabled={busy || !chunks.length}
+        >
+          {progress ? `Inferring… chunk ${progress.done + 1} of ${progress.total}` : busy ? "Inferring…" : "Infer answers"}
+        </button>
+        {busy && (
+          <button type="button" className="btn-flat" onClick={() => abortRef.current?.abort()}>
+            Cancel
+          </button>
+        )}
+        {!busy && chunks.length > 1 && <span className="grey-text">{chunks.length} chunks</span>}
       </div>
     </div>
   );
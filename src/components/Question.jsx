@@ -1,11 +1,84 @@
-import React, { useId } from "react";
+import React, { useId, useState } from "react";
+import { parseAmount, formatAmount } from "../lib/thresholds";
+import { MULTI_SEPARATOR, fieldRule, splitMulti, validateField } from "../lib/fields";
+import FieldControl from "./FieldControl";
+
+/** controls QuestionInput renders itself; the rest go through FieldControl */
+const OWN_CONTROLS = new Set(["hidden", "text", "select", "radio", "currency", "checkboxes"]);
+/** controls whose every change is a whole answer; the others report keystrokes */
+const DISCRETE_CONTROLS = new Set(["select", "multiselect", "radio", "checkboxes"]);
 
 /**
  * Generic Question component with proper Materialize markup.
  * Props:
- *  - tagId, label, helper, entryType, entryCategory, value, options[], onChange(id, val)
+ *  - tagId, label, helper, entryType, entryCategory, value, options[],
+ *    onChange(id, val, { typing }) — `typing` when the change is a keystroke in a text answer
+ *  - origin?: "default" | "user"  — the answer is the template's Default_Answers value,
+ *    or the user's own; omit for questions the template has no default for
+ *  - defaultValue?: string        — shown when the user overrode the default
+ *  - aiSuggestion?: { confidence?, evidence? } — the answer was accepted from an AI
+ *    suggestion and is labelled until onConfirmAi() (or any edit by the user)
+ * Date, number, email, multi-select etc. come from fieldRule (lib/fields.js) and show
+ * their validation message inline. A checkbox group takes its members' labels as
+ * options and reports the checked ones, joined by "; ", when the user saves.
  */
-export default function Question({
+export default function Question({ origin, defaultValue, aiSuggestion, onConfirmAi, ...props }) {
+  const input = <QuestionInput {...props} />;
+  if (String(props.entryType || "").toLowerCase() === "no display") return input;
+  if (aiSuggestion) {
+    return (
+      <AiSuggestedMark suggestion={aiSuggestion} onConfirm={onConfirmAi}>
+        {input}
+      </AiSuggestedMark>
+    );
+  }
+  if (!origin) return input;
+
+  const isDefault = origin === "default";
+  return (
+    <div style={{ borderLeft: `3px solid ${isDefault ? "#64b5f6" : "#bdbdbd"}`, paddingLeft: 12 }}>
+      <div style={{ marginBottom: 8 }}>
+        <span
+          className={`new badge ${isDefault ? "blue" : "grey"}`}
+          data-badge-caption=""
+          style={{ float: "none", marginLeft: 0 }}
+        >
+          {isDefault ? "Template default" : "Your answer"}
+        </span>
+        {!isDefault && defaultValue != null && (
+          <span className="grey-text"> default was “{defaultValue}”</span>
+        )}
+      </div>
+      {input}
+    </div>
+  );
+}
+
+/** "AI-suggested" frame with the supporting sentence and a Confirm button (also used by VariableField) */
+export function AiSuggestedMark({ suggestion, onConfirm, children }) {
+  return (
+    <div style={{ borderLeft: "3px solid #9575cd", paddingLeft: 12 }}>
+      <div style={{ marginBottom: 8, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <span className="new badge deep-purple" data-badge-caption="" style={{ float: "none", marginLeft: 0 }}>
+          AI-suggested{suggestion.confidence != null ? ` · ${Math.round(suggestion.confidence * 100)}%` : ""}
+        </span>
+        {suggestion.evidence && (
+          <span className="grey-text" style={{ fontSize: 13 }}>
+            “{suggestion.evidence}”
+          </span>
+        )}
+        {onConfirm && (
+          <button type="button" className="btn-small btn-flat deep-purple-text" onClick={onConfirm}>
+            <i className="material-icons left">done</i>Confirm
+          </button>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function QuestionInput({
   tagId,
   label,
   helper,
@@ -22,6 +95,64 @@ export default function Question({
   if (type === "no display") return null;
 
   const handleChange = (e) => onChange(tagId, e.target.value);
+  const handleTyping = (e) => onChange(tagId, e.target.value, { typing: true });
+  const rule = fieldRule({ Entry_Type: entryType, Entry_Category: entryCategory }, options);
+  const error = String(value ?? "").trim() ? validateField(rule, value) : "";
+
+  // CHECKBOX GROUP — "Which of these apply?"; nothing is answered until Save
+  if (rule.control === "checkboxes") {
+    return (
+      <CheckboxGroupInput
+        key={String(value ?? "")}
+        inputId={inputId}
+        label={label}
+        helper={helper}
+        options={options}
+        value={value}
+        onSave={(val) => onChange(tagId, val)}
+      />
+    );
+  }
+
+  // TYPED — date, time, number, email, phone, UEI/DUNS/NAICS, text area, multi-select
+  if (!OWN_CONTROLS.has(rule.control)) {
+    return (
+      <div style={{ marginBottom: 24 }}>
+        <label htmlFor={inputId} style={{ display: "block", fontWeight: 600, marginBottom: 6 }}>
+          {label}
+          {rule.required && <span className="red-text"> *</span>}
+        </label>
+        <FieldControl
+          id={inputId}
+          name={`tag-${tagId}`}
+          rule={rule}
+          value={value}
+          onChange={(val) => onChange(tagId, val, { typing: !DISCRETE_CONTROLS.has(rule.control) })}
+          invalid={!!error}
+        />
+        {error ? (
+          <div className="red-text text-darken-2" style={{ marginTop: 6 }}>{error}</div>
+        ) : helper || rule.hint ? (
+          <div className="grey-text" style={{ marginTop: 6 }}>{helper || rule.hint}</div>
+        ) : null}
+      </div>
+    );
+  }
+
+  // CURRENCY — amount Entry_Categories (BAOV etc.), ranged ones too; accepts "$1.2M", "250,000", "35K"
+  if (rule.control === "currency") {
+    return (
+      <CurrencyInput
+        key={String(value ?? "")}
+        inputId={inputId}
+        label={label}
+        helper={helper}
+        rule={rule}
+        value={value}
+        onCommit={(val) => onChange(tagId, val)}
+      />
+    );
+  }
 
   // TEXT INPUT — Materialize expects input first, then label (floating)
   if (type === "text" || type === "input" || type === "") {
@@ -32,7 +163,7 @@ export default function Question({
           type="text"
           className="validate"
           value={value ?? ""}
-          onChange={handleChange}
+          onChange={handleTyping}
           placeholder=""
           autoComplete="off"
         />
@@ -103,7 +234,7 @@ export default function Question({
         type="text"
         className="validate"
         value={value ?? ""}
-        onChange={handleChange}
+        onChange={handleTyping}
         autoComplete="off"
       />
       <label htmlFor={inputId} className={value ? "active" : undefined}>
@@ -113,3 +244,81 @@ export default function Question({
     </div>
   );
 }
+
+/**
+ * Checkboxes edited as a draft: every member tag is answered (checked or not) at
+ * once, so the question doesn't resolve — and drop out of the list — on the first click.
+ */
+function CheckboxGroupInput({ inputId, label, helper, options, value, onSave }) {
+  const [draft, setDraft] = useState(() => splitMulti(value));
+  const toggle = (opt) => setDraft((d) => (d.includes(opt) ? d.filter((o) => o !== opt) : [...d, opt]));
+
+  return (
+    <div style={{ marginBottom: 24 }}>
+      <div style={{ marginBottom: 6, fontWeight: 600 }}>{label}</div>
+      <div id={inputId} style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+        {options.map((opt, i) => (
+          <label key={`${inputId}-c-${i}`}>
+            <input type="checkbox" className="filled-in" checked={draft.includes(opt)} onChange={() => toggle(opt)} />
+            <span>{opt}</span>
+          </label>
+        ))}
+      </div>
+      <div style={{ marginTop: 8, display: "flex", alignItems: "center", gap: 12 }}>
+        <button
+          type="button"
+          className="btn-small blue"
+          onClick={() => onSave(options.filter((o) => draft.includes(o)).join(MULTI_SEPARATOR))}
+        >
+          {draft.length ? `Save (${draft.length} checked)` : "None of these apply"}
+        </button>
+        {helper ? <span className="grey-text">{helper}</span> : null}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Amount typed as a draft and answered on blur / Enter: every threshold tag follows
+ * the amount, so answering per keystroke would decide them all on the first digit
+ * and drop the question while it is still being typed.
+ */
+function CurrencyInput({ inputId, label, helper, rule, value, onCommit }) {
+  const [draft, setDraft] = useState(() => String(value ?? ""));
+  const amount = parseAmount(draft);
+  const error = draft.trim() ? validateField(rule, draft) : "";
+
+  const commit = () => {
+    const next = amount != null ? formatAmount(amount) : draft.trim();
+    if (next !== String(value ?? "")) onCommit(next);
+  };
+
+  return (
+    <div className="input-field" style={{ marginBottom: 24 }}>
+      <input
+        id={inputId}
+        type="text"
+        inputMode="decimal"
+        className={error ? "invalid" : "validate"}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            commit();
+          }
+        }}
+        placeholder=""
+        autoComplete="off"
+      />
+      <label htmlFor={inputId} className={draft ? "active" : undefined}>
+        {label}
+      </label>
+      <span className="helper-text" data-error={error}>
+        {amount != null ? `= ${formatAmount(amount)} (press Enter to apply)` : helper || "e.g. $250,000 or $1.2M"}
+      </span>
+      {amount != null && helper ? <span className="helper-text">{helper}</span> : null}
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+// src/components/ReviewPage.jsx
+import React from "react";
+
+/**
+ * Last wizard page: every answer, the clauses they include, what is still open,
+ * and the way into generation.
+ * Props:
+ *  - answers: [{ tagId, question, answer, category, ai }]   (in the order answered; ai = AI-suggested, unconfirmed)
+ *  - included: [{ pc, name }]
+ *  - unresolved: { questions: [{ tagId, question, category }], clauses: [{ pc, name }] }
+ *  - fieldIssues: invalidFields() result
+ *  - canGenerate, generating, onGenerate(), onFill(), onEdit(category)
+ */
+export default function ReviewPage({
+  answers,
+  included,
+  unresolved,
+  fieldIssues,
+  canGenerate,
+  generating,
+  onGenerate,
+  onFill,
+  onEdit,
+}) {
+  const open = unresolved.questions.length + unresolved.clauses.length;
+
+  return (
+    <div>
+      <span className="card-title">Review</span>
+
+      <h6>Answers ({answers.length})</h6>
+      {answers.length === 0 ? (
+        <p className="grey-text">Nothing answered yet.</p>
+      ) : (
+        <table className="striped" style={{ fontSize: 14 }}>
+          <tbody>
+            {answers.map((a) => (
+              <tr key={`review-${a.tagId}`}>
+                <td>{a.question}</td>
+                <td>
+                  <b>{a.answer}</b>
+                  {a.ai && (
+                    <span className="new badge deep-purple" data-badge-caption="" style={{ float: "none", marginLeft: 8 }}>
+                      AI-suggested
+                    </span>
+                  )}
+                </td>
+                <td style={{ textAlign: "right" }}>
+                  <a
+                    href="#!"
+                    onClick={(e) => {
+                      e.preventDefault();
+                      onEdit(a.category);
+                    }}
+                  >
+                    Edit
+                  </a>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h6 style={{ marginTop: 24 }}>Included clauses ({included.length})</h6>
+      {included.length === 0 ? (
+        <p className="grey-text">No clauses included yet.</p>
+      ) : (
+        <ul className="browser-default" style={{ marginTop: 0 }}>
+          {included.map((c) => (
+            <li key={`inc-${c.pc}`}>
+              <b>{c.pc}</b> {c.name}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h6 style={{ marginTop: 24 }}>Still unresolved ({open})</h6>
+      {open === 0 ? (
+        <p className="green-text text-darken-2">Nothing — every clause condition is decided.</p>
+      ) : (
+        <ul className="browser-default" style={{ marginTop: 0 }}>
+          {unresolved.questions.map((q) => (
+            <li key={`open-q-${q.tagId}`}>
+              Question: {q.question}{" "}
+              <a
+                href="#!"
+                onClick={(e) => {
+                  e.preventDefault();
+                  onEdit(q.category);
+                }}
+              >
+                answer
+              </a>
+            </li>
+          ))}
+          {unresolved.clauses.map((c) => (
+            <li key={`open-c-${c.pc}`} className="grey-text">
+              Clause <b>{c.pc}</b> {c.name}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {fieldIssues.length > 0 && (
+        <div className="card-panel red lighten-5" style={{ marginTop: 16 }}>
+          <strong className="red-text text-darken-2">Fix these fields before generating</strong>
+          <ul className="browser-default" style={{ margin: "8px 0 0" }}>
+            {fieldIssues.map((f) => (
+              <li key={`${f.kind}-${f.id}`}>
+                {f.kind === "tag" ? "Question" : "Variable"} {f.id} — {f.label}: {f.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div style={{ marginTop: 16, display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <button type="button" className="btn-flat" onClick={onFill}>
+          Fill in variables
+        </button>
+        <button
+          type="button"
+          className={`btn ${generating || !canGenerate ? "disabled" : "green"}`}
+          disabled={generating || !canGenerate}
+          onClick={onGenerate}
+          title={canGenerate ? "" : open ? "Answer the open questions first" : "Fix the fields above first"}
+        >
+          {generating ? "Generating…" : "Generate document"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+// src/components/SessionPanel.jsx
+import React, { useRef } from "react";
+
+/**
+ * Export / import a questionnaire session file, plus the last restore/import report.
+ * Props:
+ *  - canExport: boolean (a template is selected)
+ *  - onExport: () => void
+ *  - onImport: (file: File) => void
+ *  - notice: { kind: "info"|"warning"|"error", message, details?: string[] } | null
+ *  - onDismiss: () => void
+ *  - onStartOver?: () => void  (shown with restore notices)
+ */
+export default function SessionPanel({ canExport, onExport, onImport, notice, onDismiss, onStartOver }) {
+  const fileRef = useRef(null);
+
+  const color =
+    notice?.kind === "error" ? "red" : notice?.kind === "warning" ? "amber" : "blue";
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <button
+          className={`btn-small ${canExport ? "blue" : "disabled"}`}
+          onClick={onExport}
+          disabled={!canExport}
+          title="Download template, answers and timestamps as JSON"
+        >
+          Export session
+        </button>
+        <button className="btn-small blue" onClick={() => fileRef.current?.click()}>
+          Import session
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) onImport(file);
+          }}
+        />
+      </div>
+
+      {notice && (
+        <div className={`card-panel ${color} lighten-4`} style={{ marginTop: 12 }}>
+          <span className={`${color}-text text-darken-4`}>{notice.message}</span>
+          {notice.details?.length > 0 && (
+            <ul style={{ margin: "8px 0 0" }}>
+              {notice.details.map((d, i) => (
+                <li key={`session-detail-${i}`}>{d}</li>
+              ))}
+            </ul>
+          )}
+          <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
+            {onStartOver && (
+              <button className="btn-flat btn-small" onClick={onStartOver}>
+                Start over
+              </button>
+            )}
+            <button className="btn-flat btn-small" onClick={onDismiss}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
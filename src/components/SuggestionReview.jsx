@@ -0,0 +1,121 @@
+// src/components/SuggestionReview.jsx
+import React, { useState } from "react";
+
+const pct = (c) => (c != null ? `${Math.round(c * 100)}%` : "—");
+const confColor = (c) => (c == null ? "grey" : c >= 0.8 ? "green" : c >= 0.5 ? "amber" : "red");
+
+/**
+ * Review AI suggestions one by one before they become answers.
+ * Props:
+ *  - items: [{ key, kind: "tag"|"variable", id, question, answer, current?, confidence?, evidence?,
+ *              where?, conflicts?: [{ answer, confidence?, evidence?, where? }] }]
+ *    (where = source / section of the evidence; conflicts = other answers found in other chunks)
+ *  - onAccept(items[]) — apply these (they stay labelled "AI-suggested" until confirmed);
+ *    conflicting items are left out of "Accept N" and must be accepted one by one
+ *  - onDone(keys[])    — drop reviewed items (accepted or rejected) from the list
+ */
+export default function SuggestionReview({ items, onAccept, onDone }) {
+  const [threshold, setThreshold] = useState(80);
+  const above = items.filter((s) => s.confidence != null && s.confidence * 100 >= threshold && !s.conflicts?.length);
+
+  const accept = (list) => {
+    if (!list.length) return;
+    onAccept(list);
+    onDone(list.map((s) => s.key));
+  };
+
+  if (!items.length) return null;
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <h6 style={{ margin: 0 }}>Review suggestions ({items.length})</h6>
+        <span style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 8 }}>
+          <label htmlFor="ai-threshold" style={{ whiteSpace: "nowrap" }}>
+            Confidence ≥ {threshold}%
+          </label>
+          <input
+            id="ai-threshold"
+            type="range"
+            min={0}
+            max={100}
+            step={5}
+            value={threshold}
+            onChange={(e) => setThreshold(Number(e.target.value))}
+            style={{ width: 140, margin: 0 }}
+          />
+          <button
+            type="button"
+            className={`btn-small ${above.length ? "green" : "disabled"}`}
+            disabled={!above.length}
+            onClick={() => accept(above)}
+          >
+            Accept {above.length}
+          </button>
+          <button type="button" className="btn-small btn-flat" onClick={() => onDone(items.map((s) => s.key))}>
+            Reject all
+          </button>
+        </span>
+      </div>
+
+      <ul className="collection">
+        {items.map((s) => (
+          <li className="collection-item" key={s.key} style={{ display: "flex", gap: 12, alignItems: "flex-start" }}>
+            <span
+              className={`new badge ${confColor(s.confidence)}`}
+              data-badge-caption=""
+              style={{ float: "none", marginLeft: 0, minWidth: 48 }}
+              title="Provider confidence"
+            >
+              {pct(s.confidence)}
+            </span>
+            <div style={{ flex: 1 }}>
+              <div className="grey-text text-darken-1" style={{ fontSize: 13 }}>
+                {s.kind === "tag" ? "Question" : "Variable"} {s.id}
+              </div>
+              <div>{s.question}</div>
+              <div>
+                → <b>{s.answer}</b>
+                {s.current && s.current !== s.answer && <span className="grey-text"> (currently “{s.current}”)</span>}
+              </div>
+              {s.evidence ? (
+                <blockquote style={{ margin: "6px 0 0", borderLeftColor: "#9575cd", fontSize: 13 }}>
+                  {s.evidence}
+                  {s.where && <div className="grey-text">— {s.where}</div>}
+                </blockquote>
+              ) : (
+                <div className="grey-text" style={{ fontSize: 13, marginTop: 6 }}>
+                  No supporting sentence given.
+                </div>
+              )}
+              {s.conflicts?.length > 0 && (
+                <div className="card-panel amber lighten-4" style={{ margin: "6px 0 0", padding: "6px 10px", fontSize: 13 }}>
+                  <i className="material-icons tiny" style={{ verticalAlign: "middle" }}>
+                    warning
+                  </i>{" "}
+                  <b>Conflicting answers in the sources.</b> Also found:
+                  <ul className="browser-default" style={{ margin: "4px 0 0" }}>
+                    {s.conflicts.map((c) => (
+                      <li key={c.answer}>
+                        <b>{c.answer}</b> ({pct(c.confidence)}){c.where && <span className="grey-text"> — {c.where}</span>}
+                        {c.evidence && <div className="grey-text">“{c.evidence}”</div>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+            <span style={{ display: "flex", gap: 4 }}>
+              <button type="button" className="btn-small green" title="Accept" onClick={() => accept([s])}>
+                <i className="material-icons">check</i>
+              </button>
+              <button type="button" className="btn-small btn-flat" title="Reject" onClick={() => onDone([s.key])}>
+                <i className="material-icons">close</i>
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,8 +1,16 @@
-import React from "react";
+import React, { useId, useState } from "react";
+import FieldControl from "./FieldControl";
+import { AiSuggestedMark } from "./Question";
+import { fieldRule, validateField } from "../lib/fields";
 
 /**
- * Minimal variable field (text for now)
- * Props: variableId, label, helper, entryType, entryCategory, value, onChange(id,val)
+ * Variable field rendered from Entry_Type / Entry_Category
+ * Props: variableId, label, helper, entryType, entryCategory, value, options[], onChange(id,val)
+ *  - computed ({ formula, error, inputs[] }) renders a read-only field with its formula
+ *  - entryType "No Display" renders nothing
+ *  - aiSuggestion ({ confidence, evidence }) frames the field as "AI-suggested" until onConfirmAi()
+ *  - otherwise the control and its checks come from fieldRule (lib/fields.js);
+ *    errors show once the field has a value or has been left
  */
 export default function VariableField({
   variableId,
@@ -11,20 +19,70 @@ export default function VariableField({
   entryType,
   entryCategory,
   value,
+  options = [],
   onChange,
+  computed,
+  aiSuggestion,
+  onConfirmAi,
 }) {
-  const handle = (e) => onChange(variableId, e.target.value);
-  return (
-    <div className="input-field" style={{ marginBottom: 16 }}>
-      <label style={{ display: "block", fontWeight: 600, marginBottom: 6 }}>{label}</label>
-      <input
-        type="text"
-        className="validate"
-        value={value ?? ""}
-        onChange={handle}
-        placeholder={entryCategory || ""}
+  const uid = useId();
+  const inputId = `var-${variableId}-${uid}`;
+  const [touched, setTouched] = useState(false);
+
+  if (computed) {
+    return (
+      <div style={{ marginBottom: 16 }}>
+        <label htmlFor={inputId} style={{ display: "block", fontWeight: 600, marginBottom: 6 }}>
+          {label}
+        </label>
+        <input
+          id={inputId}
+          type="text"
+          value={value ?? ""}
+          readOnly
+          placeholder="Computed once its inputs are filled in"
+          style={{ background: "#f5f5f5" }}
+        />
+        <div className={computed.error ? "red-text" : "grey-text"} style={{ marginTop: 6 }}>
+          <i className="material-icons tiny">functions</i> <code>{computed.formula}</code>
+          {computed.inputs?.length > 0 && ` (${computed.inputs.join("; ")})`}
+          {computed.error && ` — ${computed.error}`}
+        </div>
+      </div>
+    );
+  }
+
+  const rule = fieldRule({ Entry_Type: entryType, Entry_Category: entryCategory }, options);
+  if (rule.control === "hidden") return null;
+
+  const error = validateField(rule, value);
+  const showError = error && (touched || String(value ?? "").trim());
+  const field = (
+    <div style={{ marginBottom: 16 }}>
+      <label htmlFor={inputId} style={{ display: "block", fontWeight: 600, marginBottom: 6 }}>
+        {label}
+        {rule.required && <span className="red-text"> *</span>}
+      </label>
+      <FieldControl
+        id={inputId}
+        rule={rule}
+        value={value}
+        onChange={(val) => onChange(variableId, val)}
+        onBlur={() => setTouched(true)}
+        invalid={!!showError}
       />
-      {helper ? <div className="grey-text" style={{ marginTop: 6 }}>{helper}</div> : null}
+      {showError ? (
+        <div className="red-text text-darken-2" style={{ marginTop: 6 }}>{error}</div>
+      ) : helper ? (
+        <div className="grey-text" style={{ marginTop: 6 }}>{helper}</div>
+      ) : null}
     </div>
   );
+  return aiSuggestion ? (
+    <AiSuggestedMark suggestion={aiSuggestion} onConfirm={onConfirmAi}>
+      {field}
+    </AiSuggestedMark>
+  ) : (
+    field
+  );
 }
@@ -6,11 +6,25 @@ import VariableField from "./VariableField";
  * VariablesPanel
  *
  * Props:
- * - variables: array of variable objects (from getVariableInfo/filterAndSortVariables/addAnswersToFilteredVariables)
+ * - variables: array of variable objects (Variable records from filterAndSortVariables), already sorted
  * - answers: { [variableId:string]: string }
+ * - entryOptionsMap: Map<entryCategory(lowercased), string[]> for dropdown variables
  * - onChange: (variableId, value) => void
+ * - showSources: label each variable with the workbook (base / overlay) it came from
+ * - computed: Map<Variable_ID, { value, formula, error, inputs[] }> — read-only computed fields
+ * - aiSuggested: (variableId) => { confidence?, evidence? } | null — value accepted from AI, not yet confirmed
+ * - onConfirmAi: (variableId) => void
  */
-export default function VariablesPanel({ variables = [], answers = {}, onChange }) {
+export default function VariablesPanel({
+  variables = [],
+  answers = {},
+  entryOptionsMap = new Map(),
+  onChange,
+  showSources = false,
+  computed = new Map(),
+  aiSuggested = () => null,
+  onConfirmAi,
+}) {
   const groups = useMemo(() => {
     const map = new Map();
     variables.forEach(v => {
@@ -21,8 +35,11 @@ export default function VariablesPanel({ variables = [], answers = {}, onChange
     return map;
   }, [variables]);
 
+  const valueOf = (v) =>
+    computed.has(v.Variable_ID) ? computed.get(v.Variable_ID).value : answers[String(v.Variable_ID)] || "";
+
   const total = variables.length;
-  const filled = variables.reduce((acc, v) => acc + (answers[String(v.Variable_ID)] ? 1 : 0), 0);
+  const filled = variables.reduce((acc, v) => acc + (String(valueOf(v) ?? "").trim() ? 1 : 0), 0);
   const pct = total ? Math.round((filled / total) * 100) : 0;
 
   return (
@@ -32,6 +49,10 @@ export default function VariablesPanel({ variables = [], answers = {}, onChange
         <span className="new badge" data-badge-caption="% filled">{pct}</span>
       </div>
 
+      {total === 0 && (
+        <p className="grey-text">This template has no variables to fill.</p>
+      )}
+
       {[...groups.entries()].map(([cat, list]) => (
         <div key={`cat-${cat}`} className="section">
           <h6 className="grey-text text-darken-2" style={{ marginTop: 0 }}>{cat}</h6>
@@ -39,10 +60,23 @@ export default function VariablesPanel({ variables = [], answers = {}, onChange
             {list.map((v) => (
               <div key={`var-${v.Variable_ID}`} className="col s12">
                 <VariableField
-                  variable={v}
-                  value={answers[String(v.Variable_ID)] || ""}
+                  variableId={v.Variable_ID}
+                  label={v.Question || v.Name}
+                  helper={v.Helper_Text}
+                  entryType={v.Entry_Type}
+                  entryCategory={v.Entry_Category}
+                  value={valueOf(v)}
+                  options={entryOptionsMap.get(String(v.Entry_Category || "").trim().toLowerCase()) || []}
                   onChange={onChange}
+                  computed={computed.get(v.Variable_ID)}
+                  aiSuggestion={aiSuggested(v.Variable_ID)}
+                  onConfirmAi={() => onConfirmAi?.(v.Variable_ID)}
                 />
+                {showSources && v.Source && (
+                  <div className="grey-text" style={{ fontSize: 12, marginTop: -12 }}>
+                    from {v.Source}
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -0,0 +1,55 @@
+// src/components/WorkbookHealth.jsx
+import React, { useMemo } from "react";
+import { CHECKS, summarizeIssues } from "../lib/validator";
+
+/**
+ * Collapsible "Workbook health" report for DB.xlsx.
+ * Props:
+ *  - issues: [{ check, severity, sheet, message }] from validateWorkbook
+ */
+export default function WorkbookHealth({ issues = [] }) {
+  const { errors, warnings } = summarizeIssues(issues);
+
+  const byCheck = useMemo(() => {
+    const map = new Map(Object.keys(CHECKS).map((k) => [k, []]));
+    for (const i of issues) {
+      if (!map.has(i.check)) map.set(i.check, []);
+      map.get(i.check).push(i);
+    }
+    return map;
+  }, [issues]);
+
+  const color = errors ? "red" : warnings ? "amber" : "green";
+
+  return (
+    <details open={errors > 0}>
+      <summary>
+        Workbook health —{" "}
+        <span className={`${color}-text text-darken-3`}>
+          {errors || warnings ? `${errors} error(s), ${warnings} warning(s)` : "no problems found"}
+        </span>
+      </summary>
+      <ul className="collection">
+        {[...byCheck.entries()].map(([check, list]) => (
+          <li className="collection-item" key={`health-${check}`}>
+            <div style={{ fontWeight: 600 }}>
+              <i className={`material-icons tiny ${list.length ? "red-text" : "green-text"}`}>
+                {list.length ? "error_outline" : "check"}
+              </i>{" "}
+              {CHECKS[check] || check} ({list.length})
+            </div>
+            {list.length > 0 && (
+              <ul style={{ margin: "4px 0 0 24px" }}>
+                {list.map((i, n) => (
+                  <li key={`health-${check}-${n}`} className={i.severity === "error" ? "red-text text-darken-3" : ""}>
+                    <span className="grey-text">{i.sheet}:</span> {i.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
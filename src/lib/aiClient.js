@@ -1,38 +1,80 @@
 // src/lib/aiClient.js
-const IS_DEV = import.meta.env.DEV;
-const API_BASE = IS_DEV ? "/usai" : (import.meta.env.VITE_USAI_BASE || "");
-const MODEL = import.meta.env.VITE_USAI_MODEL || "claude_3_haiku";
-const KEY = import.meta.env.VITE_USAI_API_KEY || ""; // dev only; in prod, do a server proxy
+import { AiError, parseModelJSON, validateSchema } from "./aiResponse.js";
+
+const ENV = import.meta.env ?? {}; // undefined outside Vite (node --test)
+const IS_DEV = ENV.DEV;
+const API_BASE = IS_DEV ? "/usai" : (ENV.VITE_USAI_BASE || "");
+const MODEL = ENV.VITE_USAI_MODEL || "claude_3_haiku";
+const KEY = ENV.VITE_USAI_API_KEY || ""; // dev only; in prod, do a server proxy
 
 function joinUrl(b,p){const B=(b||"").replace(/\/+$/,""); const P=p.startsWith("/")?p:`/${p}`; return `${B}${P}`;}
 
-async function chatJSON({system, user, temperature=0.2, max_tokens=1200}) {
-  const res = await fetch(joinUrl(API_BASE, "/chat/completions"), {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${KEY}`,
-      "Content-Type": "application/json",
-      "Accept": "application/json"
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      temperature,
-      max_tokens,
-      messages: [
-        { role: "system", content: system },
-        { role: "user", content: JSON.stringify(user) }
-      ]
-    })
-  });
-  if(!res.ok) throw new Error(`USAi HTTP ${res.status}`);
-  const json = await res.json();
-  const text = json?.choices?.[0]?.message?.content || "{}";
-  // Be strict: ensure we only accept valid JSON
-  try { return JSON.parse(text); }
-  catch { throw new Error("AI did not return valid JSON"); }
+/** Per-request time limit; a reply slower than this fails with AiError("timeout") */
+export const AI_TIMEOUT_MS = 30000;
+
+/** One POST to /chat/completions; returns the reply text. `signal` cancels it. */
+async function complete({messages, temperature, max_tokens, signal, timeoutMs}) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(new AiError("timeout", `No reply within ${Math.round(timeoutMs/1000)} s.`)), timeoutMs);
+  const onAbort = () => ctrl.abort(new AiError("aborted", "The request was cancelled."));
+  if (signal?.aborted) onAbort(); else signal?.addEventListener("abort", onAbort, {once:true});
+  try {
+    const res = await fetch(joinUrl(API_BASE, "/chat/completions"), {
+      method: "POST",
+      signal: ctrl.signal,
+      headers: {
+        "Authorization": `Bearer ${KEY}`,
+        "Content-Type": "application/json",
+        "Accept": "application/json"
+      },
+      body: JSON.stringify({model: MODEL, temperature, max_tokens, messages})
+    });
+    if(!res.ok) throw new AiError("http", `USAi HTTP ${res.status}`, {status: res.status});
+    const json = await res.json();
+    return json?.choices?.[0]?.message?.content || "{}";
+  } catch (e) {
+    if (e instanceof AiError) throw e;
+    if (ctrl.signal.aborted) throw ctrl.signal.reason;
+    throw new AiError("network", e?.message || String(e), {cause: e});
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/** Parse and validate a reply; throws AiError("invalid-json" | "schema") */
+function readReply(text, schema) {
+  const value = parseModelJSON(text);
+  const errors = validateSchema(value, schema);
+  if (errors.length) throw new AiError("schema", `The reply does not match the schema (${errors.length} problem${errors.length === 1 ? "" : "s"}).`, {details: errors});
+  return value;
+}
+
+/**
+ * Ask for JSON matching `schema` (default: user.schema). Code fences and prose around
+ * the JSON are ignored; an unparseable or invalid reply gets one repair round-trip
+ * with the problems listed before it fails.
+ */
+async function chatJSON({system, user, schema = user?.schema, temperature=0.2, max_tokens=1200, signal, timeoutMs=AI_TIMEOUT_MS}) {
+  const messages = [
+    { role: "system", content: system },
+    { role: "user", content: JSON.stringify(user) }
+  ];
+  const text = await complete({messages, temperature, max_tokens, signal, timeoutMs});
+  try { return readReply(text, schema); }
+  catch (e) {
+    if (!(e instanceof AiError)) throw e;
+    console.warn(`[ai] ${e.message} Asking for a repair.`, e.details);
+    const repair = [
+      ...messages,
+      { role: "assistant", content: text },
+      { role: "user", content: `Your reply could not be used: ${[e.message, ...e.details.slice(0, 10)].join("; ")}. Reply again with ONLY the corrected JSON matching the schema — no code fences, no explanation.` }
+    ];
+    return readReply(await complete({messages: repair, temperature: 0, max_tokens, signal, timeoutMs}), schema);
+  }
 }
 
-export async function aiImproveQuestions({spec}) {
+export async function aiImproveQuestions({spec, signal}) {
   const system = "You improve and order form questions. Return ONLY JSON per schema; no reasoning.";
   const user = {
     action: "improveQuestions",
@@ -52,29 +94,76 @@ export async function aiImproveQuestions({spec}) {
     },
     spec
   };
-  return chatJSON({system, user});
+  return chatJSON({system, user, signal});
 }
 
-export async function aiInferFromText({spec, text}) {
+/** Response budget for inference; ingest.js sizes source chunks to it */
+export const INFER_MAX_TOKENS = 1200;
+
+export async function aiInferFromText({spec, text, signal}) {
   const system = "Extract likely tag answers and variable values from text. Return ONLY JSON per schema.";
   const user = {
     action: "inferAnswers",
     schema: {
       type:"object",
       properties:{
-        inferredTags:{type:"object", additionalProperties:{type:"string"}},
-        inferredVariables:{type:"object", additionalProperties:{type:"string"}},
-        confidence:{type:"object", additionalProperties:{type:"number"}}
+        inferredTags:{type:"object", additionalProperties:{type:"string"}},        // Tag_ID -> answer
+        inferredVariables:{type:"object", additionalProperties:{type:"string"}},   // Variable_ID -> value
+        confidence:{type:"object", additionalProperties:{type:"number"}},          // "T<Tag_ID>" / "V<Variable_ID>" -> 0..1
+        evidence:{type:"object", additionalProperties:{type:"string"}}             // same keys -> quoted source sentence
       },
       required:["inferredTags","inferredVariables"]
     },
     spec, text
   };
-  return chatJSON({system, user, temperature:0.1});
+  return chatJSON({system, user, temperature:0.1, max_tokens:INFER_MAX_TOKENS, signal});
 }
 
-export async function aiExplainClause({clause, assignedTags}) {
+export async function aiExplainClause({clause, assignedTags, signal}) {
   const system = "Explain inclusion/exclusion in one sentence. Return JSON: {\"explanation\":\"...\"}";
   const user = {clause, assignedTags};
-  return chatJSON({system, user, max_tokens:300});
+  const schema = {type:"object", properties:{explanation:{type:"string"}}, required:["explanation"]};
+  return chatJSON({system, user, schema, max_tokens:300, signal});
 }
+
+/* ---------- inference provider (see inference.js) ---------- */
+const tagSpec = (entryOptions) => (t) => ({
+  tagId: t.Tag_ID, tag: t.Tag, question: t.Question, helper: t.Helper_Text,
+  entryType: t.Entry_Type, entryCategory: t.Entry_Category, mutuallyExclusive: !!t.Mutually_Exclusive,
+  keywords: t.Keywords || [], options: entryOptions?.get(String(t.Entry_Category || "").trim().toLowerCase()) || [],
+});
+const variableSpec = (v) => ({
+  variableId: v.Variable_ID, name: v.Name, question: v.Question, entryCategory: v.Entry_Category,
+});
+
+export const usaiProvider = {
+  name: "usai",
+  label: `USAi (${MODEL})`,
+  chunkTokens: INFER_MAX_TOKENS,
+
+  async inferTags({ text, tags, templateName, entryOptions, signal }) {
+    const r = await aiInferFromText({ spec: { templateName, tags: (tags || []).map(tagSpec(entryOptions)), variables: [] }, text, signal });
+    return Object.entries(r?.inferredTags || {}).map(([id, answer]) => ({
+      tagId: Number(id), answer: String(answer),
+      confidence: r.confidence?.[`T${id}`], evidence: r.evidence?.[`T${id}`],
+    }));
+  },
+
+  async inferVariables({ text, variables, templateName, signal }) {
+    const r = await aiInferFromText({ spec: { templateName, tags: [], variables: (variables || []).map(variableSpec) }, text, signal });
+    return Object.entries(r?.inferredVariables || {}).map(([id, value]) => ({
+      variableId: Number(id), value: String(value),
+      confidence: r.confidence?.[`V${id}`], evidence: r.evidence?.[`V${id}`],
+    }));
+  },
+
+  async improveQuestions({ questions, signal }) {
+    const r = await aiImproveQuestions({ spec: questions, signal });
+    return (r?.questions || []).map((q) => ({ tagId: Number(q.tagId), question: q.question, helper: q.helper || "" }));
+  },
+
+  async explainClause({ clause, assignedTags, signal }) {
+    const { explanation } = await aiExplainClause({ clause, assignedTags, signal });
+    return String(explanation || "").trim();
+  },
+};
@@ -0,0 +1,81 @@
+// src/lib/aiClient.test.js
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { usaiProvider } from "./aiClient.js";
+
+const realFetch = globalThis.fetch;
+let requests;
+
+/**
+ * Stub fetch with one chat reply per request: a string is the message content,
+ * a number an HTTP status, an Error a network failure
+ */
+const replyWith = (...replies) => {
+  globalThis.fetch = async (url, init) => {
+    if (init.signal?.aborted) throw init.signal.reason;
+    requests.push(JSON.parse(init.body));
+    const r = replies.shift();
+    if (r instanceof Error) throw r;
+    if (typeof r === "number") return new Response("", { status: r });
+    return Response.json({ choices: [{ message: { content: r } }] });
+  };
+};
+
+beforeEach(() => {
+  requests = [];
+  mock.method(console, "warn", () => {});
+});
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  mock.restoreAll();
+});
+
+const explain = (opts) => usaiProvider.explainClause({ clause: { PC_ID: 1 }, assignedTags: [], ...opts });
+
+test("a fenced reply is used as is", async () => {
+  replyWith('```json\n{"explanation": " Included for construction. "}\n```');
+  assert.equal(await explain(), "Included for construction.");
+  assert.equal(requests.length, 1);
+});
+
+test("an invalid reply gets one repair round-trip listing the problems", async () => {
+  replyWith('{"reason": "construction"}', '{"explanation": "Included for construction."}');
+  assert.equal(await explain(), "Included for construction.");
+  assert.equal(requests.length, 2);
+  const repair = requests[1].messages;
+  assert.equal(requests[1].temperature, 0);
+  assert.equal(repair.at(-2).content, '{"reason": "construction"}');
+  assert.match(repair.at(-1).content, /\$: missing "explanation"/);
+});
+
+test("a second bad reply fails with the last error", async () => {
+  replyWith("I think it applies.", '{"explanation": 42}');
+  await assert.rejects(explain(), (e) => {
+    assert.equal(e.code, "schema");
+    assert.deepEqual(e.details, ["$.explanation: expected string, got integer"]);
+    return true;
+  });
+  assert.equal(requests.length, 2);
+
+  replyWith("no JSON", "still no JSON");
+  await assert.rejects(explain(), { code: "invalid-json" });
+});
+
+test("inferTags keeps the model's answers with confidence and evidence", async () => {
+  replyWith(
+    'Found: {"inferredTags": {"243": "Construction"}, "inferredVariables": {}, "confidence": {"T243": 0.8}, "evidence": {"T243": "New building."}}'
+  );
+  assert.deepEqual(await usaiProvider.inferTags({ text: "New building.", tags: [{ Tag_ID: 243 }] }), [
+    { tagId: 243, answer: "Construction", confidence: 0.8, evidence: "New building." },
+  ]);
+});
+
+test("HTTP, network and cancel failures are AiErrors, without a repair", async () => {
+  replyWith(503);
+  await assert.rejects(explain(), { name: "AiError", code: "http", status: 503 });
+  replyWith(new TypeError("fetch failed"));
+  await assert.rejects(explain(), { code: "network", message: "fetch failed" });
+  replyWith('{"explanation": "never sent"}');
+  await assert.rejects(explain({ signal: AbortSignal.abort() }), { code: "aborted" });
+  assert.equal(requests.length, 2);
+});
@@ -0,0 +1,118 @@
+// src/lib/aiResponse.js
+
+/**
+ * Checking what a model sends back: pull the JSON out of the reply, validate it
+ * against the request's schema, and report failures as AiError with a `code`
+ * the UI can act on.
+ */
+
+/** code -> short title shown in the UI */
+export const AI_ERROR_TITLES = {
+  timeout: "The AI service timed out",
+  aborted: "Cancelled",
+  network: "Could not reach the AI service",
+  http: "The AI service returned an error",
+  "invalid-json": "The AI reply was not valid JSON",
+  schema: "The AI reply did not match the expected format",
+};
+
+export class AiError extends Error {
+  /**
+   * @param {keyof AI_ERROR_TITLES} code
+   * @param {string} message
+   * @param {{ status?: number, details?: string[], cause?: unknown }} [extra]
+   */
+  constructor(code, message, { status, details = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "AiError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  get title() {
+    return AI_ERROR_TITLES[this.code] || "AI request failed";
+  }
+}
+
+export const isAbort = (e) => e?.code === "aborted" || e?.name === "AbortError";
+
+/** ---------- JSON extraction ---------- */
+/** The first balanced {...} or [...] in `text`, skipping string contents */
+function balancedJson(text) {
+  const start = text.search(/[{[]/);
+  if (start < 0) return null;
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      if (c === "\\") i++;
+      else if (c === '"') inString = false;
+    } else if (c === '"') inString = true;
+    else if (c === "{" || c === "[") stack.push(c === "{" ? "}" : "]");
+    else if (c === "}" || c === "]") {
+      if (stack.pop() !== c) return null;
+      if (!stack.length) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a model reply that should be JSON: tolerates ```json fences and prose
+ * before / after the object. Throws AiError("invalid-json").
+ */
+export function parseModelJSON(text) {
+  const raw = String(text ?? "").trim();
+  const fenced = /```(?:json|JSON)?\s*([\s\S]*?)```/.exec(raw)?.[1];
+  for (const candidate of [raw, fenced, balancedJson(fenced ?? raw), balancedJson(raw)]) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next candidate
+    }
+  }
+  throw new AiError("invalid-json", "The reply contains no parseable JSON.", { details: [raw.slice(0, 200)] });
+}
+
+/** ---------- schema ---------- */
+const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v);
+
+/**
+ * Validate `value` against the JSON Schema subset our prompts use: type, properties,
+ * required, additionalProperties, items, enum. Returns ["$.questions[0].tagId: expected number", ...].
+ */
+export function validateSchema(value, schema, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.map((x) => JSON.stringify(x)).join(", ")}`);
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const ok = types.some((t) => t === actual || (t === "number" && actual === "integer"));
+    if (!ok) return [...errors, `${path}: expected ${types.join(" or ")}, got ${actual}`];
+  }
+
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) errors.push(...validateSchema(v, sub, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected "${key}"`);
+      else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(v, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
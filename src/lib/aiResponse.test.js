@@ -0,0 +1,72 @@
+// src/lib/aiResponse.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AiError, isAbort, parseModelJSON, validateSchema } from "./aiResponse.js";
+
+test("parseModelJSON reads bare, fenced and prose-wrapped JSON", () => {
+  assert.deepEqual(parseModelJSON('{"a": 1}'), { a: 1 });
+  assert.deepEqual(parseModelJSON('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(parseModelJSON('Here you go:\n```\n[1, 2]\n```\nLet me know.'), [1, 2]);
+  assert.deepEqual(parseModelJSON('Sure! {"explanation": "Uses } and { inside"} Hope that helps.'), {
+    explanation: "Uses } and { inside",
+  });
+  assert.deepEqual(parseModelJSON('Result: {"a": {"b": [1, "\\"]"]}} trailing {"c": 2}'), { a: { b: [1, '"]'] } });
+});
+
+test("parseModelJSON throws invalid-json with the start of the reply", () => {
+  for (const bad of ["", "I could not find any tags.", '{"a": 1', "```json\n{a: 1}\n```"]) {
+    assert.throws(
+      () => parseModelJSON(bad),
+      (e) => e instanceof AiError && e.code === "invalid-json" && e.details[0] === bad.trim().slice(0, 200),
+      bad
+    );
+  }
+});
+
+const schema = {
+  type: "object",
+  properties: {
+    questions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { tagId: { type: "number" }, entryType: { enum: ["Bool", "Text"] } },
+        required: ["tagId"],
+      },
+    },
+    confidence: { type: "object", additionalProperties: { type: "number" } },
+  },
+  required: ["questions"],
+  additionalProperties: false,
+};
+
+test("validateSchema accepts a matching value", () => {
+  const value = { questions: [{ tagId: 3, entryType: "Bool" }, { tagId: 4.5 }], confidence: { T3: 0.9 } };
+  assert.deepEqual(validateSchema(value, schema), []);
+  assert.deepEqual(validateSchema("anything", undefined), []);
+});
+
+test("validateSchema lists every violation with its path", () => {
+  const value = { questions: [{ tagId: "3", entryType: "Select" }, {}], confidence: { T3: "high" }, extra: 1 };
+  assert.deepEqual(validateSchema(value, schema), [
+    "$.questions[0].tagId: expected number, got string",
+    '$.questions[0].entryType: expected one of "Bool", "Text"',
+    '$.questions[1]: missing "tagId"',
+    "$.confidence.T3: expected number, got string",
+    '$: unexpected "extra"',
+  ]);
+  assert.deepEqual(validateSchema([], schema), ["$: expected object, got array"]);
+  assert.deepEqual(validateSchema(null, { type: ["object", "null"] }), []);
+});
+
+test("AiError carries a code, a UI title and details", () => {
+  const e = new AiError("schema", "2 problems", { details: ["$.a: missing"], status: 422 });
+  assert.ok(e instanceof Error);
+  assert.equal(e.name, "AiError");
+  assert.equal(e.title, "The AI reply did not match the expected format");
+  assert.deepEqual([e.code, e.status, e.details], ["schema", 422, ["$.a: missing"]]);
+  assert.equal(new AiError("teapot", "?").title, "AI request failed");
+  assert.equal(isAbort(new AiError("aborted", "")), true);
+  assert.equal(isAbort(new DOMException("stop", "AbortError")), true);
+  assert.equal(isAbort(new AiError("timeout", "")), false);
+});
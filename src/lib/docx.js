@@ -1,7 +1,8 @@
 // src/lib/docx.js
 import PizZip from "pizzip";
 import Docxtemplater from "docxtemplater";
-import { saveAs } from "file-saver";
+// default import: file-saver is CommonJS and also has to load under plain Node (CLI)
+import FileSaver from "file-saver";
 
 // Reuse [[ ]] delimiters internally to avoid brace collisions
 export function sanitizeAndSwapDelimiters(ab) {
@@ -25,7 +26,7 @@ export function sanitizeAndSwapDelimiters(ab) {
 }
 
 // Parse visible text from Word XML to find {{tokens}}
-function xmlVisibleText(xml) {
+export function xmlVisibleText(xml) {
   const reWT = /<w:t[^>]*>([\s\S]*?)<\/w:t>/g;
   let m, out = [];
   while ((m = reWT.exec(xml))) {
@@ -76,12 +77,18 @@ export function makeContext({ variableAnswersByName, includedClausesByName, allT
   return ctx;
 }
 
-export function renderAndDownload(ab, context, fileName = "document.docx") {
+/**
+ * Render a template with a context. `type` is passed to PizZip#generate
+ * ("blob" in the browser, "nodebuffer" in Node).
+ */
+export function renderDocument(ab, context, type = "blob") {
   const sanitized = sanitizeAndSwapDelimiters(ab);
   const zip = new PizZip(sanitized);
   const doc = new Docxtemplater(zip, { paragraphLoop: true, linebreaks: true, delimiters: { start: "[[", end: "]]" } });
-  doc.setData(context);
-  doc.render();
-  const out = doc.getZip().generate({ type: "blob" });
-  saveAs(out, fileName);
+  doc.render(context);
+  return doc.getZip().generate({ type });
+}
+
+export function renderAndDownload(ab, context, fileName = "document.docx") {
+  FileSaver.saveAs(renderDocument(ab, context, "blob"), fileName);
 }
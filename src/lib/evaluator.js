@@ -1,4 +1,7 @@
 // src/lib/evaluator.js
+import { compileExpr, evalExpr } from "./expr.js";
+import { isAmountCategory, parseAmount, parseComparison, compareAmount, describeComparison } from "./thresholds.js";
+import { isComputedVariable } from "./formulas.js";
 
 /** ---------- small helpers ---------- */
 const SPLIT_RE = /[,|;]+/;
@@ -18,46 +21,27 @@ export function findCol(headers, namePattern) {
   return -1;
 }
 
-const toNum = (v) => {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-};
-
 const uniqNums = (arr) => Array.from(new Set(arr.map(Number))).filter(Number.isFinite);
 
-/** ---------- common table helpers ---------- */
-export function filterTableByIds(aoa, ids) {
-  if (!aoa?.length) return [];
-  if (!ids?.length) return [aoa[0]];
-  const set = new Set(ids.map(Number));
-  return [aoa[0], ...aoa.slice(1).filter((r) => set.has(Number(r[0])))];
-}
+/** Tags a clause depends on: Tags_Array plus any tag referenced by Include_If_Expr */
+const clauseTagIds = (clause) => {
+  const compiled = compileExpr(clause?.Include_If_Expr);
+  return uniqNums([...(clause?.Tags_Array || []), ...(compiled?.tagIds || [])]);
+};
 
-/** Shape Tag rows the UI needs */
-export function shapeTagsInfo(tagsAoA) {
-  if (!tagsAoA?.length) return [];
-  const head = tagsAoA[0];
-
-  const iId = findCol(head, "tag\\s*id") === -1 ? 0 : findCol(head, "tag\\s*id");
-  const iCat = findCol(head, "tag\\s*category");
-  const iPri = findCol(head, "priority");
-  const iQue = findCol(head, "question");
-  const iType = findCol(head, "entry\\s*type");
-  const iEC  = findCol(head, "entry\\s*category");
-  const iHelp= findCol(head, "helper\\s*text");
-
-  return tagsAoA.slice(1).map((r) => ({
-    Tag_ID: toNum(r[iId]),
-    Tag_Category: iCat !== -1 ? r[iCat] : "",
-    Priority: iPri !== -1 ? Number(r[iPri] || Infinity) : Infinity,
-    Question: iQue !== -1 ? r[iQue] : "",
-    Entry_Type: iType !== -1 ? r[iType] : "Text",
-    Entry_Category: iEC !== -1 ? r[iEC] : "",
-    Helper_Text: iHelp !== -1 ? r[iHelp] : "",
-  }));
+/**
+ * Comparison for a numeric threshold tag: the Threshold cell when present,
+ * else the Tag label — but only for amount Entry_Categories, so Bool tags
+ * labelled ">=$35,000,000 (Construction Value)" stay Bool.
+ */
+export function tagComparison(thresholdCell, tagLabel, entryCategory) {
+  const explicit = parseComparison(thresholdCell);
+  if (explicit) return explicit;
+  return isAmountCategory(entryCategory) ? parseComparison(tagLabel) : null;
 }
 
-/** De-duplicate shaped tags by Tag_ID (first occurrence wins) */
+/** ---------- common helpers ---------- */
+/** De-duplicate tag records by Tag_ID (first occurrence wins) */
 export function dedupeByTagId(arr) {
   const seen = new Set();
   const out = [];
@@ -72,52 +56,37 @@ export function dedupeByTagId(arr) {
 }
 
 /** ---------- resolver: template -> clauses -> tags ---------- */
-export function getTagsAndClausesByTemplateName(
-  { templatesTable, variablesTable, clausesTable },
-  templateName
-) {
+export function getTagsAndClausesByTemplateName(db, templateName) {
   const debug = [];
-  if (!templatesTable?.length || !variablesTable?.length || !clausesTable?.length) {
+  if (!db?.templates.length || !db.variables.length || !db.clauses.length) {
     return { tagsArray: [], clausesArray: [], debug: ["One or more tables are empty."] };
   }
 
-  // template row
-  const tHead = templatesTable[0];
-  const iTName = findCol(tHead, "name");
-  const iTVar  = findCol(tHead, "variable\\s*array");
-  const tRow = templatesTable.slice(1).find((r) => canon(r[iTName]) === canon(templateName));
-  if (!tRow) {
+  const template = db.templateByName.get(canon(templateName));
+  if (!template) {
     debug.push(`Template not found: ${templateName}`);
     return { tagsArray: [], clausesArray: [], debug };
   }
 
-  const varList = parseList(tRow[iTVar]);
+  const varList = template.Variable_Array;
   if (!varList.length) {
     debug.push("Template Variable_Array is empty.");
     return { tagsArray: [], clausesArray: [], debug };
   }
 
-  // map variables by Object_Name (and allow duplicates)
-  const vHead = variablesTable[0];
-  const iObj  = findCol(vHead, "object\\s*name");
-  const iVType= findCol(vHead, "variable\\s*type");
-  const iAssoc= findCol(vHead, "associated\\s*clause\\s*array");
-
+  // variables by Object_Name (duplicates allowed)
   const clauseIds = [];
   const missingVars = [];
 
   for (const name of varList) {
-    const matches = variablesTable
-      .slice(1)
-      .filter((r) => canon(r[iObj]) === canon(name) && canon(r[iVType]) === "clause");
+    const matches = (db.variablesByObjectName.get(canon(name)) || []).filter(
+      (v) => canon(v.Variable_Type) === "clause"
+    );
     if (matches.length === 0) {
       missingVars.push(name);
       continue;
     }
-    for (const r of matches) {
-      const ids = uniqNums(parseList(r[iAssoc]));
-      clauseIds.push(...ids);
-    }
+    for (const v of matches) clauseIds.push(...v.Associated_Clause_Array);
   }
 
   if (missingVars.length) debug.push(`Variables not found (or not type "Clause"): ${missingVars.join(", ")}`);
@@ -126,16 +95,10 @@ export function getTagsAndClausesByTemplateName(
   debug.push(`Resolved ${clausesArray.length} clause IDs from ${varList.length} variable names.`);
 
   // clauses -> tags
-  const cHead = clausesTable[0];
-  const iPc   = findCol(cHead, "pc\\s*id") === -1 ? 0 : findCol(cHead, "pc\\s*id");
-  const iTags = findCol(cHead, "tags\\s*array");
-
   const tags = [];
-  const clauseMap = new Map(clausesTable.slice(1).map((r) => [Number(r[iPc]), r]));
   for (const pc of clausesArray) {
-    const row = clauseMap.get(pc);
-    if (!row) continue;
-    tags.push(...uniqNums(parseList(row[iTags])));
+    const clause = db.clauseById.get(pc);
+    if (clause) tags.push(...clauseTagIds(clause));
   }
 
   const tagsArray = uniqNums(tags).sort((a, b) => a - b);
@@ -144,29 +107,132 @@ export function getTagsAndClausesByTemplateName(
   return { tagsArray, clausesArray, debug };
 }
 
+/** ---------- mutually exclusive groups ---------- */
+/**
+ * Mutually_Exclusive tags that share an Entry_Category form one group: picking one
+ * option sets that tag to 1 and every sibling to -1.
+ *
+ * An answer picks the sibling whose Tag label it matches ("Construction", or
+ * "Procurement Category - Construction"); "Yes" on a member picks that member and
+ * "No" only rules that member out.
+ *
+ * Returns Map<canon(Entry_Category), {
+ *   entryCategory, members: [{ id, label, option }],   // option: canon(label) minus the "<category> - " prefix
+ *   picks: Map<canon(label), tagId[]>,   // distinct options chosen by the answers
+ *   ruledOut: tagId[]                    // members answered "No"
+ * }>
+ */
+export function resolveExclusiveGroups(answeredTags, tags) {
+  const groups = new Map();
+  // "Contract Type - Firm Fixed Price" and "Firm Fixed Price" name the same option
+  const optionOf = (key, text) => {
+    const c = canon(text);
+    return c.startsWith(`${key} - `) ? c.slice(key.length + 3) : c;
+  };
+
+  for (const t of tags || []) {
+    if (!t.Mutually_Exclusive) continue;
+    const key = canon(t.Entry_Category);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, { entryCategory: t.Entry_Category, members: [], picks: new Map(), ruledOut: [] });
+    const g = groups.get(key);
+    if (!g.members.some((m) => m.id === t.Tag_ID)) g.members.push({ id: t.Tag_ID, label: t.Tag, option: optionOf(key, t.Tag) });
+  }
+
+  for (const [k, v] of Object.entries(answeredTags || {})) {
+    const id = Number(k);
+    const a = canon(v);
+    if (!a) continue;
+    for (const [key, g] of groups) {
+      const self = g.members.find((m) => m.id === id);
+      if (!self) continue;
+      if (a === "no" || a === "false") {
+        g.ruledOut.push(id);
+        continue;
+      }
+      const pick = a === "yes" || a === "true" ? self.option : optionOf(key, a);
+      if (!g.picks.has(pick)) g.picks.set(pick, []);
+      g.picks.get(pick).push(id);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Groups whose answers pick more than one option (e.g. imported answers).
+ * Returns [{ entryCategory, picks: [{ option, tagIds }] }]
+ */
+export function findExclusiveConflicts(answeredTags, tags) {
+  const out = [];
+  for (const g of resolveExclusiveGroups(answeredTags, tags).values()) {
+    if (g.picks.size < 2) continue;
+    out.push({
+      entryCategory: g.entryCategory,
+      picks: [...g.picks.entries()].map(([pick, tagIds]) => ({
+        option: g.members.find((m) => m.option === pick)?.label || pick,
+        tagIds,
+      })),
+    });
+  }
+  return out;
+}
+
+/** ---------- checkbox groups ---------- */
+/**
+ * Entry_Type "Checkbox Group" (also "Checkboxes", "Check All That Apply"): tags that
+ * share an Entry_Category are asked as one "Which of these apply?" question. Each
+ * member is answered on its own — "Yes" when checked (1), "No" when not (-1) — and,
+ * unlike a Mutually_Exclusive group, any number of members can be checked.
+ */
+export const isCheckboxGroup = (tag) => /check\s*box|check all/.test(canon(tag?.Entry_Type));
+
 /** ---------- evaluation: tags -> clauses ---------- */
-export function evaluateTagsBuildMode(answeredTags, filteredTagsTable) {
+/** A tag's comparison, when it takes an amount; a Bool tag with a Threshold cell stays Bool */
+const amountComparison = (tag) => (isAmountCategory(tag.Entry_Category) ? tag.Comparison : null);
+
+/**
+ * The one Tag_Category an amount tag's answer is keyed by: of its categories, the one
+ * most amount tags share (the amount question and its thresholds). Tag 35 "EASi, BAOV"
+ * is keyed by BAOV, so its amount never decides thresholds filed under EASi.
+ * Returns (tag) => canon(Tag_Category) | undefined
+ */
+function amountCategoryOf(tags) {
+  const catsOf = (t) => parseList(t.Tag_Category).map(canon);
+  const counts = new Map();
+  for (const t of tags) {
+    if (!isAmountCategory(t.Entry_Category)) continue;
+    for (const c of catsOf(t)) counts.set(c, (counts.get(c) || 0) + 1);
+  }
+  return (t) => catsOf(t).reduce((best, c) => (best === undefined || counts.get(c) > counts.get(best) ? c : best), undefined);
+}
+
+export function evaluateTagsBuildMode(answeredTags, tags) {
   // very lightweight: -1/0/1 only for IDs we know about
   const out = {};
-  if (!filteredTagsTable?.length) return out;
+  if (!tags?.length) return out;
 
-  const head = filteredTagsTable[0];
-  const iId   = findCol(head, "tag\\s*id") === -1 ? 0 : findCol(head, "tag\\s*id");
-  const iECat = findCol(head, "entry\\s*category");
-  const iType = findCol(head, "entry\\s*type");
+  // Index tags by Tag_ID for quick check
+  const tagById = new Map(tags.map((t) => [t.Tag_ID, t]));
+  const amountCatOf = amountCategoryOf(tags);
 
-  // Index rows by Tag_ID for quick check
-  const rowById = new Map(filteredTagsTable.slice(1).map((r) => [Number(r[iId]), r]));
+  // Amount entered per amount Tag_Category (one answer decides the whole category)
+  const amountByCat = new Map();
 
   for (const [k, v] of Object.entries(answeredTags || {})) {
     const id = Number(k);
-    if (!rowById.has(id)) continue;
-
-    const row = rowById.get(id);
-    const entryCat = canon(row[iECat]);
-    const entryType = canon(row[iType]);
-
-    if (entryCat === "bool") {
+    if (!tagById.has(id)) continue;
+
+    const tag = tagById.get(id);
+    const entryCat = canon(tag.Entry_Category);
+    const entryType = canon(tag.Entry_Type);
+
+    if (isAmountCategory(entryCat)) {
+      const amount = parseAmount(v);
+      const cmp = amountComparison(tag);
+      const cat = amountCatOf(tag);
+      if (amount != null && cat) amountByCat.set(cat, amount);
+      out[id] = amount == null ? 0 : cmp ? (compareAmount(amount, cmp) ? 1 : -1) : 1;
+    } else if (entryCat === "bool" || isCheckboxGroup(tag)) {
       const val = canon(v);
       out[id] = val === "yes" ? 1 : val === "no" ? -1 : 0;
     } else if (entryType === "no display") {
@@ -177,28 +243,63 @@ export function evaluateTagsBuildMode(answeredTags, filteredTagsTable) {
     }
   }
 
+  // Threshold tags: compare the amount entered for their amount category
+  if (amountByCat.size) {
+    for (const [id, tag] of tagById) {
+      const cmp = amountComparison(tag);
+      if (!cmp || parseAmount(answeredTags?.[String(id)]) != null) continue; // its own amount decided it
+      const cat = amountCatOf(tag);
+      if (!amountByCat.has(cat)) continue;
+      out[id] = compareAmount(amountByCat.get(cat), cmp) ? 1 : -1;
+    }
+  }
+
+  // Mutually exclusive groups: one pick decides every sibling; conflicting picks stay undecided
+  for (const g of resolveExclusiveGroups(answeredTags, tags).values()) {
+    for (const id of g.ruledOut) out[id] = -1;
+    if (g.picks.size === 0) continue;
+    const [pick] = g.picks.keys();
+    for (const m of g.members) {
+      out[m.id] = g.picks.size > 1 ? 0 : m.option === pick ? 1 : -1;
+    }
+  }
+
   // leave unknowns as 0/unset – they’ll drive next questions
   return out;
 }
 
-export function evaluateClauses(assignedTags, filteredClausesTable) {
+export function evaluateClauses(assignedTags, clauses) {
   const result = {};
-  if (!filteredClausesTable?.length) return result;
-
-  const head = filteredClausesTable[0];
-  const iPc   = findCol(head, "pc\\s*id") === -1 ? 0 : findCol(head, "pc\\s*id");
-  const iInc  = findCol(head, "include\\s*if\\s*list");
-  const iExc  = findCol(head, "exclude\\s*if\\s*list");
+  if (!clauses?.length) return result;
 
   const val = (tagId) => {
     const v = assignedTags?.[Number(tagId)];
     return v === 1 ? 1 : v === -1 ? -1 : 0;
   };
 
-  for (const r of filteredClausesTable.slice(1)) {
-    const pc = Number(r[iPc]);
-    const inc = uniqNums(parseList(r[iInc]));
-    const exc = uniqNums(parseList(r[iExc]));
+  for (const c of clauses) {
+    const pc = c.PC_ID;
+    const exc = c.Exclude_If_List;
+
+    // Include_If_Expr (when present) replaces Include_If_List; Exclude_If_List still applies
+    const compiled = compileExpr(c.Include_If_Expr);
+    if (compiled) {
+      if (compiled.error) {
+        // unparseable -> never silently include/exclude; surfaced by clauseExpressionErrors
+        result[pc] = 0;
+        continue;
+      }
+      if (exc.some((t) => val(t) === 1)) {
+        result[pc] = -1;
+        continue;
+      }
+      const incVal = evalExpr(compiled.ast, val);
+      const excAllNeg = exc.every((t) => val(t) === -1);
+      result[pc] = incVal === -1 ? -1 : incVal === 1 && excAllNeg ? 1 : 0;
+      continue;
+    }
+
+    const inc = c.Include_If_List;
 
     // any include == -1  -> fail
     if (inc.some((t) => val(t) === -1)) {
@@ -220,14 +321,150 @@ export function evaluateClauses(assignedTags, filteredClausesTable) {
   return result;
 }
 
+/** Per-clause parse errors for Include_If_Expr, as resolver diagnostics lines */
+export function clauseExpressionErrors(clauses) {
+  const out = [];
+  for (const c of clauses || []) {
+    const compiled = compileExpr(c.Include_If_Expr);
+    if (!compiled?.error) continue;
+    out.push(
+      `Clause ${c.PC_ID}: Include_If_Expr "${c.Include_If_Expr}" could not be parsed — ${compiled.error}. The clause stays unresolved until it is fixed.`
+    );
+  }
+  return out;
+}
+
+/**
+ * Pending threshold tags that share a Tag_Category are answered by one amount,
+ * so ask once per group: keep the tag that has a Question (else the first) and
+ * describe the thresholds it will decide.
+ */
+function collapseThresholdGroups(questions) {
+  const thresholds = questions.filter(amountComparison);
+  if (thresholds.length < 2) return questions;
+
+  // union tags that share any category
+  const groupOf = new Map();
+  const groups = [];
+  for (const q of thresholds) {
+    const cats = parseList(q.Tag_Category).map(canon);
+    let g = groups.find((gr) => cats.some((c) => gr.cats.has(c)));
+    if (!g) {
+      g = { cats: new Set(), members: [] };
+      groups.push(g);
+    }
+    cats.forEach((c) => g.cats.add(c));
+    g.members.push(q);
+    groupOf.set(q.Tag_ID, g);
+  }
+
+  const out = [];
+  const emitted = new Set();
+  for (const q of questions) {
+    const g = groupOf.get(q.Tag_ID);
+    if (!g) {
+      out.push(q);
+      continue;
+    }
+    if (emitted.has(g)) continue;
+    emitted.add(g);
+
+    const lead = g.members.find((m) => String(m.Question || "").trim()) || g.members[0];
+    if (g.members.length === 1) {
+      out.push(lead);
+      continue;
+    }
+    const shared = [...g.cats].find((c) => g.members.every((m) => parseList(m.Tag_Category).map(canon).includes(c)));
+    const label = shared ? shared.toUpperCase() : "threshold";
+    out.push({
+      ...lead,
+      Question: String(lead.Question || "").trim() || `What is the ${label} dollar amount?`,
+      Helper_Text:
+        lead.Helper_Text ||
+        `Decides ${g.members.length} thresholds: ${g.members.map((m) => describeComparison(m.Comparison)).join(", ")}`,
+      Threshold_Group: g.members.map((m) => m.Tag_ID),
+    });
+  }
+  return out;
+}
+
+/**
+ * Pending Mutually_Exclusive tags sharing an Entry_Category become one choice
+ * question. Exclusive_Group lists the member Tag_IDs and Options their labels
+ * (the UI prefers the EntryCategory Table options when it has them).
+ */
+function collapseExclusiveGroups(questions) {
+  const byCat = new Map();
+  for (const q of questions) {
+    if (!q.Mutually_Exclusive) continue;
+    const key = canon(q.Entry_Category);
+    if (!key) continue;
+    if (!byCat.has(key)) byCat.set(key, []);
+    byCat.get(key).push(q);
+  }
+
+  const out = [];
+  const emitted = new Set();
+  for (const q of questions) {
+    const key = q.Mutually_Exclusive ? canon(q.Entry_Category) : "";
+    const members = key ? byCat.get(key) : null;
+    if (!members || members.length < 2) {
+      out.push(q);
+      continue;
+    }
+    if (emitted.has(key)) continue;
+    emitted.add(key);
+
+    const lead = members.find((m) => String(m.Question || "").trim()) || members[0];
+    const type = canon(lead.Entry_Type);
+    out.push({
+      ...lead,
+      Entry_Type: type === "drop down" || type === "radio" ? lead.Entry_Type : "Drop Down",
+      Exclusive_Group: members.map((m) => m.Tag_ID),
+      Options: members.map((m) => String(m.Tag || "").trim()).filter(Boolean),
+    });
+  }
+  return out;
+}
+
+/**
+ * Checkbox-group tags sharing an Entry_Category become one question covering every
+ * member in the template (`tags`), so the user sees the whole list even when only
+ * some members are pending. Checkbox_Group lists the member Tag_IDs, Options their labels.
+ */
+function collapseCheckboxGroups(questions, tags) {
+  const key = (t) => (isCheckboxGroup(t) ? canon(t.Entry_Category) || `tag ${t.Tag_ID}` : "");
+  const out = [];
+  const emitted = new Set();
+  for (const q of questions) {
+    const k = key(q);
+    if (!k) {
+      out.push(q);
+      continue;
+    }
+    if (emitted.has(k)) continue;
+    emitted.add(k);
+
+    const members = dedupeByTagId([q, ...(tags || []).filter((t) => key(t) === k)]).sort(byPriority);
+    const lead = members.find((m) => String(m.Question || "").trim()) || members[0];
+    out.push({
+      ...lead,
+      Priority: Math.min(...members.map((m) => m.Priority ?? Infinity)),
+      Checkbox_Group: members.map((m) => m.Tag_ID),
+      Options: members.map((m) => String(m.Tag || "").trim() || `Tag ${m.Tag_ID}`),
+    });
+  }
+  return out;
+}
+
 /** ---------- next questions ---------- */
 export function returnNextTagQuestions(
   clauseEval,
-  filteredClausesTable,
+  clauses,
   clausesArray,
   assignedTags,
   tagsArray,
-  tagsInfo // shaped tag objects from filter table
+  tags // tag records for the template
 ) {
   const totalTags = (tagsArray?.length || 0);
   const assignedCount = Object.values(assignedTags || {}).filter((v) => v === 1 || v === -1).length;
@@ -238,23 +475,17 @@ export function returnNextTagQuestions(
     return { status: "done", nextQuestions: [], ratioCompletedTags };
   }
 
-  if (!filteredClausesTable?.length) {
+  if (!clauses?.length) {
     return { status: "ask", nextQuestions: [], ratioCompletedTags };
   }
 
-  // map PC_ID -> Tags_Array
-  const head = filteredClausesTable[0];
-  const iPc   = findCol(head, "pc\\s*id") === -1 ? 0 : findCol(head, "pc\\s*id");
-  const iTags = findCol(head, "tags\\s*array");
-
-  const rowsByPc = new Map(filteredClausesTable.slice(1).map((r) => [Number(r[iPc]), r]));
+  // PC_ID -> Tags_Array (+ Include_If_Expr tags)
+  const clauseByPc = new Map(clauses.map((c) => [c.PC_ID, c]));
 
   const unresolvedTagIds = [];
   for (const pc of unresolvedClauses) {
-    const row = rowsByPc.get(pc);
-    if (!row) continue;
-    const tagIds = uniqNums(parseList(row[iTags]));
-    unresolvedTagIds.push(...tagIds);
+    const clause = clauseByPc.get(pc);
+    if (clause) unresolvedTagIds.push(...clauseTagIds(clause));
   }
 
   // keep only unresolved tags (unset or 0)
@@ -268,8 +499,8 @@ export function returnNextTagQuestions(
     return { status: "done", nextQuestions: [], ratioCompletedTags };
   }
 
-  // join with tagsInfo (fallback minimal objects if missing)
-  const infoById = new Map((tagsInfo || []).map((t) => [Number(t.Tag_ID), t]));
+  // join with tag records (fallback minimal objects if missing)
+  const infoById = new Map((tags || []).map((t) => [t.Tag_ID, t]));
   const nextInfo = [];
   for (const id of pendingTagIds) {
     const t = infoById.get(Number(id));
@@ -281,8 +512,149 @@ export function returnNextTagQuestions(
   }
 
   // de-dup defensively (should already be unique)
-  const nextQuestions = dedupeByTagId(nextInfo)
-    .sort((a, b) => (a.Priority ?? Infinity) - (b.Priority ?? Infinity) || a.Tag_ID - b.Tag_ID);
+  const nextQuestions = collapseCheckboxGroups(
+    collapseExclusiveGroups(collapseThresholdGroups(dedupeByTagId(nextInfo))),
+    tags
+  ).sort(byPriority);
 
   return { status: "ask", nextQuestions, ratioCompletedTags };
 }
+
+const byPriority = (a, b) => (a.Priority ?? Infinity) - (b.Priority ?? Infinity) || a.Tag_ID - b.Tag_ID;
+
+/**
+ * Question records for already-answered tags (e.g. a template's Default_Answers),
+ * grouped like pending questions: a Mutually_Exclusive tag brings its whole group,
+ * so the user can switch to a sibling option, and a checkbox-group tag its whole list.
+ */
+export function questionsForTags(tagIds, tags) {
+  const ids = new Set(uniqNums(tagIds || []));
+  const groups = new Set(
+    (tags || []).filter((t) => ids.has(t.Tag_ID) && t.Mutually_Exclusive).map((t) => canon(t.Entry_Category))
+  );
+  groups.delete("");
+  const picked = (tags || []).filter(
+    (t) => ids.has(t.Tag_ID) || (t.Mutually_Exclusive && groups.has(canon(t.Entry_Category)))
+  );
+  return collapseCheckboxGroups(collapseExclusiveGroups(collapseThresholdGroups(dedupeByTagId(picked))), tags).sort(
+    byPriority
+  );
+}
+
+/** ---------- question order: category sections, most decisive first ---------- */
+const OTHER_SECTION = "Other";
+
+/** Member Tag_IDs a (possibly grouped) question answers */
+const questionTagIds = (q) =>
+  uniqNums([q.Tag_ID, ...(q.Exclusive_Group || []), ...(q.Checkbox_Group || []), ...(q.Threshold_Group || [])]);
+
+/** The tag's best-ranked Tag_Category (TagCategory Table priority), else its first one */
+export function tagSection(tag, tagCategoryPriority) {
+  const cats = parseList(tag?.Tag_Category);
+  if (!cats.length) return { category: OTHER_SECTION, priority: Infinity };
+  const rank = (c) => tagCategoryPriority?.get(canon(c)) ?? Infinity;
+  const best = cats.reduce((a, b) => (rank(b) < rank(a) ? b : a));
+  return { category: best, priority: rank(best) };
+}
+
+/**
+ * Answer outcomes a question can produce, as tag assignments: each option of an
+ * exclusive group, all-checked / none-checked for checkbox and threshold groups,
+ * Yes / No for a single tag.
+ */
+function questionOutcomes(q) {
+  const ids = questionTagIds(q);
+  if (q.Exclusive_Group) return ids.map((pick) => Object.fromEntries(ids.map((id) => [id, id === pick ? 1 : -1])));
+  return [1, -1].map((v) => Object.fromEntries(ids.map((id) => [id, v])));
+}
+
+/**
+ * How many pending clauses answering `q` decides, averaged over its outcomes.
+ * `pending` are the unresolved clause records; `assignedTags` the current -1/0/1 values.
+ */
+export function questionDecisiveness(q, pending, assignedTags) {
+  const ids = new Set(questionTagIds(q));
+  const touched = (pending || []).filter((c) => clauseTagIds(c).some((id) => ids.has(id)));
+  if (!touched.length) return 0;
+  const outcomes = questionOutcomes(q);
+  let decided = 0;
+  for (const outcome of outcomes) {
+    const result = evaluateClauses({ ...assignedTags, ...outcome }, touched);
+    decided += Object.values(result).filter((v) => v !== 0).length;
+  }
+  return decided / outcomes.length;
+}
+
+/**
+ * Pending questions in TagCategory Table order: [{ category, priority, questions }].
+ * Sections follow the table's Priority (unlisted categories after, by name; untagged
+ * last). Within a section questions keep the tag Priority order, or with `fewest`
+ * the most decisive first (questionDecisiveness, stored on each as Decides).
+ */
+export function sectionQuestions(
+  questions,
+  { tagCategoryPriority, fewest = false, clauses = [], clauseEval = {}, assignedTags = {} } = {}
+) {
+  const pending = fewest ? clauses.filter((c) => (clauseEval[c.PC_ID] ?? 0) === 0) : [];
+  const sections = new Map();
+  for (const q of questions || []) {
+    const { category, priority } = tagSection(q, tagCategoryPriority);
+    const key = canon(category);
+    if (!sections.has(key)) sections.set(key, { category, priority, questions: [] });
+    sections
+      .get(key)
+      .questions.push(fewest ? { ...q, Decides: questionDecisiveness(q, pending, assignedTags) } : q);
+  }
+
+  const rankOf = (s) => (s.category === OTHER_SECTION ? [2, 0] : [Number.isFinite(s.priority) ? 0 : 1, s.priority]);
+  const out = [...sections.values()].sort((a, b) => {
+    const [ga, pa] = rankOf(a);
+    const [gb, pb] = rankOf(b);
+    return ga - gb || (ga === 0 ? pa - pb : 0) || a.category.localeCompare(b.category);
+  });
+  for (const s of out) {
+    s.questions.sort(fewest ? (a, b) => b.Decides - a.Decides || byPriority(a, b) : byPriority);
+  }
+  return out;
+}
+
+/** ---------- variables: template -> fill-mode fields ---------- */
+
+/**
+ * Fill-mode variables for a template:
+ *  - every non-Clause variable named in the template's Variable_Array
+ *  - plus the Internal_Variables (Variable_IDs) of clauses scored 1
+ * "No Display" variables are left out (nothing to enter) unless they are computed
+ * (see formulas.js), which the UI shows read-only.
+ * Sorted by VariableCategory Table priority, then the row's Priority, then Variable_ID.
+ */
+export function filterAndSortVariables(db, templateName, clauseEval) {
+  const template = db?.templateByName.get(canon(templateName));
+  if (!template) return [];
+  const wantedNames = new Set(template.Variable_Array.map(canon));
+
+  // Internal_Variables of included clauses
+  const wantedIds = new Set(
+    db.clauses.filter((c) => clauseEval?.[c.PC_ID] === 1).flatMap((c) => c.Internal_Variables)
+  );
+
+  const catRank = (v) => db.variableCategoryPriority.get(canon(v.Variable_Category)) ?? Infinity;
+
+  const seen = new Set();
+  return db.variables
+    .filter((v) => {
+      if (seen.has(v.Variable_ID)) return false;
+      if (canon(v.Variable_Type) === "clause") return false;
+      if (canon(v.Entry_Type) === "no display" && !isComputedVariable(v)) return false;
+      const keep = wantedNames.has(canon(v.Object_Name)) || wantedIds.has(v.Variable_ID);
+      if (keep) seen.add(v.Variable_ID);
+      return keep;
+    })
+    .sort(
+      (a, b) =>
+        catRank(a) - catRank(b) ||
+        String(a.Variable_Category).localeCompare(String(b.Variable_Category)) ||
+        (a.Priority ?? Infinity) - (b.Priority ?? Infinity) ||
+        a.Variable_ID - b.Variable_ID
+    );
+}
@@ -0,0 +1,89 @@
+// src/lib/evaluator.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateTagsBuildMode, findExclusiveConflicts, tagComparison } from "./evaluator.js";
+
+const group = (labels) =>
+  labels.map((Tag, i) => ({ Tag_ID: i + 1, Tag, Entry_Category: "Contract Type", Mutually_Exclusive: true }));
+
+test("Yes on a prefixed member picks it and rules out its siblings", () => {
+  const tags = group(["Contract Type - Firm Fixed Price", "Contract Type - Cost Plus"]);
+  assert.deepEqual(evaluateTagsBuildMode({ 1: "Yes" }, tags), { 1: 1, 2: -1 });
+  assert.deepEqual(findExclusiveConflicts({ 1: "Yes" }, tags), []);
+});
+
+test("an option named with or without the category prefix picks the same member", () => {
+  const tags = group(["Contract Type - Firm Fixed Price", "Cost Plus"]);
+  assert.deepEqual(evaluateTagsBuildMode({ 1: "Firm Fixed Price" }, tags), { 1: 1, 2: -1 });
+  assert.deepEqual(evaluateTagsBuildMode({ 2: "Contract Type - Cost Plus" }, tags), { 1: -1, 2: 1 });
+});
+
+test("two prefixed picks conflict and leave the group undecided", () => {
+  const tags = group(["Contract Type - Firm Fixed Price", "Contract Type - Cost Plus"]);
+  assert.deepEqual(evaluateTagsBuildMode({ 1: "Yes", 2: "Yes" }, tags), { 1: 0, 2: 0 });
+  assert.deepEqual(findExclusiveConflicts({ 1: "Yes", 2: "Yes" }, tags), [
+    {
+      entryCategory: "Contract Type",
+      picks: [
+        { option: "Contract Type - Firm Fixed Price", tagIds: [1] },
+        { option: "Contract Type - Cost Plus", tagIds: [2] },
+      ],
+    },
+  ]);
+});
+
+test("No only rules out that member", () => {
+  const tags = group(["Contract Type - Firm Fixed Price", "Contract Type - Cost Plus"]);
+  assert.deepEqual(evaluateTagsBuildMode({ 1: "No" }, tags), { 1: -1 });
+});
+
+test("a ranged or required amount category still takes its comparison from the label", () => {
+  const tag = (Tag_ID, Tag) => ({
+    Tag_ID,
+    Tag,
+    Tag_Category: "BAOV",
+    Entry_Category: "Int Dollar ($0 - $10M) *",
+    Comparison: tagComparison("", Tag, "Int Dollar ($0 - $10M) *"),
+  });
+  const tags = [tag(1, ">= $250,000"), tag(2, "Below SAT (<$250,000)")];
+  assert.deepEqual(tags.map((t) => t.Comparison), [
+    { op: ">=", value: 250000 },
+    { op: "<", value: 250000 },
+  ]);
+  assert.deepEqual(evaluateTagsBuildMode({ 1: "$1.2M" }, tags), { 1: 1, 2: -1 });
+});
+
+test("a Bool tag with a Threshold cell is answered Yes / No, not as an amount", () => {
+  const tags = [
+    {
+      Tag_ID: 1,
+      Tag: "Large project",
+      Tag_Category: "BAOV",
+      Entry_Category: "Bool",
+      Comparison: tagComparison(">= 35000000", "Large project", "Bool"),
+    },
+    { Tag_ID: 2, Tag: ">$2,000", Tag_Category: "BAOV", Entry_Category: "Int", Comparison: tagComparison("", ">$2,000", "Int") },
+  ];
+  assert.deepEqual(evaluateTagsBuildMode({ 1: "Yes" }, tags), { 1: 1 });
+  assert.deepEqual(evaluateTagsBuildMode({ 1: "No" }, tags), { 1: -1 });
+  // an amount elsewhere in the category leaves the Bool tag alone
+  assert.deepEqual(evaluateTagsBuildMode({ 2: "$40M" }, tags), { 2: 1 });
+});
+
+test("an amount decides thresholds in its own amount category only", () => {
+  const amountTag = (Tag_ID, Tag, Tag_Category) => ({
+    Tag_ID,
+    Tag,
+    Tag_Category,
+    Entry_Category: "Int",
+    Comparison: tagComparison("", Tag, "Int"),
+  });
+  const tags = [
+    { ...amountTag(35, ">=$35,000,000", "EASi, BAOV"), Entry_Category: "Int Dollar" },
+    amountTag(1, ">$2,000", "BAOV"),
+    amountTag(18, "Below SAT (<$250,000)", "BAOV"),
+    amountTag(40, ">$1,000,000", "EASi"),
+  ];
+  assert.deepEqual(evaluateTagsBuildMode({ 35: "$42M" }, tags), { 35: 1, 1: 1, 18: -1 });
+  assert.deepEqual(evaluateTagsBuildMode({ 1: "$100,000" }, tags), { 1: 1, 35: -1, 18: 1 });
+});
@@ -0,0 +1,104 @@
+// src/lib/explain.js
+import { compileExpr, decisiveTag } from "./expr.js";
+
+/**
+ * Deterministic "why is this clause in / out / pending?" trace.
+ * Mirrors evaluateClauses step by step so the explanation can't drift from the result.
+ *
+ * Returns one entry per clause record:
+ * {
+ *   pc, number, name, source,          // source: workbook the clause row came from
+ *   result: 1|0|-1,
+ *   expression: string|null,          // Include_If_Expr when the clause uses one
+ *   include: [TagTrace], exclude: [TagTrace],
+ *   decidedBy: TagTrace|null,
+ *   reason: string                     // one deterministic sentence
+ * }
+ * TagTrace: { tagId, label, question, answer, value: 1|0|-1, wanted: 1|-1|null, ok: boolean|null }
+ */
+export function explainClauses({ assignedTags, answeredTags, clauses, tags, clauseEval }) {
+  if (!clauses?.length) return [];
+
+  const infoById = new Map((tags || []).map((t) => [t.Tag_ID, t]));
+  const val = (tagId) => {
+    const v = assignedTags?.[Number(tagId)];
+    return v === 1 ? 1 : v === -1 ? -1 : 0;
+  };
+  const trace = (tagId, wanted) => {
+    const info = infoById.get(Number(tagId));
+    const value = val(tagId);
+    return {
+      tagId: Number(tagId),
+      label: info?.Tag || "",
+      question: info?.Question || "",
+      answer: answeredTags?.[String(tagId)] ?? "",
+      value,
+      wanted,
+      ok: wanted == null || value === 0 ? null : value === wanted,
+    };
+  };
+  return clauses.map((c) => {
+    const pc = c.PC_ID;
+    const compiled = compileExpr(c.Include_If_Expr);
+    const exclude = c.Exclude_If_List.map((t) => trace(t, -1));
+    const include = compiled
+      ? compiled.tagIds.map((t) => trace(t, null))
+      : c.Include_If_List.map((t) => trace(t, 1));
+
+    const base = {
+      pc,
+      number: c.Provision_or_Clause_Number,
+      name: c.Provision_or_Clause_Full_Name,
+      source: c.Source || "",
+      result: clauseEval?.[pc] ?? 0,
+      expression: compiled ? c.Include_If_Expr : null,
+      include,
+      exclude,
+    };
+
+    const firstExcludeHit = exclude.find((t) => t.value === 1);
+    const describe = (t) => `tag ${t.tagId}${t.label ? ` (“${t.label}”)` : ""}`;
+
+    // --- expression clauses
+    if (compiled) {
+      if (compiled.error) {
+        return { ...base, result: 0, decidedBy: null, reason: `Include_If_Expr could not be parsed — ${compiled.error}.` };
+      }
+      if (firstExcludeHit) {
+        return { ...base, result: -1, decidedBy: firstExcludeHit, reason: `Excluded because ${describe(firstExcludeHit)} is Yes and it is on the exclude list.` };
+      }
+      const key = decisiveTag(compiled.ast, val);
+      const decided = key != null ? include.find((t) => t.tagId === key) : null;
+      if (base.result === -1) {
+        return { ...base, decidedBy: decided, reason: `Excluded because the include expression is false${decided ? ` — decided by ${describe(decided)}` : ""}.` };
+      }
+      if (base.result === 1) {
+        return { ...base, decidedBy: decided, reason: "Included because the include expression is true and no exclude tag is Yes." };
+      }
+      const blocking = decided || exclude.find((t) => t.value === 0) || null;
+      return { ...base, decidedBy: blocking, reason: `Pending until ${blocking ? describe(blocking) : "more tags"} is answered.` };
+    }
+
+    // --- list clauses: same order as evaluateClauses
+    const firstIncludeMiss = include.find((t) => t.value === -1);
+    if (firstIncludeMiss) {
+      return { ...base, result: -1, decidedBy: firstIncludeMiss, reason: `Excluded because ${describe(firstIncludeMiss)} is No but must be Yes.` };
+    }
+    if (firstExcludeHit) {
+      return { ...base, result: -1, decidedBy: firstExcludeHit, reason: `Excluded because ${describe(firstExcludeHit)} is Yes but must be No.` };
+    }
+    const firstPending = [...include, ...exclude].find((t) => t.value === 0);
+    if (firstPending) {
+      return { ...base, result: 0, decidedBy: firstPending, reason: `Pending until ${describe(firstPending)} is answered.` };
+    }
+    return {
+      ...base,
+      result: 1,
+      decidedBy: null,
+      reason:
+        include.length || exclude.length
+          ? "Included because every include tag is Yes and every exclude tag is No."
+          : "Included because it has no conditions.",
+    };
+  });
+}
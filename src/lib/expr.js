@@ -0,0 +1,196 @@
+// src/lib/expr.js
+//
+// Include_If_Expr: a small boolean language over tag IDs.
+//   (T12 OR T13) AND NOT T40
+//   12 && (13 || !40)
+// Tag references are "T<id>" or a bare id. Keywords are case-insensitive.
+// Precedence: NOT > AND > OR.
+//
+// Evaluation is three-valued (Kleene logic) to match the rest of the evaluator:
+//   1 = true, -1 = false, 0 = undecided
+//   NOT x   = -x
+//   a AND b = min(a, b)
+//   a OR b  = max(a, b)
+// so an undecided sub-expression yields 0 unless the other side already decides it.
+
+/** ---------- tokenizer ---------- */
+const TOKEN_RE = /\s*(\(|\)|&&|&|\|\||\||!|[Tt]?\d+|[A-Za-z_]\w*)/y;
+const SYMBOLS = { "(": "(", ")": ")", "&&": "AND", "&": "AND", "||": "OR", "|": "OR", "!": "NOT" };
+
+function tokenize(src) {
+  const text = String(src ?? "");
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < text.length) {
+    const start = TOKEN_RE.lastIndex;
+    const m = TOKEN_RE.exec(text);
+    if (!m) {
+      const rest = text.slice(start).trimStart();
+      if (!rest) break;
+      const at = text.length - rest.length + 1;
+      throw new Error(`Unexpected character "${rest[0]}" at position ${at}`);
+    }
+    const word = m[1];
+    const at = TOKEN_RE.lastIndex - word.length + 1;
+    const upper = word.toUpperCase();
+
+    if (SYMBOLS[word]) tokens.push({ type: SYMBOLS[word], at });
+    else if (/^T?\d+$/.test(upper)) tokens.push({ type: "TAG", id: Number(upper.replace(/^T/, "")), at });
+    else if (upper === "AND" || upper === "OR" || upper === "NOT") tokens.push({ type: upper, at });
+    else throw new Error(`Unknown word "${word}" at position ${at}`);
+  }
+  return tokens;
+}
+
+/** ---------- parser (recursive descent) ---------- */
+/**
+ * Parse an expression into an AST:
+ *   { op: "tag", id } | { op: "not", arg } | { op: "and"|"or", args: [] }
+ * Throws Error with a position-aware message on bad input.
+ */
+export function parseExpr(src) {
+  const tokens = tokenize(src);
+  if (!tokens.length) throw new Error("Expression is empty");
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const where = () => (peek() ? `position ${peek().at}` : "end of expression");
+
+  function parseOr() {
+    const args = [parseAnd()];
+    while (peek()?.type === "OR") {
+      i++;
+      args.push(parseAnd());
+    }
+    return args.length === 1 ? args[0] : { op: "or", args };
+  }
+
+  function parseAnd() {
+    const args = [parseNot()];
+    while (peek()?.type === "AND") {
+      i++;
+      args.push(parseNot());
+    }
+    return args.length === 1 ? args[0] : { op: "and", args };
+  }
+
+  function parseNot() {
+    if (peek()?.type === "NOT") {
+      i++;
+      return { op: "not", arg: parseNot() };
+    }
+    return parseAtom();
+  }
+
+  function parseAtom() {
+    const t = peek();
+    if (!t) throw new Error("Unexpected end of expression");
+    if (t.type === "TAG") {
+      i++;
+      return { op: "tag", id: t.id };
+    }
+    if (t.type === "(") {
+      i++;
+      const inner = parseOr();
+      if (peek()?.type !== ")") throw new Error(`Missing ")" at ${where()}`);
+      i++;
+      return inner;
+    }
+    throw new Error(`Expected a tag or "(" at ${where()}`);
+  }
+
+  const ast = parseOr();
+  if (i < tokens.length) {
+    const t = tokens[i];
+    throw new Error(`Unexpected ${t.type === "TAG" ? `tag ${t.id}` : `"${t.type}"`} at ${where()}`);
+  }
+  return ast;
+}
+
+/** Evaluate an AST; `val(tagId)` must return 1, 0 or -1 */
+export function evalExpr(ast, val) {
+  switch (ast.op) {
+    case "tag":
+      return val(ast.id);
+    case "not": {
+      const v = evalExpr(ast.arg, val);
+      return v === 0 ? 0 : -v;
+    }
+    case "and": {
+      let out = 1;
+      for (const a of ast.args) {
+        out = Math.min(out, evalExpr(a, val));
+        if (out === -1) break;
+      }
+      return out;
+    }
+    case "or": {
+      let out = -1;
+      for (const a of ast.args) {
+        out = Math.max(out, evalExpr(a, val));
+        if (out === 1) break;
+      }
+      return out;
+    }
+    default:
+      throw new Error(`Unknown node "${ast.op}"`);
+  }
+}
+
+/** All tag IDs referenced by an AST (unique, in order of appearance) */
+export function exprTagIds(ast) {
+  const out = [];
+  const walk = (n) => {
+    if (n.op === "tag") out.push(n.id);
+    else if (n.op === "not") walk(n.arg);
+    else n.args.forEach(walk);
+  };
+  walk(ast);
+  return Array.from(new Set(out));
+}
+
+/** ---------- cached compile ---------- */
+const cache = new Map();
+
+/**
+ * Compile an expression cell once: { ast, tagIds, error }.
+ * Blank cells return null (no expression).
+ */
+export function compileExpr(src) {
+  const key = String(src ?? "").trim();
+  if (!key) return null;
+  if (!cache.has(key)) {
+    try {
+      const ast = parseExpr(key);
+      cache.set(key, { ast, tagIds: exprTagIds(ast), error: null });
+    } catch (e) {
+      cache.set(key, { ast: null, tagIds: [], error: e.message });
+    }
+  }
+  return cache.get(key);
+}
+
+/**
+ * The tag that decided an expression's value (null when none single-handedly did):
+ *  - AND = -1 / OR = 1  -> first argument with that value
+ *  - result 0           -> first undecided argument (what is still blocking)
+ *  - AND = 1 / OR = -1  -> every argument mattered; reports null
+ */
+export function decisiveTag(ast, val) {
+  const result = evalExpr(ast, val);
+  switch (ast.op) {
+    case "tag":
+      return ast.id;
+    case "not":
+      return decisiveTag(ast.arg, val);
+    case "and":
+    case "or": {
+      const short = ast.op === "and" ? -1 : 1;
+      if (result !== 0 && result !== short) return null;
+      const arg = ast.args.find((a) => evalExpr(a, val) === result);
+      return arg ? decisiveTag(arg, val) : null;
+    }
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,79 @@
+// src/lib/expr.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileExpr, decisiveTag, evalExpr, exprTagIds, parseExpr } from "./expr.js";
+import { clauseExpressionErrors, evaluateClauses } from "./evaluator.js";
+
+const tag = (id) => ({ op: "tag", id });
+const valOf = (values) => (id) => values[id] ?? 0;
+const run = (src, values) => evalExpr(parseExpr(src), valOf(values));
+
+test("NOT binds tighter than AND, AND tighter than OR", () => {
+  assert.deepEqual(parseExpr("T1 OR T2 AND NOT T3"), {
+    op: "or",
+    args: [tag(1), { op: "and", args: [tag(2), { op: "not", arg: tag(3) }] }],
+  });
+  assert.deepEqual(parseExpr("12 || 13 && !40"), parseExpr("T12 OR (T13 AND NOT T40)"));
+});
+
+test("parentheses override precedence; keywords and T are case-insensitive", () => {
+  assert.deepEqual(parseExpr("(t1 or T2) and not 3"), {
+    op: "and",
+    args: [{ op: "or", args: [tag(1), tag(2)] }, { op: "not", arg: tag(3) }],
+  });
+  assert.deepEqual(parseExpr("((T7))"), tag(7));
+  assert.deepEqual(exprTagIds(parseExpr("(T1 OR T2) AND (T1 OR NOT T3)")), [1, 2, 3]);
+});
+
+test("NOT flips a decided value and leaves undecided alone", () => {
+  assert.equal(run("NOT T1", { 1: 1 }), -1);
+  assert.equal(run("NOT T1", { 1: -1 }), 1);
+  assert.equal(run("NOT T1", {}), 0);
+  assert.equal(run("NOT NOT T1", { 1: -1 }), -1);
+});
+
+test("Kleene logic: a false operand decides AND, a true one decides OR", () => {
+  assert.equal(run("T1 AND T2", { 1: -1 }), -1); // T2 undecided
+  assert.equal(run("T1 AND T2", { 1: 1 }), 0);
+  assert.equal(run("T1 AND T2", { 1: 1, 2: 1 }), 1);
+  assert.equal(run("T1 OR T2", { 1: -1 }), 0);
+  assert.equal(run("T1 OR T2", { 2: 1 }), 1);
+  assert.equal(run("T1 OR T2", { 1: -1, 2: -1 }), -1);
+  assert.equal(run("(T1 OR T2) AND NOT T3", { 1: -1, 2: 1, 3: -1 }), 1);
+  assert.equal(run("(T1 OR T2) AND NOT T3", { 1: -1, 2: 1, 3: 1 }), -1);
+});
+
+test("decisiveTag names the operand that settled the result", () => {
+  const ast = parseExpr("(T1 OR T2) AND NOT T3");
+  assert.equal(decisiveTag(ast, valOf({ 1: -1, 2: 1, 3: 1 })), 3);
+  assert.equal(decisiveTag(ast, valOf({ 1: -1, 3: -1 })), 2); // still waiting on T2
+  assert.equal(decisiveTag(ast, valOf({ 2: 1, 3: -1 })), null);
+});
+
+test("a tag ID no tag answers keeps the expression undecided", () => {
+  const clauses = [{ PC_ID: "52.1", Include_If_Expr: "T1 AND T999", Exclude_If_List: [], Include_If_List: [] }];
+  assert.deepEqual(evaluateClauses({ 1: 1 }, clauses), { "52.1": 0 });
+  assert.deepEqual(evaluateClauses({ 1: -1 }, clauses), { "52.1": -1 });
+});
+
+test("malformed input throws with the position", () => {
+  assert.throws(() => parseExpr(""), /empty/);
+  assert.throws(() => parseExpr("T1 AND"), /end of expression/);
+  assert.throws(() => parseExpr("(T1 OR T2"), /Missing "\)" at end of expression/);
+  assert.throws(() => parseExpr("T1 T2"), /Unexpected tag 2 at position 4/);
+  assert.throws(() => parseExpr("T1 XOR T2"), /Unknown word "XOR" at position 4/);
+  assert.throws(() => parseExpr("T1 + T2"), /Unexpected character "\+" at position 4/);
+});
+
+test("a bad expression leaves only its own clause unresolved, with an error line", () => {
+  const clauses = [
+    { PC_ID: "bad", Include_If_Expr: "T1 AND (T2", Exclude_If_List: [], Include_If_List: [1] },
+    { PC_ID: "good", Include_If_Expr: "T1", Exclude_If_List: [], Include_If_List: [] },
+  ];
+  assert.equal(compileExpr("T1 AND (T2").ast, null);
+  assert.deepEqual(evaluateClauses({ 1: 1, 2: 1 }, clauses), { bad: 0, good: 1 });
+  const errors = clauseExpressionErrors(clauses);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Clause bad: Include_If_Expr "T1 AND \(T2" could not be parsed/);
+  assert.equal(compileExpr("   "), null);
+});
@@ -0,0 +1,159 @@
+// src/lib/fields.js
+import { canon, isCheckboxGroup } from "./evaluator.js";
+import { isAmountCategory, parseAmount, parseEntryCategory, formatAmount } from "./thresholds.js";
+import { isComputedVariable } from "./formulas.js";
+
+/**
+ * Entry rules for tag questions and variables, read from Entry_Type / Entry_Category.
+ *
+ * Entry_Type picks the control when it says so ("Text Area", "Multi Select",
+ * "Drop Down", "Radio"); otherwise Entry_Category does ("Date with Day", "String Email",
+ * "Int Dollar", "UEI", ...). A range in the category sets min / max, e.g.
+ * "Int Num (1-365)" or "Int Dollar ($0 - $10M)". "Required" in either column, or a
+ * trailing "*", makes the field required.
+ *
+ * rule = { control, required, min, max, options[], hint }
+ * control: "hidden" | "text" | "textarea" | "select" | "multiselect" | "checkboxes" | "radio" | "date"
+ *        | "time" | "number" | "currency" | "email" | "tel" | "uei" | "duns" | "naics"
+ * ("checkboxes" is a tag checkbox group — see isCheckboxGroup in evaluator.js)
+ */
+
+/** Multi-select answers are stored as one string, options joined by "; " */
+export const MULTI_SEPARATOR = "; ";
+export const splitMulti = (value) =>
+  String(value ?? "")
+    .split(";")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const TYPE_CONTROLS = [
+  [/^no display$/, "hidden"],
+  [/text\s*area|multi-?\s*line|long text|paragraph/, "textarea"],
+  [/check\s*box|check all/, "checkboxes"],
+  [/multi-?\s*select|check\s*list/, "multiselect"],
+  [/drop\s*down|dropdown|select/, "select"],
+  [/radio/, "radio"],
+];
+
+const CATEGORY_CONTROLS = [
+  [/^bool$/, "radio"],
+  [/^date( with day)?$/, "date"],
+  [/^time$/, "time"],
+  [/email/, "email"],
+  [/phone/, "tel"],
+  [/^uei$|unique entity/, "uei"],
+  [/^duns$/, "duns"],
+  [/^naics/, "naics"],
+  [/^(int num|number|integer)$/, "number"],
+  [/text\s*area|long text|paragraph/, "textarea"],
+];
+
+/** Rule for a Tag or Variable record; `options` are its EntryCategory Table options */
+export function fieldRule(record, options = []) {
+  const type = canon(record?.Entry_Type);
+  const entry = parseEntryCategory(canon(record?.Entry_Category));
+  const { category, min, max } = entry;
+  const required = /required/.test(type) || entry.required;
+
+  let control = TYPE_CONTROLS.find(([re]) => re.test(type))?.[1];
+  if (!control) {
+    control =
+      (isAmountCategory(category) ? "currency" : CATEGORY_CONTROLS.find(([re]) => re.test(category))?.[1]) ||
+      (options.length ? "select" : "text");
+  }
+  if (["select", "multiselect", "checkboxes"].includes(control) && !options.length) control = "text";
+
+  const hint = {
+    currency: "e.g. $250,000 or $1.2M",
+    email: "name@agency.gov",
+    tel: "(202) 555-0100",
+    uei: "12 characters, e.g. JF1RVNKJG4K3",
+    duns: "9 digits",
+    naics: "6 digits, e.g. 236220",
+    multiselect: "Choose one or more",
+  }[control] || "";
+
+  return { control, required, min, max, options, hint };
+}
+
+const bound = (control, n) => (control === "currency" ? formatAmount(n) : n.toLocaleString("en-US"));
+
+/** "" when `value` satisfies `rule`, else a short message for the field */
+export function validateField(rule, value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return rule.required ? "Required" : "";
+
+  switch (rule.control) {
+    case "email":
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw) ? "" : "Enter an email address like name@agency.gov";
+    case "tel": {
+      const digits = raw.split(/\s*(?:x|ext\.?)\s*\d+$/i)[0].replace(/\D/g, "");
+      return digits.length === 10 || (digits.length === 11 && digits[0] === "1")
+        ? ""
+        : "Enter a 10-digit phone number, e.g. (202) 555-0100";
+    }
+    case "uei":
+      return /^[A-HJ-NP-Z1-9][A-HJ-NP-Z0-9]{11}$/.test(raw.toUpperCase())
+        ? ""
+        : "A UEI is 12 letters and digits (no O or I) and does not start with 0";
+    case "duns":
+      return /^\d{9}$/.test(raw.replace(/-/g, "")) ? "" : "A DUNS number is 9 digits";
+    case "naics":
+      return /^\d{6}$/.test(raw) ? "" : "A NAICS code is 6 digits, e.g. 236220";
+    case "date":
+      return Number.isNaN(new Date(raw).getTime()) ? "Enter a date" : "";
+    case "time":
+      return /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(raw) ? "" : "Enter a time, e.g. 14:30";
+    case "select":
+    case "radio":
+      return rule.options.length && !rule.options.some((o) => canon(o) === canon(raw))
+        ? `Not one of the options: ${raw}`
+        : "";
+    case "multiselect":
+    case "checkboxes": {
+      const unknown = splitMulti(raw).filter((v) => !rule.options.some((o) => canon(o) === canon(v)));
+      return unknown.length ? `Not one of the options: ${unknown.join(", ")}` : "";
+    }
+    case "number":
+    case "currency": {
+      const plain = raw.replace(/,/g, "");
+      const n = rule.control === "currency" ? parseAmount(raw) : /^-?\d+$/.test(plain) ? Number(plain) : null;
+      if (n == null) {
+        return rule.control === "currency" ? "Enter a dollar amount, e.g. $250,000 or $1.2M" : "Enter a whole number";
+      }
+      if (rule.min != null && n < rule.min) return `Must be at least ${bound(rule.control, rule.min)}`;
+      if (rule.max != null && n > rule.max) return `Must be at most ${bound(rule.control, rule.max)}`;
+      return "";
+    }
+    default:
+      return "";
+  }
+}
+
+/**
+ * Every field that blocks generation: answered template tags with a bad value, and
+ * Fill-mode variables that are invalid or required but blank (computed ones excluded).
+ * Returns [{ kind: "tag"|"variable", id, label, error }]
+ */
+export function invalidFields({ tags = [], variables = [], answeredTags = {}, answeredVariables = {}, entryOptions }) {
+  const optionsOf = (r) => entryOptions?.get(canon(r.Entry_Category)) || [];
+  const out = [];
+  for (const t of tags) {
+    const value = answeredTags[String(t.Tag_ID)];
+    if (!String(value ?? "").trim()) continue; // unanswered tags are Build mode's job
+    if (isCheckboxGroup(t)) continue; // members hold Yes / No
+    const rule = fieldRule(t, optionsOf(t));
+    // an exclusive group's lead is answered with any member's label
+    if (t.Mutually_Exclusive && (rule.control === "select" || rule.control === "radio")) continue;
+    const error = validateField(rule, value);
+    if (error) out.push({ kind: "tag", id: t.Tag_ID, label: t.Question || t.Tag, error });
+  }
+  for (const v of variables) {
+    if (isComputedVariable(v)) continue;
+    const rule = fieldRule(v, optionsOf(v));
+    if (rule.control === "hidden") continue;
+    const error = validateField(rule, answeredVariables[String(v.Variable_ID)]);
+    if (error) out.push({ kind: "variable", id: v.Variable_ID, label: v.Question || v.Name, error });
+  }
+  return out;
+}
@@ -0,0 +1,31 @@
+// src/lib/fields.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fieldRule, validateField } from "./fields.js";
+import { isAmountCategory, parseEntryCategory } from "./thresholds.js";
+
+test("range and required decorations come off the Entry_Category", () => {
+  assert.deepEqual(parseEntryCategory("Int Dollar ($0 - $10M) *"), {
+    category: "int dollar",
+    required: true,
+    min: 0,
+    max: 10000000,
+  });
+  assert.deepEqual(parseEntryCategory("Int Num (1-365)"), { category: "int num", required: false, min: 1, max: 365 });
+  assert.equal(parseEntryCategory("Currency (Required)").category, "currency");
+});
+
+test("a decorated amount category is still an amount", () => {
+  assert.ok(isAmountCategory("Int Dollar ($0 - $10M)"));
+  assert.ok(isAmountCategory("Dollar*"));
+  assert.ok(!isAmountCategory("Bool"));
+});
+
+test("a ranged amount category is a currency field with bounds", () => {
+  const rule = fieldRule({ Entry_Type: "Input", Entry_Category: "Int Dollar ($0 - $10M)" });
+  assert.equal(rule.control, "currency");
+  assert.deepEqual([rule.min, rule.max, rule.required], [0, 10000000, false]);
+  assert.equal(validateField(rule, "$1.2M"), "");
+  assert.equal(validateField(rule, "$10M"), "", "the bounds are inclusive");
+  assert.notEqual(validateField(rule, "$12M"), "");
+});
@@ -0,0 +1,60 @@
+// src/lib/fixtureProvider.js
+
+/**
+ * Deterministic inference provider (see inference.js) for tests and demos. Answers
+ * come from a fixture, never from the text:
+ *
+ * {
+ *   tags:         { [Tag_ID]: answer | { answer, confidence?, evidence? } },
+ *   variables:    { [Variable_ID]: value | { value, confidence?, evidence? } },
+ *   questions:    { [Tag_ID]: { question, helper? } },
+ *   explanations: { [PC_ID]: string }
+ * }
+ *
+ * Only ids present in the request are returned, in request order. `fixture` may be
+ * the object or a function returning it (or a promise of it), read on first use.
+ */
+export function createFixtureProvider(fixture = {}) {
+  let loaded = null;
+  const data = () => (loaded ??= Promise.resolve(typeof fixture === "function" ? fixture() : fixture));
+  const entry = (value, key) => (value != null && typeof value === "object" ? value : { [key]: value });
+
+  return {
+    name: "fixture",
+    label: "Fixture (deterministic)",
+
+    async inferTags({ tags }) {
+      const f = (await data())?.tags || {};
+      return (tags || [])
+        .filter((t) => f[t.Tag_ID] != null)
+        .map((t) => {
+          const e = entry(f[t.Tag_ID], "answer");
+          return { tagId: t.Tag_ID, answer: String(e.answer), confidence: e.confidence ?? 1, evidence: e.evidence };
+        });
+    },
+
+    async inferVariables({ variables }) {
+      const f = (await data())?.variables || {};
+      return (variables || [])
+        .filter((v) => f[v.Variable_ID] != null)
+        .map((v) => {
+          const e = entry(f[v.Variable_ID], "value");
+          return { variableId: v.Variable_ID, value: String(e.value), confidence: e.confidence ?? 1, evidence: e.evidence };
+        });
+    },
+
+    async improveQuestions({ questions }) {
+      const f = (await data())?.questions || {};
+      return (questions || []).map((q) => ({
+        tagId: q.tagId,
+        question: f[q.tagId]?.question ?? q.question,
+        helper: f[q.tagId]?.helper ?? q.helper ?? "",
+      }));
+    },
+
+    async explainClause({ clause }) {
+      const f = (await data())?.explanations || {};
+      return f[clause?.pc] ?? `Clause ${clause?.pc}: ${clause?.reason || "no fixture explanation."}`;
+    },
+  };
+}
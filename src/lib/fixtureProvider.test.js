@@ -0,0 +1,60 @@
+// src/lib/fixtureProvider.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFixtureProvider } from "./fixtureProvider.js";
+
+const fixture = {
+  tags: {
+    243: { answer: "Construction", confidence: 0.95, evidence: "This is a construction project." },
+    35: "$42,000,000",
+  },
+  variables: { 9: { value: "jane.doe@gsa.gov", confidence: 0.9 } },
+  questions: { 243: { question: "What kind of work is this?", helper: "Pick the closest category." } },
+  explanations: { "52.236-1": "Included because this is a construction contract." },
+};
+
+const tags = [{ Tag_ID: 35 }, { Tag_ID: 243 }, { Tag_ID: 7 }];
+
+test("inferTags returns the fixture answers for the requested tags, in request order", async () => {
+  const ai = createFixtureProvider(fixture);
+  assert.deepEqual(await ai.inferTags({ text: "ignored", tags }), [
+    { tagId: 35, answer: "$42,000,000", confidence: 1, evidence: undefined },
+    { tagId: 243, answer: "Construction", confidence: 0.95, evidence: "This is a construction project." },
+  ]);
+});
+
+test("inferVariables returns only variables present in the request", async () => {
+  const ai = createFixtureProvider(fixture);
+  assert.deepEqual(await ai.inferVariables({ text: "", variables: [{ Variable_ID: 9 }, { Variable_ID: 10 }] }), [
+    { variableId: 9, value: "jane.doe@gsa.gov", confidence: 0.9, evidence: undefined },
+  ]);
+});
+
+test("improveQuestions rewords fixture questions and keeps the rest", async () => {
+  const ai = createFixtureProvider(fixture);
+  const questions = [
+    { tagId: 243, tag: "Construction", question: "Category?", helper: "" },
+    { tagId: 35, tag: "BAOV", question: "Estimated value?", helper: "Dollars" },
+  ];
+  assert.deepEqual(await ai.improveQuestions({ questions }), [
+    { tagId: 243, question: "What kind of work is this?", helper: "Pick the closest category." },
+    { tagId: 35, question: "Estimated value?", helper: "Dollars" },
+  ]);
+});
+
+test("explainClause uses the fixture text, else the clause's own reason", async () => {
+  const ai = createFixtureProvider(fixture);
+  assert.equal(
+    await ai.explainClause({ clause: { pc: "52.236-1" } }),
+    "Included because this is a construction contract."
+  );
+  assert.equal(await ai.explainClause({ clause: { pc: "52.204-7", reason: "tag 12 is No" } }), "Clause 52.204-7: tag 12 is No");
+});
+
+test("a fixture given as a function is read once, on first use", async () => {
+  let reads = 0;
+  const ai = createFixtureProvider(async () => (reads++, fixture));
+  await ai.inferTags({ tags });
+  await ai.explainClause({ clause: { pc: "52.236-1" } });
+  assert.equal(reads, 1);
+});
@@ -0,0 +1,351 @@
+// src/lib/formulas.js
+//
+// Computed variables: the Variable Table "Function" and "Reference_Variable" columns.
+//   emailToProperName(9)
+//   formatDate(addMonths(27, "12"))
+//   concat(upper(8), " - ", 7)
+//   getDocumentTimestamp()
+// A bare integer (or V<id>) is a Variable_ID; 'text' / "text" is a literal (numbers too:
+// addDays(27, "30")). Only the functions in FUNCTIONS can be called — nothing is eval'd.
+//
+// Reference_Variable without a Function:
+//   "9"     the variable mirrors Variable 9
+//   "BAOV"  the variable takes the Build-mode answer of a tag whose Tag_Category,
+//           Tag or Entry_Category is "BAOV"
+//
+// Every value is a string; a blank input falls back to its Default_Value, and without
+// one gives a blank result, so the document keeps its placeholder text until the
+// referenced variables are filled in.
+import { canon } from "./evaluator.js";
+import { parseAmount, formatAmount } from "./thresholds.js";
+
+/** ---------- function library ---------- */
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+/** "2026-10-18", "10/18/2026", "October 18, 2026" -> Date (local), or null */
+function toDate(text) {
+  const s = String(text ?? "").trim();
+  if (!s) return null;
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(s);
+  const d = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+const isoDate = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+const longDate = (d) => `${MONTHS[d.getMonth()]} ${d.getDate()}, ${d.getFullYear()}`;
+
+function toNumber(text) {
+  const n = parseAmount(String(text ?? "").replace(/^\s*-/, ""));
+  if (n == null) return null;
+  return /^\s*-/.test(String(text)) ? -n : n;
+}
+
+/** FAR 36.204 magnitude of a construction project */
+const PRICE_RANGES = [
+  [25e3, "Less than $25,000"],
+  [100e3, "Between $25,000 and $100,000"],
+  [250e3, "Between $100,000 and $250,000"],
+  [500e3, "Between $250,000 and $500,000"],
+  [1e6, "Between $500,000 and $1,000,000"],
+  [5e6, "Between $1,000,000 and $5,000,000"],
+  [10e6, "Between $5,000,000 and $10,000,000"],
+  [20e6, "Between $10,000,000 and $20,000,000"],
+  [50e6, "Between $20,000,000 and $50,000,000"],
+  [100e6, "Between $50,000,000 and $100,000,000"],
+  [250e6, "Between $100,000,000 and $250,000,000"],
+  [500e6, "Between $250,000,000 and $500,000,000"],
+];
+
+const blankIfAny = (fn) => (...args) => (args.some((a) => !String(a ?? "").trim()) ? "" : fn(...args));
+
+/**
+ * name -> { args: [min, max], fn(...values) => string, help }
+ * Exported so the UI can list what is available.
+ */
+export const FUNCTIONS = {
+  emailToProperName: {
+    args: [1, 1],
+    help: "jane.q.doe@gsa.gov -> Jane Q Doe",
+    fn: blankIfAny((email) =>
+      String(email)
+        .trim()
+        .split("@")[0]
+        .split(/[._+-]+/)
+        .map((w) => w.replace(/\d+/g, ""))
+        .filter(Boolean)
+        .map((w) => w[0].toUpperCase() + w.slice(1).toLowerCase())
+        .join(" ")
+    ),
+  },
+  getEstPriceRange: {
+    args: [1, 1],
+    help: "dollar amount -> FAR 36.204 magnitude",
+    fn: blankIfAny((amount) => {
+      const n = toNumber(amount);
+      if (n == null) return "";
+      return (PRICE_RANGES.find(([max]) => n < max) || [0, "More than $500,000,000"])[1];
+    }),
+  },
+  getDocumentTimestamp: {
+    args: [0, 0],
+    help: "today's date, e.g. October 18, 2026",
+    fn: () => longDate(new Date()),
+  },
+  upper: { args: [1, 1], help: "UPPER CASE", fn: (s) => String(s ?? "").toUpperCase() },
+  lower: { args: [1, 1], help: "lower case", fn: (s) => String(s ?? "").toLowerCase() },
+  trim: { args: [1, 1], help: "strip surrounding spaces", fn: (s) => String(s ?? "").trim() },
+  concat: { args: [1, Infinity], help: "join values", fn: (...parts) => parts.map((p) => p ?? "").join("") },
+  sum: {
+    args: [1, Infinity],
+    help: "add amounts; blanks count as 0",
+    fn: (...parts) => {
+      const nums = parts.filter((p) => String(p ?? "").trim()).map(toNumber);
+      if (!nums.length || nums.some((n) => n == null)) return "";
+      return String(Math.round(nums.reduce((a, b) => a + b, 0) * 100) / 100);
+    },
+  },
+  formatCurrency: {
+    args: [1, 1],
+    help: "1200000 -> $1,200,000",
+    fn: blankIfAny((n) => formatAmount(toNumber(n) ?? NaN)),
+  },
+  addDays: {
+    args: [2, 2],
+    help: "date + days (YYYY-MM-DD)",
+    fn: blankIfAny((date, days) => {
+      const d = toDate(date);
+      const n = toNumber(days);
+      if (!d || n == null) return "";
+      d.setDate(d.getDate() + n);
+      return isoDate(d);
+    }),
+  },
+  addMonths: {
+    args: [2, 2],
+    help: "date + months (YYYY-MM-DD); Jan 31 + 1 month -> Feb 28/29",
+    fn: blankIfAny((date, months) => {
+      const d = toDate(date);
+      const n = toNumber(months);
+      if (!d || n == null) return "";
+      const day = d.getDate();
+      d.setDate(1);
+      d.setMonth(d.getMonth() + n);
+      d.setDate(Math.min(day, new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate()));
+      return isoDate(d);
+    }),
+  },
+  formatDate: {
+    args: [1, 1],
+    help: "2026-10-18 -> October 18, 2026",
+    fn: blankIfAny((date) => {
+      const d = toDate(date);
+      return d ? longDate(d) : "";
+    }),
+  },
+};
+
+/** ---------- tokenizer + parser ---------- */
+const TOKEN_RE = /\s*(\(|\)|,|'[^']*'|"[^"]*"|[Vv]?\d+|[A-Za-z_]\w*)/y;
+
+function tokenize(src) {
+  const text = String(src ?? "");
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < text.length) {
+    const start = TOKEN_RE.lastIndex;
+    const m = TOKEN_RE.exec(text);
+    if (!m) {
+      const rest = text.slice(start).trimStart();
+      if (!rest) break;
+      const at = text.length - rest.length + 1;
+      throw new Error(`Unexpected character "${rest[0]}" at position ${at}`);
+    }
+    const word = m[1];
+    const at = TOKEN_RE.lastIndex - word.length + 1;
+
+    if ("(),".includes(word)) tokens.push({ type: word, at });
+    else if (/^['"]/.test(word)) tokens.push({ type: "STR", value: word.slice(1, -1), at });
+    else if (/^[Vv]?\d+$/.test(word)) tokens.push({ type: "VAR", id: Number(word.replace(/^v/i, "")), at });
+    else tokens.push({ type: "NAME", name: word, at });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a Function cell into an AST:
+ *   { op: "var", id } | { op: "str", value } | { op: "call", name, args: [] }
+ * Throws Error with a position-aware message on bad input, unknown functions and
+ * wrong argument counts.
+ */
+export function parseFormula(src) {
+  const tokens = tokenize(src);
+  if (!tokens.length) throw new Error("Formula is empty");
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const where = () => (peek() ? `position ${peek().at}` : "end of formula");
+
+  function parseValue() {
+    const t = peek();
+    if (!t) throw new Error("Unexpected end of formula");
+    if (t.type === "VAR") {
+      i++;
+      return { op: "var", id: t.id };
+    }
+    if (t.type === "STR") {
+      i++;
+      return { op: "str", value: t.value };
+    }
+    if (t.type === "NAME") {
+      const spec = Object.hasOwn(FUNCTIONS, t.name) ? FUNCTIONS[t.name] : null;
+      if (!spec) throw new Error(`Unknown function "${t.name}" at position ${t.at}`);
+      i++;
+      if (peek()?.type !== "(") throw new Error(`Expected "(" after ${t.name} at ${where()}`);
+      i++;
+      const args = [];
+      if (peek()?.type !== ")") {
+        args.push(parseValue());
+        while (peek()?.type === ",") {
+          i++;
+          args.push(parseValue());
+        }
+      }
+      if (peek()?.type !== ")") throw new Error(`Missing ")" at ${where()}`);
+      i++;
+      const [min, max] = spec.args;
+      if (args.length < min || args.length > max) {
+        const want = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min}-${max}`;
+        throw new Error(`${t.name} takes ${want} argument(s), got ${args.length}`);
+      }
+      return { op: "call", name: t.name, args };
+    }
+    throw new Error(`Expected a variable ID, "text" or a function at ${where()}`);
+  }
+
+  const ast = parseValue();
+  if (i < tokens.length) throw new Error(`Unexpected "${src.slice(tokens[i].at - 1).trim()}" at ${where()}`);
+  return ast;
+}
+
+/** Evaluate an AST; `val(variableId)` returns that variable's current value */
+export function evalFormula(ast, val) {
+  switch (ast.op) {
+    case "var":
+      return String(val(ast.id) ?? "");
+    case "str":
+      return ast.value;
+    case "call":
+      return String(FUNCTIONS[ast.name].fn(...ast.args.map((a) => evalFormula(a, val))) ?? "");
+    default:
+      throw new Error(`Unknown node "${ast.op}"`);
+  }
+}
+
+/** Variable IDs referenced by an AST (unique, in order of appearance) */
+export function formulaVariableIds(ast) {
+  const out = [];
+  const walk = (n) => {
+    if (n.op === "var") out.push(n.id);
+    else if (n.op === "call") n.args.forEach(walk);
+  };
+  walk(ast);
+  return Array.from(new Set(out));
+}
+
+/** ---------- computed variables ---------- */
+
+/** true when the variable's value comes from a Function or Reference_Variable */
+export const isComputedVariable = (v) => Boolean(String(v?.Function ?? "").trim() || String(v?.Reference_Variable ?? "").trim());
+
+/** Build-mode answer for a Reference_Variable that names a tag category / tag / entry category */
+function tagReferenceValue(ref, tags, answeredTags) {
+  const key = canon(ref);
+  for (const t of tags || []) {
+    const answer = answeredTags?.[String(t.Tag_ID)];
+    if (!String(answer ?? "").trim()) continue;
+    const cats = String(t.Tag_Category ?? "").split(/[,|;]+/).map(canon);
+    if (cats.includes(key) || canon(t.Tag) === key || canon(t.Entry_Category) === key) return String(answer);
+  }
+  return "";
+}
+
+/**
+ * Compute every Function / Reference_Variable variable from the entered answers.
+ * Computed variables can reference each other; a cycle leaves each variable in it
+ * blank with an error instead of looping. A variable left blank — an unanswered
+ * input, or a formula / reference that comes out empty — takes its Default_Value.
+ *
+ * Returns {
+ *   values:   { [Variable_ID]: string },   // computed variables only
+ *   computed: Map<Variable_ID, { formula, refs: Variable_ID[], tagRef, error }>
+ * }
+ */
+export function computeVariables(db, answeredVariables = {}, answeredTags = {}) {
+  const computed = new Map();
+  for (const v of db?.variables || []) {
+    if (!isComputedVariable(v) || computed.has(v.Variable_ID)) continue;
+    const formula = String(v.Function ?? "").trim();
+    const ref = String(v.Reference_Variable ?? "").trim();
+    const info = { formula, refs: [], tagRef: "", error: "", ast: null };
+    if (formula) {
+      try {
+        info.ast = parseFormula(formula);
+        info.refs = formulaVariableIds(info.ast);
+      } catch (e) {
+        info.error = e.message;
+      }
+    } else if (/^[Vv]?\d+$/.test(ref)) {
+      info.formula = ref.replace(/^v/i, "");
+      info.ast = { op: "var", id: Number(info.formula) };
+      info.refs = [info.ast.id];
+    } else {
+      info.tagRef = ref;
+    }
+    const unknown = info.refs.filter((id) => !db.variableById.has(id));
+    if (!info.error && unknown.length) info.error = `Unknown Variable_ID ${unknown.join(", ")}`;
+    computed.set(v.Variable_ID, info);
+  }
+
+  const values = {};
+  const state = new Map(); // id -> "visiting" | "done"
+  const stack = [];
+  const orDefault = (id, value) =>
+    String(value ?? "").trim() ? String(value) : String(db.variableById.get(id)?.Default_Value ?? "");
+
+  const valueOf = (id) => {
+    const info = computed.get(id);
+    if (!info) return orDefault(id, answeredVariables?.[String(id)]);
+    if (state.get(id) === "done") return values[id];
+    if (state.get(id) === "visiting") {
+      const cycle = [...stack.slice(stack.indexOf(id)), id];
+      const message = `Circular reference: ${cycle.join(" → ")}`;
+      for (const c of cycle) computed.get(c).error ||= message;
+      return "";
+    }
+
+    state.set(id, "visiting");
+    stack.push(id);
+    let out = "";
+    if (info.tagRef) out = tagReferenceValue(info.tagRef, db.tags, answeredTags);
+    else if (info.ast && !info.error) {
+      try {
+        out = evalFormula(info.ast, valueOf);
+      } catch (e) {
+        info.error = e.message;
+      }
+    }
+    stack.pop();
+    state.set(id, "done");
+    values[id] = info.error ? "" : orDefault(id, out);
+    return values[id];
+  };
+
+  for (const id of computed.keys()) valueOf(id);
+  // a cycle is only detected on the way back, so clear values that ended up inside one
+  for (const [id, info] of computed) {
+    if (info.error) values[id] = "";
+    delete info.ast;
+  }
+  return { values, computed };
+}
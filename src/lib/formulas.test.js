@@ -0,0 +1,37 @@
+// src/lib/formulas.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeVariables } from "./formulas.js";
+
+const makeDb = (variables) => ({ variables, variableById: new Map(variables.map((v) => [v.Variable_ID, v])), tags: [] });
+
+const db = makeDb([
+  { Variable_ID: 1, Name: "Agency", Default_Value: "GSA" },
+  { Variable_ID: 2, Name: "Office" },
+  { Variable_ID: 3, Name: "Header", Function: 'concat(1, " / ", 2)' },
+  { Variable_ID: 4, Name: "Mirror", Reference_Variable: "2", Default_Value: "HQ" },
+]);
+
+test("an unanswered input takes its Default_Value", () => {
+  assert.equal(computeVariables(db, { 2: "PBS" }).values[3], "GSA / PBS");
+});
+
+test("an answer overrides the Default_Value", () => {
+  assert.equal(computeVariables(db, { 1: "DOE", 2: "PBS" }).values[3], "DOE / PBS");
+});
+
+test("a computed variable that comes out blank takes its Default_Value", () => {
+  assert.equal(computeVariables(db, {}).values[4], "HQ");
+  assert.equal(computeVariables(db, { 2: "PBS" }).values[4], "PBS");
+});
+
+test("a Reference_Variable names a Tag_Category with spaces or underscores alike", () => {
+  const tags = [
+    { Tag_ID: 34, Tag: "Estimated value", Tag_Category: "EASi, Acquisition_Value" },
+    { Tag_ID: 35, Tag: ">=$35,000,000", Tag_Category: "BAOV" },
+  ];
+  const refDb = { ...makeDb([{ Variable_ID: 5, Name: "Value", Reference_Variable: "Acquisition Value" }]), tags };
+  assert.equal(computeVariables(refDb, {}, { 34: "$42M" }).values[5], "$42M");
+  refDb.variables[0].Reference_Variable = "acquisition_value";
+  assert.equal(computeVariables(refDb, {}, { 34: "$42M" }).values[5], "$42M");
+});
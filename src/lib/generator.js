@@ -0,0 +1,208 @@
+// src/lib/generator.js
+import {
+  canon,
+  getTagsAndClausesByTemplateName,
+  evaluateTagsBuildMode,
+  evaluateClauses,
+  returnNextTagQuestions,
+  clauseExpressionErrors,
+  findExclusiveConflicts,
+} from "./evaluator.js";
+import { scanPlaceholders, makeContext } from "./docx.js";
+import { findTemplate, pickByIds } from "./repository.js";
+import { computeVariables } from "./formulas.js";
+
+/** Used when a Document Table row has no Doc_URL or it can't be fetched */
+export const FALLBACK_TEMPLATE_URL = "/template_complex.docx";
+
+/**
+ * Turn a Doc_URL into something fetch() can download as .docx.
+ *  - Google Docs edit links -> /export?format=docx
+ *  - anything else (relative /public path, direct .docx link) passes through
+ *
+ * Google serves the export without CORS headers, so in the browser that fetch fails
+ * and fetchTemplateBuffer falls back to FALLBACK_TEMPLATE_URL. Only the Node CLI
+ * (generate-docs.js) can download Google Docs templates; for the web app, keep the
+ * .docx under public/ (or on a CORS-enabled host) and use that as Doc_URL.
+ */
+export function resolveTemplateUrl(docUrl) {
+  const url = String(docUrl || "").trim();
+  if (!url) return "";
+  const gdoc = /docs\.google\.com\/document\/d\/([^/?#]+)/.exec(url);
+  if (gdoc) return `https://docs.google.com/document/d/${gdoc[1]}/export?format=docx`;
+  return url;
+}
+
+/** Fetch the template for a Doc_URL, falling back to FALLBACK_TEMPLATE_URL */
+export async function fetchTemplateBuffer(docUrl) {
+  const url = resolveTemplateUrl(docUrl);
+  if (url) {
+    try {
+      const res = await fetch(url, { cache: "no-store" });
+      if (res.ok) return { buffer: await res.arrayBuffer(), url, fallback: false };
+      console.warn(`[generate] HTTP ${res.status} fetching ${url} — using fallback template.`);
+    } catch (e) {
+      console.warn(`[generate] Could not fetch ${url} (${e?.message || e}) — using fallback template.`);
+    }
+  }
+  const res = await fetch(FALLBACK_TEMPLATE_URL, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status} while fetching ${FALLBACK_TEMPLATE_URL}`);
+  return { buffer: await res.arrayBuffer(), url: FALLBACK_TEMPLATE_URL, fallback: true };
+}
+
+/** "Sol_DB_1_Phase_Version_April 2024" -> "Sol_DB_1_Phase_Version_April 2024.docx" */
+export function makeFileName(template) {
+  const base = template?.Title_Format || template?.Name || "document";
+  return `${base.replace(/[\\/:*?"<>|]+/g, "_").trim()}.docx`;
+}
+
+/**
+ * Map included clauses onto the template's clause placeholders.
+ * Every "Clause" variable in the template's Variable_Array contributes one entry,
+ * keyed by both its Name and Object_Name, whose value is the text of each of its
+ * Associated_Clause_Array clauses scored 1 (joined by line breaks).
+ *
+ * Clause text comes from Clause_Text when present, else Provision_or_Clause_Full_Name.
+ * Returns { byName: { [token]: text }, includedIds: number[] }
+ */
+export function collectIncludedClauses(db, templateName, clauseEval) {
+  const byName = {};
+  const includedIds = [];
+  const template = findTemplate(db, templateName);
+  if (!template) return { byName, includedIds };
+
+  const wanted = new Set(template.Variable_Array.map(canon));
+  for (const v of db.variables) {
+    if (canon(v.Variable_Type) !== "clause") continue;
+    if (!wanted.has(canon(v.Object_Name))) continue;
+
+    const texts = [];
+    for (const pc of v.Associated_Clause_Array) {
+      if (clauseEval?.[pc] !== 1) continue;
+      includedIds.push(pc);
+      const clause = db.clauseById.get(pc);
+      texts.push(clause?.Clause_Text || clause?.Provision_or_Clause_Full_Name || `Clause ${pc}`);
+    }
+
+    const text = texts.join("\n");
+    for (const key of [v.Name, v.Object_Name]) {
+      if (key) byName[key] = text;
+    }
+  }
+
+  return { byName, includedIds: Array.from(new Set(includedIds)) };
+}
+
+/**
+ * Map answered variables (keyed by Variable_ID) onto placeholder names.
+ * Each answer is exposed under both the variable's Name and Object_Name.
+ */
+export function collectVariableAnswers(db, answeredVariables) {
+  const byName = {};
+  for (const v of db?.variables || []) {
+    if (canon(v.Variable_Type) === "clause") continue;
+    const answer = answeredVariables?.[String(v.Variable_ID)];
+    if (answer == null || answer === "") continue;
+    for (const key of [v.Name, v.Object_Name]) {
+      if (key) byName[key] = String(answer);
+    }
+  }
+  return byName;
+}
+
+/**
+ * A template's Default_Answers under the given answers. A default is dropped when its
+ * tag, or a sibling in its Mutually_Exclusive group, already has an answer.
+ */
+export function withDefaultAnswers(db, templateName, answeredTags = {}) {
+  const answered = Object.keys(answeredTags).filter((id) => String(answeredTags[id] ?? "").trim());
+  const groupOf = (id) => {
+    const t = db.tagById.get(Number(id));
+    return t?.Mutually_Exclusive ? canon(t.Entry_Category) : "";
+  };
+  const answeredGroups = new Set(answered.map(groupOf).filter(Boolean));
+
+  const out = {};
+  for (const [id, value] of Object.entries(findTemplate(db, templateName)?.Default_Answers || {})) {
+    if (answered.includes(id) || answeredGroups.has(groupOf(id))) continue;
+    out[id] = value;
+  }
+  return { ...out, ...answeredTags };
+}
+
+/**
+ * Run the whole Build-mode pipeline for one template + set of tag answers
+ * (resolver -> filtered tables -> tag assignment -> clause evaluation -> next questions).
+ *
+ * Returns { tagsArray, clausesArray, debug, tags, clauses,   // tag / clause records in the template
+ *           assignedTags, clauseEval, exprErrors, exclusiveConflicts,
+ *           status: "empty-template"|"ask"|"done", nextQuestions, ratioCompletedTags }
+ */
+export function resolveDocument(db, templateName, answeredTags = {}) {
+  const { tagsArray, clausesArray, debug } = getTagsAndClausesByTemplateName(db, templateName);
+
+  if (!clausesArray?.length) {
+    return {
+      tagsArray,
+      clausesArray,
+      debug: debug || [],
+      tags: [],
+      clauses: [],
+      assignedTags: {},
+      clauseEval: {},
+      exprErrors: [],
+      exclusiveConflicts: [],
+      status: "empty-template",
+      nextQuestions: [],
+      ratioCompletedTags: 0,
+    };
+  }
+
+  const tags = pickByIds(db.tagById, tagsArray);
+  const clauses = pickByIds(db.clauseById, clausesArray);
+
+  const assignedTags = evaluateTagsBuildMode(answeredTags, tags);
+  const clauseEval = evaluateClauses(assignedTags, clauses);
+  const { status, nextQuestions, ratioCompletedTags } = returnNextTagQuestions(
+    clauseEval,
+    clauses,
+    clausesArray,
+    assignedTags,
+    tagsArray,
+    tags
+  );
+
+  return {
+    tagsArray,
+    clausesArray,
+    debug: debug || [],
+    tags,
+    clauses,
+    assignedTags,
+    clauseEval,
+    exprErrors: clauseExpressionErrors(clauses),
+    exclusiveConflicts: findExclusiveConflicts(answeredTags, tags),
+    status,
+    nextQuestions,
+    ratioCompletedTags,
+  };
+}
+
+/**
+ * Docxtemplater context for a template file: every {{placeholder}} in the .docx
+ * mapped to a variable answer or included clause text (blank when neither).
+ * Computed variables (Function / Reference_Variable) are evaluated from the
+ * answers and tag answers first.
+ * Returns { context, allTokens, unmatched, includedIds }
+ */
+export function buildDocumentContext(buffer, db, templateName, clauseEval, answeredVariables, answeredTags = {}) {
+  const { byName: includedClausesByName, includedIds } = collectIncludedClauses(db, templateName, clauseEval);
+  const { values } = computeVariables(db, answeredVariables, answeredTags);
+  const variableAnswersByName = collectVariableAnswers(db, { ...answeredVariables, ...values });
+
+  const allTokens = scanPlaceholders(buffer);
+  const context = makeContext({ variableAnswersByName, includedClausesByName, allTokens });
+  const unmatched = allTokens.filter((t) => !(t in variableAnswersByName) && !(t in includedClausesByName));
+
+  return { context, allTokens, unmatched, includedIds };
+}
@@ -0,0 +1,91 @@
+// src/lib/heuristicProvider.js
+import { canon } from "./evaluator.js";
+import { matchTags } from "./tagMatcher.js";
+
+/**
+ * Offline inference provider (see inference.js); nothing leaves the browser.
+ * Tags: the per-tag matcher in tagMatcher.js (keywords, TF-IDF, negation).
+ * Variables: labelled values ("Contracting Officer: Jane Doe"), emails and phone numbers.
+ */
+
+/* ---------- helpers ---------- */
+/** The sentence around `index`, as evidence */
+function sentenceAt(text, index, length) {
+  const start = Math.max(text.lastIndexOf(".", index) + 1, text.lastIndexOf("\n", index) + 1, 0);
+  const ends = [".", "\n"].map((c) => text.indexOf(c, index + length)).filter((i) => i >= 0);
+  return text.slice(start, ends.length ? Math.min(...ends) + 1 : text.length).trim();
+}
+
+/* ---------- provider ---------- */
+async function inferTags({ text, tags }) {
+  return matchTags({ text, tags });
+}
+
+async function inferVariables({ text, variables }) {
+  if (!text || !variables?.length) return [];
+  const hit = (m, confidence, value = m[0]) => ({ value: value.trim(), index: m.index, length: m[0].length, confidence });
+  const found = new Map(); // Variable_ID -> hit
+
+  // labelled values first: "Contracting Officer's Email: jane.doe@gsa.gov"
+  for (const v of variables) {
+    const names = [v.Name, v.Question, v.Object_Name].map((s) => String(s || "").replace(/[?:]+$/, "").trim());
+    for (const name of names.filter(Boolean)) {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const m = new RegExp(`${escaped}\\s*[:=-]\\s*([^\\n;]+)`, "i").exec(text);
+      if (m) {
+        found.set(v.Variable_ID, hit(m, 0.7, m[1]));
+        break;
+      }
+    }
+  }
+
+  // then unlabelled emails / phone numbers, each given to one variable only
+  const used = new Set([...found.values()].map((f) => f.value));
+  const PATTERNS = [
+    [/email/, /[^\s@<>(),;]+@[^\s@<>(),;]+\.[a-z]{2,}/gi],
+    [/phone/, /\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/g],
+  ];
+  for (const v of variables) {
+    if (found.has(v.Variable_ID)) continue;
+    const re = PATTERNS.find(([cat]) => cat.test(canon(v.Entry_Category)))?.[1];
+    const m = re && [...text.matchAll(re)].find((x) => !used.has(x[0]));
+    if (m) {
+      used.add(m[0]);
+      found.set(v.Variable_ID, hit(m, 0.3));
+    }
+  }
+
+  return [...found].map(([variableId, f]) => ({
+    variableId,
+    value: f.value,
+    confidence: f.confidence,
+    evidence: sentenceAt(text, f.index, f.length),
+  }));
+}
+
+/** Fill blank questions from the Tag label and tidy punctuation; wording is otherwise kept */
+async function improveQuestions({ questions }) {
+  return (questions || []).map((q) => {
+    let question = String(q.question || "").trim() || `${String(q.tag || "").trim()}?`;
+    question = question.charAt(0).toUpperCase() + question.slice(1);
+    if (/^(what|which|is|are|does|do|will|has|have|who|when|where|how)\b/i.test(question) && !/\?$/.test(question)) {
+      question += "?";
+    }
+    return { tagId: q.tagId, question, helper: q.helper || "" };
+  });
+}
+
+/** The explainer's own reason, as one sentence */
+async function explainClause({ clause }) {
+  const name = clause?.name ? `${clause.pc} (${clause.name})` : clause?.pc;
+  return `${name}: ${clause?.reason || "no decision trace available."}`;
+}
+
+export const heuristicProvider = {
+  name: "heuristic",
+  label: "Offline matcher",
+  inferTags,
+  inferVariables,
+  improveQuestions,
+  explainClause,
+};
@@ -0,0 +1,100 @@
+// src/lib/history.js
+
+/**
+ * Answer history for the Build questionnaire: the current tag answers, the order
+ * tags were first answered in, and undo / redo stacks of earlier snapshots.
+ *
+ * history = {
+ *   answers: { [Tag_ID]: string },
+ *   order:   Tag_ID[],                 // answered tags, oldest first
+ *   past:    [{ answers, order }],     // most recent last
+ *   future:  [{ answers, order }],     // next redo first
+ *   editing: Tag_ID | null             // the tag the latest step was typing into
+ * }
+ */
+export const HISTORY_LIMIT = 100;
+
+const filled = (v) => String(v ?? "").trim() !== "";
+
+/** Tag_IDs whose answer differs between a and b */
+const changedIds = (a, b) =>
+  [...new Set([...Object.keys(a), ...Object.keys(b)])].filter((k) => (a[k] ?? "") !== (b[k] ?? "")).map(Number);
+
+/** Keep first-answer positions, append newly answered tags, drop cleared ones */
+function nextOrder(order, answers) {
+  const kept = order.filter((id) => filled(answers[String(id)]));
+  const known = new Set(kept);
+  for (const [k, v] of Object.entries(answers)) {
+    const id = Number(k);
+    if (filled(v) && !known.has(id)) kept.push(id);
+  }
+  return kept;
+}
+
+/** A fresh history (new template, restored session); nothing to undo */
+export function startHistory(answers = {}) {
+  return { answers, order: nextOrder([], answers), past: [], future: [], editing: null };
+}
+
+/**
+ * Record a change; a no-op when nothing differs. With `coalesce` (a keystroke in a
+ * text answer), consecutive edits of the same tag update the latest step instead of
+ * adding one per keystroke; discrete answers (radio, select, ...) are always a step.
+ */
+export function recordAnswers(history, answers, { coalesce = false } = {}) {
+  const changed = changedIds(history.answers, answers);
+  if (!changed.length) return history;
+  const editing = coalesce && changed.length === 1 ? changed[0] : null;
+  const order = nextOrder(history.order, answers);
+  if (editing != null && editing === history.editing && history.past.length) {
+    return { ...history, answers, order };
+  }
+  return {
+    answers,
+    order,
+    past: [...history.past, { answers: history.answers, order: history.order }].slice(-HISTORY_LIMIT),
+    future: [],
+    editing,
+  };
+}
+
+export function undoAnswers(history) {
+  const prev = history.past.at(-1);
+  if (!prev) return history;
+  return {
+    ...prev,
+    past: history.past.slice(0, -1),
+    future: [{ answers: history.answers, order: history.order }, ...history.future],
+    editing: null,
+  };
+}
+
+export function redoAnswers(history) {
+  const [next, ...rest] = history.future;
+  if (!next) return history;
+  return {
+    ...next,
+    past: [...history.past, { answers: history.answers, order: history.order }],
+    future: rest,
+    editing: null,
+  };
+}
+
+/**
+ * What an answer change did to the questionnaire. `before` / `after` are
+ * { clauseEval, nextQuestions } (resolveDocument results).
+ * Returns { clauses: Map<PC_ID, { from, to }>, newQuestions: Set<Tag_ID> }
+ */
+export function statusChanges(before, after) {
+  const clauses = new Map();
+  const prevEval = before?.clauseEval || {};
+  for (const [pc, to] of Object.entries(after?.clauseEval || {})) {
+    const from = prevEval[pc] ?? 0;
+    if (from !== to) clauses.set(pc, { from, to });
+  }
+  const asked = new Set((before?.nextQuestions || []).map((q) => q.Tag_ID));
+  const newQuestions = new Set(
+    (after?.nextQuestions || []).map((q) => q.Tag_ID).filter((id) => !asked.has(id))
+  );
+  return { clauses, newQuestions };
+}
@@ -0,0 +1,52 @@
+// src/lib/history.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startHistory, recordAnswers, undoAnswers, redoAnswers } from "./history.js";
+
+const typeInto = (history, id, text) =>
+  [...text].reduce(
+    (h, _, i) => recordAnswers(h, { ...h.answers, [id]: text.slice(0, i + 1) }, { coalesce: true }),
+    history
+  );
+
+test("typing into one answer is a single undo step", () => {
+  const h = typeInto(startHistory({ 1: "Yes" }), 2, "Acme");
+  assert.deepEqual(h.answers, { 1: "Yes", 2: "Acme" });
+  assert.equal(h.past.length, 1);
+  assert.deepEqual(undoAnswers(h).answers, { 1: "Yes" });
+});
+
+test("editing another tag starts a new step", () => {
+  let h = typeInto(startHistory(), 1, "Acme");
+  h = typeInto(h, 2, "42");
+  assert.equal(h.past.length, 2);
+  assert.deepEqual(undoAnswers(h).answers, { 1: "Acme" });
+});
+
+test("after undo / redo the next edit is its own step", () => {
+  let h = typeInto(startHistory(), 1, "Acme");
+  h = redoAnswers(undoAnswers(h));
+  h = recordAnswers(h, { 1: "Acme Co" }, { coalesce: true });
+  assert.equal(h.past.length, 2);
+  assert.deepEqual(undoAnswers(h).answers, { 1: "Acme" });
+});
+
+test("an unchanged answer records nothing", () => {
+  const h = startHistory({ 1: "Yes" });
+  assert.equal(recordAnswers(h, { 1: "Yes" }), h);
+});
+
+test("a discrete change to the same answer is its own step", () => {
+  let h = recordAnswers(startHistory(), { 1: "Yes" });
+  h = recordAnswers(h, { 1: "No" });
+  assert.equal(h.past.length, 2);
+  assert.deepEqual(undoAnswers(h).answers, { 1: "Yes" });
+});
+
+test("typing after a discrete answer to the same tag starts a new step", () => {
+  let h = recordAnswers(startHistory(), { 1: "Acme" });
+  h = recordAnswers(h, { 1: "Acme C" }, { coalesce: true });
+  h = recordAnswers(h, { 1: "Acme Co" }, { coalesce: true });
+  assert.equal(h.past.length, 2);
+  assert.deepEqual(undoAnswers(h).answers, { 1: "Acme" });
+});
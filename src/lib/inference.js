@@ -0,0 +1,129 @@
+// src/lib/inference.js
+import { heuristicProvider } from "./heuristicProvider.js";
+import { createFixtureProvider } from "./fixtureProvider.js";
+import { usaiProvider } from "./aiClient.js";
+import { canon, isCheckboxGroup } from "./evaluator.js";
+import { fieldRule, validateField } from "./fields.js";
+
+/**
+ * Inference providers: every AI feature goes through one of these.
+ *
+ * provider = {
+ *   name, label,
+ *   chunkTokens?                                      -> source text is sent in chunks of about this many tokens
+ *   inferTags({ text, tags, templateName, entryOptions?, signal? }) -> [{ tagId, answer, confidence?, evidence? }]
+ *   inferVariables({ text, variables, templateName, signal? })    -> [{ variableId, value, confidence?, evidence? }]
+ *   improveQuestions({ questions: [{ tagId, tag, question, helper }], signal? }) -> [{ tagId, question, helper }]
+ *   explainClause({ clause: { pc, name, result, reason }, assignedTags, signal? }) -> string
+ * }
+ *
+ * `tags` / `variables` are repository records; all methods are async. `signal` is an
+ * AbortSignal; remote providers fail with AiError (aiResponse.js) on timeout, cancel,
+ * HTTP errors and replies that do not match the schema. Whatever the provider, run
+ * suggestions through screenSuggestions() before showing them.
+ *
+ * The active provider is VITE_AI_PROVIDER ("heuristic" | "usai" | "fixture"), overridable
+ * per browser with localStorage[AI_PROVIDER_KEY]. Without either it is "usai" when
+ * VITE_USAI_API_KEY is set, else "heuristic". The fixture provider reads VITE_AI_FIXTURE
+ * (default /ai-fixture.json).
+ */
+export const AI_PROVIDER_KEY = "usai-template-filler:ai-provider";
+export const PROVIDER_NAMES = ["heuristic", "usai", "fixture"];
+
+const METHODS = ["inferTags", "inferVariables", "improveQuestions", "explainClause"];
+
+async function loadFixture(url) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } catch (e) {
+    console.warn(`[ai] fixture ${url} not loaded (${e?.message || e}); answering nothing.`);
+    return {};
+  }
+}
+
+/** The configured provider name (see above) */
+export function configuredProvider(env = import.meta.env) {
+  let stored = "";
+  try {
+    stored = globalThis.localStorage?.getItem(AI_PROVIDER_KEY) || "";
+  } catch {
+    // storage disabled
+  }
+  const name = (stored || env.VITE_AI_PROVIDER || (env.VITE_USAI_API_KEY ? "usai" : "heuristic")).trim().toLowerCase();
+  if (PROVIDER_NAMES.includes(name)) return name;
+  console.warn(`[ai] unknown provider "${name}"; using heuristic.`);
+  return "heuristic";
+}
+
+/** A provider by name; `fixture` overrides the fixture provider's data */
+export function createProvider(name, { fixture, env = import.meta.env } = {}) {
+  const provider =
+    name === "usai"
+      ? usaiProvider
+      : name === "fixture"
+        ? createFixtureProvider(fixture ?? (() => loadFixture(env.VITE_AI_FIXTURE || "/ai-fixture.json")))
+        : heuristicProvider;
+  for (const m of METHODS) {
+    if (typeof provider[m] !== "function") throw new Error(`AI provider "${provider.name}" has no ${m}()`);
+  }
+  return provider;
+}
+
+/** ---------- screening ---------- */
+const YES_NO = ["yes", "no", "true", "false"];
+
+/**
+ * Drop suggestions this template cannot take: tag / variable ids outside `tags` /
+ * `variables`, hidden tags, and values outside the field's options or format
+ * (EntryCategory options, Yes / No for Bool and checkbox tags, a member label for
+ * mutually exclusive groups, amounts for dollar fields, ...). A group answer that names
+ * a member by the end of its label ("Firm Fixed Price") is rewritten to the full label.
+ * Returns { tags, variables, rejected: [{ kind, id, value, reason }] }
+ */
+export function screenSuggestions(suggested, { tags = [], variables = [], entryOptions } = {}) {
+  const optionsOf = (r) => entryOptions?.get(canon(r.Entry_Category)) || [];
+  const tagById = new Map(tags.map((t) => [t.Tag_ID, t]));
+  const variableById = new Map(variables.map((v) => [v.Variable_ID, v]));
+  const rejected = [];
+
+  /** -> { answer } (possibly normalized) or { reason } */
+  const checkTag = (tag, answer) => {
+    if (!tag) return { reason: "not a tag of this template" };
+    const a = canon(answer);
+    if (!a) return { reason: "empty answer" };
+    if (fieldRule(tag).control === "hidden") return { reason: "not a question in this template" };
+    if (tag.Mutually_Exclusive) {
+      if (YES_NO.includes(a)) return { answer };
+      const label = tags
+        .filter((t) => t.Mutually_Exclusive && canon(t.Entry_Category) === canon(tag.Entry_Category))
+        .map((t) => t.Tag)
+        .find((l) => canon(l) === a || canon(l).endsWith(` - ${a}`));
+      return label ? { answer: label } : { reason: `not one of the ${tag.Entry_Category} options` };
+    }
+    if (canon(tag.Entry_Category) === "bool" || isCheckboxGroup(tag)) {
+      return YES_NO.includes(a) ? { answer } : { reason: "expected Yes or No" };
+    }
+    const reason = validateField(fieldRule(tag, optionsOf(tag)), answer);
+    return reason ? { reason } : { answer };
+  };
+
+  const tagsOut = [];
+  for (const s of suggested.tags || []) {
+    const { answer, reason } = checkTag(tagById.get(Number(s.tagId)), s.answer);
+    if (reason) rejected.push({ kind: "tag", id: Number(s.tagId), value: s.answer, reason });
+    else tagsOut.push({ ...s, answer });
+  }
+  const variablesOut = (suggested.variables || []).filter((s) => {
+    const variable = variableById.get(Number(s.variableId));
+    const reason = !variable
+      ? "not a variable of this template"
+      : !String(s.value ?? "").trim()
+        ? "empty value"
+        : validateField(fieldRule(variable, optionsOf(variable)), s.value);
+    if (reason) rejected.push({ kind: "variable", id: Number(s.variableId), value: s.value, reason });
+    return !reason;
+  });
+  return { tags: tagsOut, variables: variablesOut, rejected };
+}
@@ -0,0 +1,71 @@
+// src/lib/inference.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createProvider, screenSuggestions } from "./inference.js";
+
+const templateTags = [
+  { Tag_ID: 1, Tag: "Contract Type - Firm Fixed Price", Entry_Category: "Contract Type", Mutually_Exclusive: true },
+  { Tag_ID: 2, Tag: "Contract Type - Cost Plus", Entry_Category: "Contract Type", Mutually_Exclusive: true },
+  { Tag_ID: 3, Tag: "Construction", Entry_Category: "Bool" },
+  { Tag_ID: 4, Tag: "Estimated value", Entry_Category: "Int Dollar" },
+  { Tag_ID: 5, Tag: "Internal flag", Entry_Type: "No Display", Entry_Category: "Bool" },
+];
+const otherTag = { Tag_ID: 99, Tag: "Lease", Entry_Category: "Bool" };
+const variables = [{ Variable_ID: 7, Name: "CO email", Entry_Category: "Email" }];
+
+const ai = createProvider("fixture", {
+  fixture: {
+    tags: { 1: "Firm Fixed Price", 3: "Probably", 4: "$42M", 5: "Yes", 99: "Yes" },
+    variables: { 7: "jane.doe@gsa.gov", 8: "Suite 100" },
+  },
+});
+
+test("suggestions outside the template, or that a field cannot take, are rejected with a reason", async () => {
+  const suggested = {
+    tags: await ai.inferTags({ text: "", tags: [...templateTags, otherTag] }),
+    variables: await ai.inferVariables({ text: "", variables: [...variables, { Variable_ID: 8 }] }),
+  };
+  const screened = screenSuggestions(suggested, { tags: templateTags, variables });
+
+  assert.deepEqual(
+    screened.tags.map((s) => [s.tagId, s.answer]),
+    [
+      [1, "Contract Type - Firm Fixed Price"], // group option rewritten to the full label
+      [4, "$42M"],
+    ]
+  );
+  assert.deepEqual(screened.variables.map((s) => s.variableId), [7]);
+  assert.deepEqual(
+    screened.rejected.map((r) => [r.kind, r.id, r.reason]),
+    [
+      ["tag", 3, "expected Yes or No"],
+      ["tag", 5, "not a question in this template"],
+      ["tag", 99, "not a tag of this template"],
+      ["variable", 8, "not a variable of this template"],
+    ]
+  );
+});
+
+test("field rules apply to suggested values", () => {
+  const { tags, variables: vars, rejected } = screenSuggestions(
+    {
+      tags: [
+        { tagId: 2, answer: "Time and Materials" },
+        { tagId: 4, answer: "about forty million" },
+        { tagId: 3, answer: "" },
+      ],
+      variables: [{ variableId: 7, value: "jane at gsa" }],
+    },
+    { tags: templateTags, variables }
+  );
+  assert.deepEqual([tags, vars], [[], []]);
+  assert.deepEqual(
+    rejected.map((r) => r.reason),
+    [
+      "not one of the Contract Type options",
+      "Enter a dollar amount, e.g. $250,000 or $1.2M",
+      "empty answer",
+      "Enter an email address like name@agency.gov",
+    ]
+  );
+});
@@ -0,0 +1,192 @@
+// src/lib/ingest.js
+import PizZip from "pizzip";
+import { xmlVisibleText } from "./docx.js";
+import { canon } from "./evaluator.js";
+
+/**
+ * Source documents for inference: .docx / .txt / .md / .html become plain text with
+ * headings kept as Markdown "#" lines, split into chunks that fit the provider's
+ * token budget, and the per-chunk suggestions merged back into one list.
+ */
+export const SOURCE_TYPES = { docx: "docx", txt: "text", text: "text", md: "markdown", markdown: "markdown", html: "html", htm: "html" };
+export const SOURCE_ACCEPT = ".docx,.txt,.md,.markdown,.html,.htm";
+
+/** Rough size of a token in English prose; used to turn a token budget into characters */
+export const CHARS_PER_TOKEN = 4;
+export const DEFAULT_CHUNK_TOKENS = 1200;
+
+/** ---------- text extraction ---------- */
+const HEADING_STYLE_RE = /<w:pStyle\s+w:val="(?:Heading\s*(\d)|(Title))"/i;
+
+/** Paragraph text of word/document.xml; Heading1..6 / Title paragraphs become "#" lines */
+export function docxToText(ab) {
+  const zip = new PizZip(ab);
+  const xml = zip.file("word/document.xml")?.asText();
+  if (!xml) throw new Error("Not a Word document (word/document.xml is missing).");
+  const lines = [];
+  for (const [para] of xml.matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)) {
+    const text = xmlVisibleText(para.replace(/<w:tab\/>/g, "<w:t>\t</w:t>").replace(/<w:br\/>/g, "<w:t>\n</w:t>")).trim();
+    if (!text) continue;
+    const h = HEADING_STYLE_RE.exec(para);
+    lines.push(h ? `${"#".repeat(h[2] ? 1 : Math.min(Number(h[1]), 6))} ${text}` : text);
+  }
+  return lines.join("\n\n");
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+const decodeEntities = (s) =>
+  s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+
+/** Visible text of an HTML page; <h1>..<h6> become "#" lines, list items "- " lines */
+export function htmlToText(html) {
+  const body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(html)?.[1] ?? html;
+  return decodeEntities(
+    body
+      .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (m, n, inner) => `\n\n${"#".repeat(Number(n))} ${inner.replace(/\s+/g, " ")}\n\n`)
+      .replace(/<li[^>]*>/gi, "\n- ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|tr|table|ul|ol|section|article|blockquote|pre)>/gi, "\n\n")
+      .replace(/<\/t[dh]>/gi, "\t")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+const normalize = (text) => String(text ?? "").replace(/\r\n?/g, "\n").trim();
+
+/**
+ * A dropped file as { name, kind, text }. `file` is a File (or anything with name,
+ * text() and arrayBuffer()). Throws for unsupported types and unreadable files.
+ */
+export async function readSourceFile(file) {
+  const ext = /\.([a-z0-9]+)$/i.exec(file.name)?.[1]?.toLowerCase() || "";
+  const kind = SOURCE_TYPES[ext];
+  if (!kind) throw new Error(`${file.name}: unsupported file type — use ${SOURCE_ACCEPT.replace(/,/g, ", ")}`);
+  let text;
+  try {
+    if (kind === "docx") text = docxToText(await file.arrayBuffer());
+    else if (kind === "html") text = htmlToText(await file.text());
+    else text = normalize(await file.text());
+  } catch (e) {
+    throw new Error(`${file.name}: ${e?.message || e}`);
+  }
+  if (!text.trim()) throw new Error(`${file.name}: no text found.`);
+  return { name: file.name, kind, text };
+}
+
+/** ---------- chunking ---------- */
+const HEADING_RE = /^(#{1,6})\s+(.+)$/;
+
+/**
+ * Split text into chunks of at most `maxTokens` (≈ CHARS_PER_TOKEN chars each).
+ * Breaks fall on headings first, then paragraphs, then sentences; each chunk starts
+ * with its heading path (cut to at most half a chunk) so the model keeps the context.
+ * Returns [{ index, heading, text }]
+ */
+export function chunkText(text, { maxTokens = DEFAULT_CHUNK_TOKENS } = {}) {
+  const maxChars = Math.max(200, Math.floor(maxTokens * CHARS_PER_TOKEN));
+  const chunks = [];
+  const path = []; // heading per level
+  let heading = "";
+  let prefix = ""; // heading path as sent; cut so it never takes more than half a chunk
+  let body = [];
+  let size = 0;
+
+  const flush = () => {
+    if (!body.length) return;
+    chunks.push({ index: chunks.length, heading, text: `${prefix}${body.join("\n\n")}` });
+    body = [];
+    size = 0;
+  };
+  const add = (piece) => {
+    const room = maxChars - prefix.length;
+    if (size && size + piece.length + 2 > room) flush();
+    if (piece.length <= room) {
+      body.push(piece);
+      size += piece.length + 2;
+      return;
+    }
+    // an over-long paragraph: sentences, then hard cuts
+    for (const sentence of piece.match(/[^.!?\n]+[.!?]*\s*/g) || [piece]) {
+      for (let i = 0; i < sentence.length; i += room) {
+        const part = sentence.slice(i, i + room).trim();
+        if (!part) continue;
+        if (size && size + part.length + 2 > room) flush();
+        body.push(part);
+        size += part.length + 2;
+      }
+    }
+  };
+
+  for (const para of normalize(text).split(/\n\s*\n/)) {
+    const h = HEADING_RE.exec(para.trim());
+    if (h) {
+      flush();
+      path.length = h[1].length - 1;
+      path[h[1].length - 1] = h[2].trim();
+      heading = path.filter(Boolean).join(" › ");
+      const half = Math.floor(maxChars / 2);
+      prefix = `${heading.length > half - 2 ? `${heading.slice(0, half - 3)}…` : heading}\n\n`;
+      continue;
+    }
+    if (para.trim()) add(para.trim());
+  }
+  flush();
+  return chunks;
+}
+
+/** ---------- merging ---------- */
+/**
+ * One suggestion per tag / variable from per-chunk results.
+ * `results`: [{ source, heading, tags: [{ tagId, answer, confidence?, evidence? }],
+ *               variables: [{ variableId, value, confidence?, evidence? }] }]
+ * The answer with the best confidence (then the most chunks) wins; the others are
+ * kept as `conflicts` so the reviewer sees that the documents disagree.
+ * Returns { tags: [...], variables: [...] } with { ..., where, chunks, conflicts: [{ answer, confidence, evidence, where }] }
+ */
+export function mergeChunkResults(results) {
+  const merge = (kind, idKey, valueKey) => {
+    const byId = new Map();
+    for (const r of results) {
+      const where = [r.source, r.heading].filter(Boolean).join(" › ");
+      for (const s of r[kind] || []) {
+        const id = Number(s[idKey]);
+        const value = String(s[valueKey] ?? "");
+        if (!value.trim()) continue;
+        if (!byId.has(id)) byId.set(id, new Map());
+        const answers = byId.get(id);
+        const key = canon(value);
+        const prev = answers.get(key);
+        const hit = { value, confidence: s.confidence, evidence: s.evidence, where, chunks: 1 };
+        if (!prev) answers.set(key, hit);
+        else {
+          prev.chunks++;
+          if ((s.confidence ?? -1) > (prev.confidence ?? -1)) Object.assign(prev, { ...hit, chunks: prev.chunks });
+        }
+      }
+    }
+    return [...byId].map(([id, answers]) => {
+      const ranked = [...answers.values()].sort(
+        (a, b) => (b.confidence ?? -1) - (a.confidence ?? -1) || b.chunks - a.chunks
+      );
+      const [best, ...rest] = ranked;
+      return {
+        [idKey]: id,
+        [valueKey]: best.value,
+        confidence: best.confidence,
+        evidence: best.evidence,
+        where: best.where,
+        chunks: best.chunks,
+        conflicts: rest.map((r) => ({ answer: r.value, confidence: r.confidence, evidence: r.evidence, where: r.where })),
+      };
+    });
+  };
+  return { tags: merge("tags", "tagId", "answer"), variables: merge("variables", "variableId", "value") };
+}
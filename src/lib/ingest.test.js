@@ -0,0 +1,50 @@
+// src/lib/ingest.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CHARS_PER_TOKEN, chunkText, htmlToText, mergeChunkResults } from "./ingest.js";
+
+const maxTokens = 50; // the 200-character minimum chunk
+const maxChars = 200;
+
+test("a heading longer than a chunk is cut and the body still splits", () => {
+  const heading = "Statement of Work ".repeat(20).trim();
+  const body = "The contractor shall provide services. ".repeat(30).trim();
+  const chunks = chunkText(`# ${heading}\n\n${body}`, { maxTokens });
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) {
+    assert.equal(c.heading, heading);
+    assert.ok(c.text.length <= maxChars, `chunk ${c.index} is ${c.text.length} chars`);
+    assert.ok(c.text.startsWith("Statement of Work"));
+  }
+  const sent = chunks.map((c) => c.text.split("\n\n").slice(1).join(" ")).join(" ");
+  assert.equal(sent.replace(/\s+/g, " "), body);
+});
+
+test("chunks break at headings and carry the heading path", () => {
+  const chunks = chunkText("# Scope\n\nBuild a bridge.\n\n## Value\n\nAbout $42M.", { maxTokens: 1000 / CHARS_PER_TOKEN });
+  assert.deepEqual(
+    chunks.map((c) => [c.heading, c.text]),
+    [
+      ["Scope", "Scope\n\nBuild a bridge."],
+      ["Scope › Value", "Scope › Value\n\nAbout $42M."],
+    ]
+  );
+});
+
+test("htmlToText keeps headings and list items", () => {
+  assert.equal(
+    htmlToText("<body><h2>Scope</h2><p>Build&nbsp;a bridge</p><ul><li>One</li></ul><script>x()</script></body>"),
+    "## Scope\n\nBuild a bridge\n\n- One"
+  );
+});
+
+test("mergeChunkResults keeps the most confident answer and lists the others as conflicts", () => {
+  const merged = mergeChunkResults([
+    { source: "a.docx", heading: "Value", tags: [{ tagId: 35, answer: "$42M", confidence: 0.9 }] },
+    { source: "b.txt", heading: "", tags: [{ tagId: "35", answer: "$40M", confidence: 0.6 }] },
+  ]);
+  assert.equal(merged.tags.length, 1);
+  assert.equal(merged.tags[0].answer, "$42M");
+  assert.equal(merged.tags[0].where, "a.docx › Value");
+  assert.deepEqual(merged.tags[0].conflicts, [{ answer: "$40M", confidence: 0.6, evidence: undefined, where: "b.txt" }]);
+});
@@ -0,0 +1,458 @@
+// src/lib/repository.js
+import { findCol, canon, parseList, tagComparison } from "./evaluator.js";
+
+/**
+ * One typed, indexed view of the workbook. Every consumer (evaluator, generator,
+ * validator, AI hooks, UI) reads records from here, so header lookup and coercion
+ * happen once, at load time.
+ *
+ * Records keep the workbook's column names as keys (Tag_ID, Object_Name, ...).
+ * Column types:
+ *   id     number; rows without one are skipped (blank / spacer rows)
+ *   number number or null        priority  number, Infinity when blank
+ *   string trimmed string        list      string[] (split on , ; |)
+ *   ids    unique number[]       bool      true for TRUE / Yes / Y / 1
+ *   answers { [Tag_ID]: string } from a Python-style dict ("{'243': 'Construction'}") or JSON
+ *
+ * A sheet that is missing a required column, or has a header that is one or two
+ * letters away from a known column ("Include_If_Lsit"), fails the load.
+ *
+ * Overlay workbooks (see mergeRecords) use the same sheets, but every sheet and every
+ * column except the row key is optional, and an "Overlay_Action" column set to
+ * "remove" deletes the base row with that key.
+ */
+export const SCHEMA = {
+  templates: {
+    sheet: "Document Table",
+    columns: {
+      Template_ID: { type: "number", pattern: "template\\s*id" },
+      Name: { type: "string", required: true },
+      Doc_URL: { type: "string" },
+      Variable_Array: { type: "list", required: true },
+      Doc_Type: { type: "string" },
+      Title_Format: { type: "string" },
+      Default_Answers: { type: "answers" },
+    },
+  },
+  variables: {
+    sheet: "Variable Table",
+    columns: {
+      Variable_ID: { type: "id", required: true },
+      Name: { type: "string", required: true },
+      Object_Name: { type: "string", required: true },
+      Variable_Type: { type: "string", required: true },
+      Default_Value: { type: "string" },
+      Entry_Type: { type: "string", fallback: "Text" },
+      Associated_Clause_Array: { type: "ids", required: true },
+      Reference_Variable: { type: "string" },
+      Variable_Category: { type: "string" },
+      Priority: { type: "priority" },
+      Question: { type: "string" },
+      Entry_Category: { type: "string" },
+      Function: { type: "string" },
+      Helper_Text: { type: "string" },
+      Description: { type: "string" },
+      BQ_Table: { type: "string" },
+    },
+  },
+  clauses: {
+    sheet: "Clause Table",
+    columns: {
+      PC_ID: { type: "id", required: true },
+      Provision_or_Clause_Number: { type: "string" },
+      Provision_or_Clause_Name: { type: "string" },
+      Include_If_List: { type: "ids", required: true },
+      Exclude_If_List: { type: "ids", required: true },
+      Include_If_Expr: { type: "string" },
+      Tags_Array: { type: "ids", required: true },
+      Base_PC: { type: "bool" },
+      Clause_Language: { type: "string" },
+      Clause_Text: { type: "string" },
+      Full_Text: { type: "bool" },
+      Provision_or_Clause_Full_Name: { type: "string" },
+      Internal_Variables: { type: "ids" },
+    },
+  },
+  tags: {
+    sheet: "Tag Table",
+    columns: {
+      Tag_ID: { type: "id", required: true },
+      Tag: { type: "string", required: true },
+      Tag_Category: { type: "string" },
+      Logic_Tied_Clause: { type: "string" },
+      Mutually_Exclusive: { type: "bool" },
+      Threshold: { type: "string" },
+      Priority: { type: "priority" },
+      Question: { type: "string" },
+      Entry_Type: { type: "string", fallback: "Text" },
+      Entry_Category: { type: "string" },
+      Function: { type: "string" },
+      Helper_Text: { type: "string" },
+      Keywords: { type: "list", pattern: "(keywords?|synonyms?)(\\s*(/|and|&)\\s*synonyms?)?" },
+      Notes: { type: "string" },
+    },
+  },
+  entryCategories: {
+    sheet: ["EntryCategory Table", "EntryCategory"],
+    optional: true,
+    columns: {
+      Category: { type: "string", required: true, pattern: "(entry\\s*)?category|name" },
+      Options: { type: "list", pattern: "options|answers|values|option\\s*list" },
+    },
+  },
+  tagCategories: {
+    sheet: "TagCategory Table",
+    optional: true,
+    columns: {
+      TagCategory: { type: "string", required: true, pattern: "tag\\s*category" },
+      Priority: { type: "priority", pattern: "priority(\\s*order)?" },
+    },
+  },
+  variableCategories: {
+    sheet: "VariableCategory Table",
+    optional: true,
+    columns: {
+      VariableCategory: { type: "string", required: true, pattern: "variable\\s*category" },
+      Priority: { type: "priority", pattern: "priority(\\s*order)?" },
+    },
+  },
+};
+
+/** ---------- small helpers ---------- */
+const toNum = (v) => {
+  if (v == null || String(v).trim() === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+/** "{'243': 'Construction', '584': True}" -> { 243: "Construction", 584: "Yes" }; None is skipped */
+function parseAnswerMap(v) {
+  const out = {};
+  if (v && typeof v === "object") {
+    for (const [k, x] of Object.entries(v)) if (/^\s*\d+\s*$/.test(k) && x != null) out[Number(k)] = String(x);
+    return out;
+  }
+  const re = /["']?\s*(\d+)\s*["']?\s*:\s*(?:'([^']*)'|"([^"]*)"|([^,}]+))/g;
+  for (const m of String(v ?? "").matchAll(re)) {
+    const bare = m[4]?.trim();
+    if (bare != null && /^(none|null)$/i.test(bare)) continue;
+    const value = bare == null ? m[2] ?? m[3] : /^true$/i.test(bare) ? "Yes" : /^false$/i.test(bare) ? "No" : bare;
+    out[Number(m[1])] = value.trim();
+  }
+  return out;
+}
+
+const COERCE = {
+  id: toNum,
+  number: toNum,
+  priority: (v) => toNum(v) ?? Infinity,
+  string: (v) => String(v ?? "").trim(),
+  list: (v) => (Array.isArray(v) ? v.map((x) => String(x).trim()).filter(Boolean) : parseList(v)),
+  ids: (v) => Array.from(new Set(COERCE.list(v).map(Number))).filter(Number.isFinite),
+  bool: (v) => v === true || /^(true|yes|y|1)$/i.test(String(v ?? "").trim()),
+  answers: parseAnswerMap,
+};
+
+const headerKey = (h) => canon(h).replace(/[^a-z0-9]/g, "");
+
+/** Levenshtein distance, capped early (headers are short) */
+function distance(a, b) {
+  if (Math.abs(a.length - b.length) > 2) return 3;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** Column index per schema field, plus header problems for this sheet */
+function mapColumns(sheetName, header, columns) {
+  const index = {};
+  const problems = [];
+  const used = new Set();
+
+  for (const [field, spec] of Object.entries(columns)) {
+    const i = findCol(header, spec.pattern || field.replace(/_/g, "\\s*"));
+    index[field] = i;
+    if (i !== -1) used.add(i);
+    else if (spec.required) problems.push(`${sheetName}: missing column "${field}"`);
+  }
+
+  const known = Object.keys(columns).map(headerKey);
+  header.forEach((h, i) => {
+    if (used.has(i) || !String(h ?? "").trim()) return;
+    const key = headerKey(h);
+    const near = known.find((k) => k !== key && distance(key, k) <= 2);
+    if (near) {
+      const field = Object.keys(columns).find((f) => headerKey(f) === near);
+      if (index[field] === -1) problems.push(`${sheetName}: header "${h}" looks like a misspelling of "${field}"`);
+    }
+  });
+
+  return { index, problems };
+}
+
+/** Field that identifies a row: the id column, else the first required one (Name, Category, ...) */
+const keyFieldOf = (columns) =>
+  Object.keys(columns).find((f) => columns[f].type === "id") ||
+  Object.keys(columns).find((f) => columns[f].required);
+
+const OVERLAY_ACTION = { Overlay_Action: { type: "string", pattern: "overlay\\s*action" } };
+
+/**
+ * Typed records for one sheet's array-of-arrays.
+ * In overlay mode only the key column is required and records carry only the
+ * columns the sheet has (plus Overlay_Action), so they can patch base rows.
+ */
+function readRecords(sheetName, aoa, columns, overlay = false) {
+  if (!aoa?.length) return { records: [], problems: [] };
+  const keyField = keyFieldOf(columns);
+  if (overlay) {
+    columns = Object.fromEntries(
+      Object.entries(columns).map(([f, spec]) => [f, { ...spec, required: f === keyField }])
+    );
+    columns = { ...columns, ...OVERLAY_ACTION };
+  }
+  const { index, problems } = mapColumns(sheetName, aoa[0], columns);
+
+  const records = [];
+  for (const row of aoa.slice(1)) {
+    const rec = {};
+    for (const [field, spec] of Object.entries(columns)) {
+      if (overlay && index[field] === -1) continue;
+      const raw = index[field] === -1 ? undefined : row[index[field]];
+      const value = COERCE[spec.type](raw);
+      rec[field] = spec.fallback && !value ? spec.fallback : value;
+    }
+    if (keyField && (rec[keyField] == null || rec[keyField] === "")) continue;
+    records.push(rec);
+  }
+  return { records, problems };
+}
+
+/** ---------- public API ---------- */
+export const DB_FORMAT = "usai-template-filler/db";
+export const DB_VERSION = 1;
+
+/**
+ * Typed records from raw sheets ({ [sheetName]: array-of-arrays }).
+ * Throws one Error listing every missing sheet / column and misspelled header.
+ * { overlay: true } reads an overlay workbook (see the note on SCHEMA).
+ */
+export function readSheets(sheets, { overlay = false } = {}) {
+  const records = {};
+  const problems = [];
+
+  for (const [key, { sheet, optional, columns }] of Object.entries(SCHEMA)) {
+    const names = Array.isArray(sheet) ? sheet : [sheet];
+    const name = names.find((n) => sheets?.[n]);
+    if (!name) {
+      if (!optional && !overlay) problems.push(`missing sheet "${names[0]}"`);
+      records[key] = [];
+      continue;
+    }
+    const r = readRecords(name, sheets[name], columns, overlay);
+    records[key] = r.records;
+    problems.push(...r.problems);
+  }
+
+  if (problems.length) {
+    throw new Error(`Workbook does not match the expected layout:\n- ${problems.join("\n- ")}`);
+  }
+  return records;
+}
+
+/**
+ * Apply overlays to base records, in order. Rows match by key (Tag_ID, PC_ID,
+ * Variable_ID, template Name, category name): a matching overlay row replaces the
+ * base row's columns that the overlay sheet has, a new key is appended, and
+ * Overlay_Action "remove" drops the row.
+ *
+ * base:     { name, records }   records as from readSheets, or a repository
+ * overlays: [{ name, records }] records from readSheets(..., { overlay: true })
+ *
+ * Every merged record gets Source = the name of the last layer that set it.
+ * Returns { records, summary: [{ source, added, replaced, removed, notFound: [] }] };
+ * records.sources lists the layer names (see createRepository).
+ */
+export function mergeRecords(base, overlays = []) {
+  const keyOf = (rec, field) => (typeof rec[field] === "string" ? canon(rec[field]) : rec[field]);
+  const records = { sources: [base.name, ...overlays.map((o) => o.name)] };
+  const summary = overlays.map((o) => ({ source: o.name, added: 0, replaced: 0, removed: 0, notFound: [] }));
+
+  for (const [key, { sheet, columns }] of Object.entries(SCHEMA)) {
+    const field = keyFieldOf(columns);
+    // duplicate base keys stay in place (the validator reports them); overlays patch the first
+    const rows = (base.records[key] || []).map((r) => ({ ...r, Source: r.Source || base.name }));
+    const first = new Map();
+    rows.forEach((r, n) => first.has(keyOf(r, field)) || first.set(keyOf(r, field), n));
+
+    overlays.forEach((o, i) => {
+      for (const { Overlay_Action: action, ...r } of o.records[key] || []) {
+        const k = keyOf(r, field);
+        const n = first.get(k);
+        if (/^(remove|removed|delete|deleted)$/i.test(action || "")) {
+          if (n == null) {
+            summary[i].notFound.push(`${[].concat(sheet)[0]} ${r[field]}`);
+            continue;
+          }
+          for (let m = n; m < rows.length; m++) if (rows[m] && keyOf(rows[m], field) === k) rows[m] = null;
+          first.delete(k);
+          summary[i].removed++;
+        } else if (n != null) {
+          rows[n] = { ...rows[n], ...r, Source: o.name };
+          summary[i].replaced++;
+        } else {
+          const blank = Object.fromEntries(
+            Object.entries(columns).map(([f, spec]) => [f, spec.fallback || COERCE[spec.type](undefined)])
+          );
+          first.set(k, rows.length);
+          rows.push({ ...blank, ...r, Source: o.name });
+          summary[i].added++;
+        }
+      }
+    });
+    records[key] = rows.filter(Boolean);
+  }
+  return { records, summary };
+}
+
+/**
+ * Add lookups to typed records. The result is what the rest of the app calls `db`:
+ * {
+ *   templates, variables, clauses, tags, entryCategories, tagCategories, variableCategories,
+ *   templateNames: string[],
+ *   templateByName:       Map<canon(Name), Template>,
+ *   variableById:         Map<Variable_ID, Variable>,
+ *   variablesByObjectName: Map<canon(Object_Name), Variable[]>,
+ *   variableByName:       Map<canon(Name or Object_Name), Variable>,
+ *   clauseById:           Map<PC_ID, Clause>,
+ *   tagById:              Map<Tag_ID, Tag>,      // tags carry a derived Comparison
+ *   entryOptions:         Map<canon(Category), string[]>,
+ *   tagCategoryPriority, variableCategoryPriority: Map<canon(category), number>,
+ *   sources: string[]   // workbook names, base first, when built from mergeRecords
+ * }
+ * Duplicate IDs keep the first row (the validator reports them).
+ */
+export function createRepository(records) {
+  const firstBy = (list, key) => {
+    const map = new Map();
+    for (const r of list) {
+      const k = typeof key === "function" ? key(r) : r[key];
+      if (k != null && k !== "" && !map.has(k)) map.set(k, r);
+    }
+    return map;
+  };
+
+  const tags = (records.tags || []).map((t) => ({
+    ...t,
+    Comparison: tagComparison(t.Threshold, t.Tag, t.Entry_Category),
+  }));
+  const variables = records.variables || [];
+
+  const variablesByObjectName = new Map();
+  for (const v of variables) {
+    const k = canon(v.Object_Name);
+    if (!k) continue;
+    if (!variablesByObjectName.has(k)) variablesByObjectName.set(k, []);
+    variablesByObjectName.get(k).push(v);
+  }
+  const variableByName = new Map();
+  for (const v of variables) {
+    for (const k of [canon(v.Name), canon(v.Object_Name)]) {
+      if (k && !variableByName.has(k)) variableByName.set(k, v);
+    }
+  }
+
+  const templates = records.templates || [];
+  return {
+    templates,
+    variables,
+    clauses: records.clauses || [],
+    tags,
+    entryCategories: records.entryCategories || [],
+    tagCategories: records.tagCategories || [],
+    variableCategories: records.variableCategories || [],
+
+    templateNames: Array.from(new Set(templates.map((t) => t.Name).filter(Boolean))),
+    templateByName: firstBy(templates, (t) => canon(t.Name)),
+    variableById: firstBy(variables, "Variable_ID"),
+    variablesByObjectName,
+    variableByName,
+    clauseById: firstBy(records.clauses || [], "PC_ID"),
+    tagById: firstBy(tags, "Tag_ID"),
+    entryOptions: new Map((records.entryCategories || []).map((c) => [canon(c.Category), c.Options])),
+    tagCategoryPriority: new Map((records.tagCategories || []).map((c) => [canon(c.TagCategory), c.Priority])),
+    variableCategoryPriority: new Map(
+      (records.variableCategories || []).map((c) => [canon(c.VariableCategory), c.Priority])
+    ),
+    sources: records.sources || [],
+  };
+}
+
+/**
+ * Normalized database as a JSON-ready object:
+ * { format, version, exportedAt, records: { templates: [...], variables: [...], ... } }
+ * Only schema columns are written; derived fields are rebuilt on import.
+ */
+export function exportRecords(db) {
+  const records = {};
+  for (const [key, { columns }] of Object.entries(SCHEMA)) {
+    records[key] = (db[key] || []).map((r) => Object.fromEntries(Object.keys(columns).map((f) => [f, r[f]])));
+  }
+  return { format: DB_FORMAT, version: DB_VERSION, exportedAt: new Date().toISOString(), records };
+}
+
+/**
+ * Typed records from an exportRecords() object (or its JSON text), ready for createRepository.
+ * Values are coerced again (JSON turns Infinity into null); throws on a wrong format,
+ * a newer version, or records missing a required field.
+ */
+export function importRecords(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error("Database file is not valid JSON.");
+    }
+  }
+  if (data?.format !== DB_FORMAT || !data.records) throw new Error("Not a template filler database export.");
+  if (Number(data.version) > DB_VERSION) {
+    throw new Error(`Database export version ${data.version} is newer than this app supports (${DB_VERSION}).`);
+  }
+
+  const records = {};
+  const problems = [];
+  for (const [key, { sheet, optional, columns }] of Object.entries(SCHEMA)) {
+    const list = data.records[key];
+    const label = [].concat(sheet)[0];
+    if (!Array.isArray(list)) {
+      if (!optional) problems.push(`missing "${key}" (${label})`);
+      records[key] = [];
+      continue;
+    }
+    const missing = Object.keys(columns).filter((f) => columns[f].required && list.length && !(f in list[0]));
+    if (missing.length) problems.push(`${label}: missing field ${missing.map((f) => `"${f}"`).join(", ")}`);
+    records[key] = list.map((r) => {
+      const rec = {};
+      for (const [field, spec] of Object.entries(columns)) {
+        const value = COERCE[spec.type](r?.[field]);
+        rec[field] = spec.fallback && !value ? spec.fallback : value;
+      }
+      return rec;
+    });
+  }
+  if (problems.length) throw new Error(`Database export is incomplete:\n- ${problems.join("\n- ")}`);
+  return records;
+}
+
+/** Template record by Name (case / spacing insensitive), or null */
+export const findTemplate = (db, name) => db?.templateByName.get(canon(name)) || null;
+
+/** Records (in ID order of `ids`) that exist in an index map; unknown IDs are dropped */
+export const pickByIds = (map, ids) => (ids || []).map((id) => map.get(Number(id))).filter(Boolean);
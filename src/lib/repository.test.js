@@ -0,0 +1,102 @@
+// src/lib/repository.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRepository, mergeRecords, readSheets } from "./repository.js";
+
+const TAG_HEADER = ["Tag_ID", "Tag", "Tag_Category", "Mutually_Exclusive", "Priority", "Question"];
+
+const base = {
+  name: "DB.xlsx",
+  records: readSheets({
+    "Document Table": [["Name", "Variable_Array"], ["Lease", "1"]],
+    "Variable Table": [
+      ["Variable_ID", "Name", "Object_Name", "Variable_Type", "Associated_Clause_Array"],
+      [1, "Agency", "agency", "Text", ""],
+    ],
+    "Clause Table": [
+      ["PC_ID", "Include_If_List", "Exclude_If_List", "Tags_Array"],
+      [10, "1", "", "1"],
+    ],
+    "Tag Table": [
+      TAG_HEADER,
+      [1, "Construction", "Work", "", 2, "Is this construction?"],
+      [2, "Services", "Work", "", 3, "Is this a service?"],
+    ],
+  }),
+};
+
+const overlay = (name, sheets) => ({ name, records: readSheets(sheets, { overlay: true }) });
+
+test("an overlay row replaces only the columns its sheet has", () => {
+  const { records, summary } = mergeRecords(base, [
+    overlay("fix.xlsx", { "Tag Table": [["Tag_ID", "Question"], [1, "Does the work include construction?"]] }),
+  ]);
+  assert.deepEqual(
+    { ...records.tags[0] },
+    { ...base.records.tags[0], Question: "Does the work include construction?", Source: "fix.xlsx" }
+  );
+  assert.equal(records.tags[1].Source, "DB.xlsx");
+  assert.deepEqual(summary, [{ source: "fix.xlsx", added: 0, replaced: 1, removed: 0, notFound: [] }]);
+});
+
+test("a new key is added with blank columns filled in", () => {
+  const { records, summary } = mergeRecords(base, [
+    overlay("more.xlsx", { "Tag Table": [["Tag_ID", "Tag"], [3, "Supplies"]] }),
+  ]);
+  const added = records.tags.at(-1);
+  assert.equal(added.Tag_ID, 3);
+  assert.equal(added.Tag, "Supplies");
+  assert.equal(added.Entry_Type, "Text");
+  assert.equal(added.Priority, Infinity);
+  assert.deepEqual(added.Keywords, []);
+  assert.equal(summary[0].added, 1);
+  assert.equal(createRepository(records).tagById.get(3).Source, "more.xlsx");
+});
+
+test("remove drops the row; removing a missing ID is reported, not applied", () => {
+  const { records, summary } = mergeRecords(base, [
+    overlay("trim.xlsx", {
+      "Tag Table": [["Tag_ID", "Overlay_Action"], [2, "Remove"], [99, "delete"]],
+      "Clause Table": [["PC_ID", "Overlay action"], [77, "removed"]],
+    }),
+  ]);
+  assert.deepEqual(records.tags.map((t) => t.Tag_ID), [1]);
+  assert.equal(records.clauses.length, 1);
+  assert.deepEqual(summary, [
+    { source: "trim.xlsx", added: 0, replaced: 0, removed: 1, notFound: ["Clause Table 77", "Tag Table 99"] },
+  ]);
+});
+
+test("later overlays see earlier ones", () => {
+  const { records, summary } = mergeRecords(base, [
+    overlay("a.xlsx", { "Tag Table": [["Tag_ID", "Overlay_Action"], [2, "remove"]] }),
+    overlay("b.xlsx", { "Tag Table": [["Tag_ID", "Tag"], [2, "Services (re-added)"]] }),
+  ]);
+  assert.equal(records.tags.find((t) => t.Tag_ID === 2).Tag, "Services (re-added)");
+  assert.deepEqual(records.sources, ["DB.xlsx", "a.xlsx", "b.xlsx"]);
+  assert.deepEqual(summary.map((s) => [s.removed, s.added]), [[1, 0], [0, 1]]);
+});
+
+test("overlay cells typed as text are coerced to the base column types", () => {
+  const { records, summary } = mergeRecords(base, [
+    overlay("text.xlsx", {
+      "Tag Table": [TAG_HEADER, [" 1 ", "Construction", "Work", "yes", "1", ""], ["T2", "Services", "", "", "", ""]],
+      "Document Table": [["Name", "Variable_Array"], ["  LEASE ", "1; 2"]],
+    }),
+  ]);
+  const [construction] = records.tags;
+  assert.equal(construction.Mutually_Exclusive, true);
+  assert.equal(construction.Priority, 1);
+  assert.equal(records.tags.length, 2); // "T2" is not a Tag_ID, so the row is skipped
+  assert.equal(records.tags[1].Source, "DB.xlsx");
+  assert.equal(records.templates.length, 1); // template names match case / spacing insensitively
+  assert.deepEqual(records.templates[0].Variable_Array, ["1", "2"]);
+  assert.deepEqual(summary[0], { source: "text.xlsx", added: 0, replaced: 2, removed: 0, notFound: [] });
+});
+
+test("an overlay with a misspelled column fails to load", () => {
+  assert.throws(
+    () => overlay("typo.xlsx", { "Tag Table": [["Tag_ID", "Questoin"], [1, "?"]] }),
+    /header "Questoin" looks like a misspelling of "Question"/
+  );
+});
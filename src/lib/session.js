@@ -0,0 +1,167 @@
+// src/lib/session.js
+import FileSaver from "file-saver";
+import { canon } from "./evaluator.js";
+
+/**
+ * Questionnaire session file (export/import + localStorage autosave).
+ *
+ * {
+ *   format: "usai-template-filler/session",
+ *   version: 1,
+ *   templateName, mode,
+ *   dbFingerprint,                 // fingerprint of the DB.xlsx the answers were given against
+ *   tagAnswers:      { [Tag_ID]: string },
+ *   variableAnswers: { [Variable_ID]: string },
+ *   aiSuggested: {                 // AI answers accepted but not yet confirmed (optional)
+ *     tags: { [Tag_ID]: string }, variables: { [Variable_ID]: string }
+ *   },
+ *   startedAt, savedAt             // ISO timestamps
+ * }
+ */
+export const SESSION_FORMAT = "usai-template-filler/session";
+export const SESSION_VERSION = 1;
+export const AUTOSAVE_KEY = "usai-template-filler:autosave";
+
+/** ---------- small helpers ---------- */
+const isPlainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+/** Keep only { id: string } pairs with a numeric id */
+function cleanAnswers(obj) {
+  const out = {};
+  if (!isPlainObject(obj)) return out;
+  for (const [k, v] of Object.entries(obj)) {
+    if (!Number.isFinite(Number(k)) || v == null) continue;
+    out[String(Number(k))] = String(v);
+  }
+  return out;
+}
+
+/** SHA-256 of the workbook bytes ("sha256:<hex>"), FNV-1a when SubtleCrypto is unavailable */
+export async function fingerprintBuffer(ab) {
+  const bytes = new Uint8Array(ab);
+  if (globalThis.crypto?.subtle) {
+    const digest = await globalThis.crypto.subtle.digest("SHA-256", bytes);
+    return `sha256:${[...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("")}`;
+  }
+  let h = 0x811c9dc5;
+  for (const b of bytes) h = Math.imul(h ^ b, 0x01000193) >>> 0;
+  return `fnv1a:${h.toString(16).padStart(8, "0")}`;
+}
+
+/** ---------- build / parse ---------- */
+export function makeSession({
+  templateName,
+  mode,
+  dbFingerprint,
+  tagAnswers,
+  variableAnswers,
+  aiSuggested,
+  startedAt,
+}) {
+  const now = new Date().toISOString();
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    templateName: templateName || "",
+    mode: mode || "build",
+    dbFingerprint: dbFingerprint || "",
+    tagAnswers: cleanAnswers(tagAnswers),
+    variableAnswers: cleanAnswers(variableAnswers),
+    aiSuggested: { tags: cleanAnswers(aiSuggested?.tags), variables: cleanAnswers(aiSuggested?.variables) },
+    startedAt: startedAt || now,
+    savedAt: now,
+  };
+}
+
+/**
+ * Parse + validate a session (string or object). Throws Error with a
+ * user-facing message when the file isn't a session this version can read.
+ */
+export function parseSession(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error("Session file is not valid JSON.");
+    }
+  }
+  if (!isPlainObject(data) || data.format !== SESSION_FORMAT) {
+    throw new Error("Not a template filler session file.");
+  }
+  const version = Number(data.version);
+  if (!Number.isInteger(version) || version < 1) throw new Error("Session file has no valid version.");
+  if (version > SESSION_VERSION) {
+    throw new Error(`Session version ${version} is newer than this app supports (${SESSION_VERSION}).`);
+  }
+  if (!String(data.templateName || "").trim()) throw new Error("Session file has no template name.");
+
+  return {
+    ...makeSession(data),
+    startedAt: data.startedAt || data.savedAt || new Date().toISOString(),
+    savedAt: data.savedAt || "",
+  };
+}
+
+/**
+ * Check a session against the loaded repository.
+ * Returns { templateFound, fingerprintMatches, unknownTagIds, unknownVariableIds,
+ *           tagAnswers, variableAnswers }  (answers with unknown IDs dropped)
+ */
+export function checkSession(session, db, dbFingerprint) {
+  const split = (answers, known) => {
+    const kept = {};
+    const unknown = [];
+    for (const [k, v] of Object.entries(answers || {})) {
+      if (known.has(Number(k))) kept[k] = v;
+      else unknown.push(Number(k));
+    }
+    return { kept, unknown: unknown.sort((a, b) => a - b) };
+  };
+  const tags = split(session.tagAnswers, db.tagById);
+  const vars = split(session.variableAnswers, db.variableById);
+
+  return {
+    templateFound: db.templateByName.has(canon(session.templateName)),
+    fingerprintMatches: !session.dbFingerprint || !dbFingerprint || session.dbFingerprint === dbFingerprint,
+    unknownTagIds: tags.unknown,
+    unknownVariableIds: vars.unknown,
+    tagAnswers: tags.kept,
+    variableAnswers: vars.kept,
+  };
+}
+
+/** ---------- file + localStorage ---------- */
+export function downloadSession(session) {
+  const blob = new Blob([JSON.stringify(session, null, 2)], { type: "application/json" });
+  const base = session.templateName.replace(/[\\/:*?"<>|]+/g, "_").trim() || "session";
+  FileSaver.saveAs(blob, `${base} - session.json`);
+}
+
+export function saveAutosave(session) {
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(session));
+  } catch (e) {
+    console.warn("[session] autosave failed:", e?.message || e);
+  }
+}
+
+/** Last autosaved session, or null (unreadable autosaves are discarded) */
+export function loadAutosave() {
+  try {
+    const raw = localStorage.getItem(AUTOSAVE_KEY);
+    return raw ? parseSession(raw) : null;
+  } catch (e) {
+    console.warn("[session] discarding unreadable autosave:", e?.message || e);
+    clearAutosave();
+    return null;
+  }
+}
+
+export function clearAutosave() {
+  try {
+    localStorage.removeItem(AUTOSAVE_KEY);
+  } catch {
+    /* storage unavailable — nothing to clear */
+  }
+}
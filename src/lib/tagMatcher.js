@@ -0,0 +1,361 @@
+// src/lib/tagMatcher.js
+import { canon, isCheckboxGroup } from "./evaluator.js";
+import { isAmountCategory, parseAmount } from "./thresholds.js";
+
+/**
+ * Offline tag matcher: answers tags from free text without a model, one tag at a time.
+ *
+ * Signals, per sentence of the text:
+ *  - keywords   Tag Table "Keywords" column (synonyms / phrases, split on , ; |); tags
+ *               without one fall back to their Tag label. Acronyms such as "(IRA)" in
+ *               the Tag or Question always count.
+ *  - similarity TF-IDF cosine between the sentence and the tag's Tag + Question +
+ *               Helper_Text + keywords; IDF comes from the template's own tags, so
+ *               wording every tag shares ("What is the ...") counts for little
+ *  - negation   "not", "no", "without", "n't", ... in the same clause as the match
+ *               flips a Bool answer to "No" and keeps a group member from being picked
+ *
+ * Answers:
+ *  - Bool / checkbox members: "Yes", or "No" when the best sentence is negated
+ *  - Mutually exclusive groups: the Tag label of the best non-negated member
+ *  - amount tags (BAOV, ...): the amount in the sentence that best matches the question,
+ *    its shared Tag_Category / acronym, or value wording ("estimated value", "cost",
+ *    "magnitude", ...) — so an amount is found even when nothing repeats the question
+ *
+ * Confidence is calibrate(features): a logistic score. Similarity in one sentence
+ * stays under the review screen's default 80% bar (at most about 69%), and so does an
+ * amount found only through value wording; a keyword or label hit backed by matching
+ * wording, or the same match repeated in several sentences, can pass it.
+ */
+
+/** Logistic weights for calibrate(); lower `bias` to make every suggestion more cautious */
+export const MATCHER_WEIGHTS = {
+  bias: -3.2,
+  keyword: 2.6, // Keywords column hit
+  label: 2.2, // Tag label / acronym hit
+  term: 1.2, // value wording next to an amount ("estimated value", "cost", ...)
+  similarity: 4.0, // TF-IDF cosine, 0..1
+  amount: 1.6, // the sentence holds the dollar figure an amount question asks for
+  mention: 0.5, // each further sentence that agrees (up to 3)
+  conflict: -1.5, // sentences (or group members) that disagree
+};
+export const MIN_CONFIDENCE = 0.3;
+
+/** ---------- text ---------- */
+const STOPWORDS = new Set(
+  ("a an and are as at be been being by can could did do does for from had has have how i if in into is it its " +
+    "may might must of on or our shall should so such than that the their them then there these this those to " +
+    "under upon was we were what when where which who whom will with would you your yes no not any all each per " +
+    "also other only own same very just about above after again against before below between both during more most " +
+    "some nor too s t").split(" ")
+);
+
+/** Crude English stemmer: enough to match "orders" / "order", "funded" / "funding" */
+const stem = (w) => (w.length <= 4 ? w : w.replace(/ies$/, "y").replace(/(?:ing|ed|es|s)$/, "") || w);
+
+export const tokenize = (text) =>
+  (String(text || "").toLowerCase().match(/[a-z0-9]+(?:[-'][a-z0-9]+)*/g) || [])
+    .filter((w) => !STOPWORDS.has(w) && !/^\d+$/.test(w))
+    .map(stem);
+
+/** Sentences with their offsets; "52.222-34" and "$1.5M" do not end a sentence */
+export function splitSentences(text) {
+  const out = [];
+  const s = String(text || "");
+  let start = 0;
+  const push = (end) => {
+    const raw = s.slice(start, end);
+    const lead = raw.length - raw.trimStart().length;
+    if (raw.trim()) out.push({ text: raw.trim(), start: start + lead });
+    start = end;
+  };
+  for (const m of s.matchAll(/[.!?]+(?=\s|$)|\n+/g)) push(m.index + m[0].length);
+  push(s.length);
+  return out;
+}
+
+/** ---------- negation ---------- */
+// phrases that contain a negation word without negating anything
+const NOT_NEGATION_RE =
+  /\b(?:not to exceed|not only|no later than|no more than|no less than|no fewer than|not less than|not more than|whether or not|if not already)\b/gi;
+const NEGATION_RE = /\b(?:no|not|never|none|neither|nor|without|cannot|non)\b|n't\b/i;
+const CLAUSE_BREAK_RE = /;|:|\b(?:but|however|although|though|whereas|except|unless|while)\b/gi;
+
+const blankNonNegations = (text) => text.replace(NOT_NEGATION_RE, (m) => " ".repeat(m.length));
+
+/** Is the match at [from, to) of `sentence` inside a negated clause? */
+export function isNegated(sentence, from, to = from) {
+  const text = blankNonNegations(sentence);
+  let start = 0;
+  let end = text.length;
+  for (const m of text.matchAll(CLAUSE_BREAK_RE)) {
+    if (m.index + m[0].length <= from) start = m.index + m[0].length;
+    else if (m.index >= to) {
+      end = m.index;
+      break;
+    }
+  }
+  return NEGATION_RE.test(text.slice(start, from)) || NEGATION_RE.test(text.slice(to, end));
+}
+
+/** ---------- keywords ---------- */
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const isAcronym = (s) => /^[A-Z][A-Z0-9&/-]{1,9}$/.test(s) && /[A-Z].*[A-Z]|^[A-Z]-/.test(s);
+
+/** Word-bounded, whitespace-tolerant, plural-tolerant; acronyms are case-sensitive */
+function phraseRegex(phrase) {
+  const p = phrase.trim();
+  const body = escapeRe(p).replace(/\s+/g, "\\s+");
+  return new RegExp(`(?<![A-Za-z0-9])${body}(?:e?s)?(?![A-Za-z0-9])`, isAcronym(p) ? "g" : "gi");
+}
+
+const keywordsOf = (tag) =>
+  (Array.isArray(tag.Keywords) ? tag.Keywords : String(tag.Keywords || "").split(/[,;|]/))
+    .map((k) => k.trim())
+    .filter(Boolean);
+
+/** "Type of Contract - Firm Fixed Price" -> "Firm Fixed Price"; "IRA Funded?" -> "IRA Funded" */
+const labelPhrase = (tag) => String(tag.Tag || "").replace(/^.*\s-\s/, "").replace(/[?:.]+$/, "").trim();
+
+const acronymsOf = (tag) =>
+  [...`${tag.Tag || ""} ${tag.Question || ""}`.matchAll(/\(([A-Z][A-Za-z0-9&/-]{1,9})\)/g)]
+    .map((m) => m[1])
+    .filter(isAcronym);
+
+/** [{ phrase, regex, weight: "keyword" | "label" }] for a tag; a Keywords cell replaces the label */
+function matchersFor(tag, { useLabel }) {
+  const seen = new Set();
+  const out = [];
+  const add = (phrase, weight) => {
+    const key = canon(phrase);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    out.push({ phrase, regex: phraseRegex(phrase), weight });
+  };
+  const keywords = keywordsOf(tag);
+  for (const k of keywords) add(k, "keyword");
+  const label = labelPhrase(tag);
+  if (useLabel && !keywords.length && tokenize(label).length && label.split(/\s+/).length <= 6) add(label, "label");
+  for (const a of acronymsOf(tag)) add(a, "label");
+  return out;
+}
+
+/** Words that say a dollar figure is a contract's value, whatever the question calls it */
+const VALUE_TERMS_RE =
+  /\b(?:values?|valued|estimated?|estimates|costs?|prices?|priced|magnitude|budget(?:ed)?|worth|amount|ceiling|award(?:ed)?)\b/gi;
+
+/** Matchers for an amount question: its members' acronyms, their shared Tag_Category, and value wording */
+function amountMatchersFor(members) {
+  const matchers = members.flatMap((t) => matchersFor(t, { useLabel: false }));
+  const catsOf = (t) => String(t.Tag_Category || "").split(/[,;|]/).map((c) => c.trim()).filter(Boolean);
+  const shared = catsOf(members[0]).filter((c) => members.every((t) => catsOf(t).some((o) => canon(o) === canon(c))));
+  const seen = new Set(matchers.map((m) => canon(m.phrase)));
+  for (const c of shared) {
+    if (!seen.has(canon(c)) && tokenize(c).length) matchers.push({ phrase: c, regex: phraseRegex(c), weight: "label" });
+  }
+  matchers.push({ phrase: "value wording", regex: VALUE_TERMS_RE, weight: "term" });
+  return matchers;
+}
+
+/** ---------- TF-IDF ---------- */
+function termCounts(tokens) {
+  const tf = new Map();
+  for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+  return tf;
+}
+
+/** IDF over the tag profiles; words no tag uses get a neutral 1 so a long sentence's other content does not drown the match */
+function createIdf(profiles) {
+  const df = new Map();
+  for (const tokens of profiles) for (const t of new Set(tokens)) df.set(t, (df.get(t) || 0) + 1);
+  const n = profiles.length;
+  return (t) => (df.has(t) ? Math.log(1 + n / df.get(t)) : 1);
+}
+
+function vectorOf(tokens, idf) {
+  const v = new Map();
+  let norm = 0;
+  for (const [t, c] of termCounts(tokens)) {
+    const w = (1 + Math.log(c)) * idf(t);
+    v.set(t, w);
+    norm += w * w;
+  }
+  norm = Math.sqrt(norm) || 1;
+  for (const [t, w] of v) v.set(t, w / norm);
+  return v;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [t, w] of small) dot += w * (large.get(t) || 0);
+  return dot;
+}
+
+/** ---------- calibration ---------- */
+/**
+ * features: { keyword, label, term, similarity, amount, mentions, conflict } (booleans / numbers)
+ * -> confidence 0..1, rounded to 2 places
+ */
+export function calibrate(
+  { keyword = false, label = false, term = false, similarity = 0, amount = false, mentions = 1, conflict = false },
+  w = MATCHER_WEIGHTS
+) {
+  const z =
+    w.bias +
+    (keyword ? w.keyword : label ? w.label : term ? w.term : 0) +
+    w.similarity * similarity +
+    (amount ? w.amount : 0) +
+    w.mention * Math.min(Math.max(mentions - 1, 0), 3) +
+    (conflict ? w.conflict : 0);
+  return Math.round((1 / (1 + Math.exp(-z))) * 100) / 100;
+}
+
+/** ---------- matching ---------- */
+const AMOUNT_RE =
+  /\$\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:k|thousand|mm|m|million|bn|b|billion)\b)?|\b\d[\d,]*(?:\.\d+)?\s?(?:million|billion)\b/gi;
+
+/** Per-sentence evidence for one tag: [{ sentence, score, keyword, label, term, similarity, negated, spans }], best first */
+function sentenceHits(sentences, matchers, profile) {
+  const hits = [];
+  for (const s of sentences) {
+    const similarity = cosine(s.vector, profile);
+    const spans = [];
+    let keyword = false;
+    let label = false;
+    let term = false;
+    for (const m of matchers) {
+      for (const x of s.text.matchAll(m.regex)) {
+        spans.push({ from: x.index, to: x.index + x[0].length });
+        if (m.weight === "keyword") keyword = true;
+        else if (m.weight === "term") term = true;
+        else label = true;
+      }
+    }
+    if (!spans.length && similarity < 0.2) continue;
+    const negated = spans.length
+      ? spans.every((sp) => isNegated(s.text, sp.from, sp.to))
+      : NEGATION_RE.test(blankNonNegations(s.text));
+    const w = MATCHER_WEIGHTS;
+    const score = (keyword ? w.keyword : label ? w.label : term ? w.term : 0) + w.similarity * similarity;
+    hits.push({ sentence: s, score, keyword, label, term, similarity, negated, spans });
+  }
+  return hits.sort((a, b) => b.score - a.score);
+}
+
+/** The best hit plus agreeing / disagreeing sentences, as calibrate() features */
+function summarize(hits) {
+  const [best] = hits;
+  const strong = hits.filter((h) => h.keyword || h.label || h.term || h.similarity >= 0.3);
+  return {
+    best,
+    features: {
+      keyword: best.keyword,
+      label: best.label,
+      term: best.term,
+      similarity: best.similarity,
+      mentions: strong.filter((h) => h.negated === best.negated).length,
+      conflict: strong.some((h) => h.negated !== best.negated && h.score >= best.score * 0.6),
+    },
+  };
+}
+
+/** Is every span of `hit` inside a longer span of `other` in the same sentence? */
+const coveredBy = (hit, other) =>
+  other.sentence === hit.sentence &&
+  hit.spans.every((sp) => other.spans.some((os) => os.from <= sp.from && os.to >= sp.to && os.to - os.from > sp.to - sp.from));
+
+const isBoolTag = (t) => canon(t.Entry_Category) === "bool" || isCheckboxGroup(t);
+const isHidden = (t) => canon(t.Entry_Type) === "no display" || canon(t.Entry_Category) === "no display";
+
+/**
+ * Suggest answers for `tags` (repository records) from `text`.
+ * Returns [{ tagId, answer, confidence, evidence }] — confidence >= MIN_CONFIDENCE only.
+ */
+export function matchTags({ text, tags }) {
+  const candidates = (tags || []).filter((t) => !isHidden(t));
+  if (!String(text || "").trim() || !candidates.length) return [];
+
+  const profileTokens = (t) => tokenize(`${t.Tag} ${t.Question} ${t.Helper_Text} ${keywordsOf(t).join(" ")}`);
+  const idf = createIdf(candidates.map(profileTokens));
+  const profileOf = new Map(candidates.map((t) => [t.Tag_ID, vectorOf(profileTokens(t), idf)]));
+  const sentences = splitSentences(text).map((s) => ({ ...s, vector: vectorOf(tokenize(s.text), idf) }));
+
+  const out = [];
+  const suggest = (tagId, answer, features, hit) => {
+    const confidence = calibrate(features);
+    if (confidence >= MIN_CONFIDENCE) out.push({ tagId, answer, confidence, evidence: hit.sentence.text });
+  };
+
+  // 1) Mutually exclusive groups (keyed like resolveExclusiveGroups): one member wins
+  const groups = new Map();
+  for (const t of candidates) {
+    const key = canon(t.Entry_Category);
+    if (!t.Mutually_Exclusive || !key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+  for (const members of groups.values()) {
+    const scored = members.map((t) => ({
+      tag: t,
+      hits: sentenceHits(sentences, matchersFor(t, { useLabel: true }), profileOf.get(t.Tag_ID)).filter(
+        (h) => h.spans.length
+      ),
+    }));
+    // "Fixed Price" inside a "Firm Fixed Price" match is not a mention of its own
+    for (const m of scored) {
+      m.hits = m.hits.filter((h) => !scored.some((o) => o !== m && o.hits.some((oh) => coveredBy(h, oh))));
+    }
+    const ranked = scored
+      .filter((m) => m.hits.length)
+      .map((m) => ({ ...m, ...summarize(m.hits) }))
+      .sort((a, b) => b.best.score - a.best.score);
+    const picks = ranked.filter((m) => !m.best.negated);
+    if (picks.length) {
+      const [win, runnerUp] = picks;
+      const features = { ...win.features };
+      if (runnerUp && runnerUp.best.score >= win.best.score * 0.8) features.conflict = true;
+      suggest(win.tag.Tag_ID, win.tag.Tag, features, win.best);
+    } else {
+      for (const m of ranked) suggest(m.tag.Tag_ID, "No", m.features, m.best);
+    }
+  }
+
+  // 2) Bool / checkbox members: Yes, or No when the best sentence is negated
+  for (const t of candidates) {
+    if (t.Mutually_Exclusive || !isBoolTag(t)) continue;
+    const hits = sentenceHits(sentences, matchersFor(t, { useLabel: true }), profileOf.get(t.Tag_ID));
+    if (!hits.length) continue;
+    const { best, features } = summarize(hits);
+    suggest(t.Tag_ID, best.negated ? "No" : "Yes", features, best);
+  }
+
+  // 3) Amount questions (one per Question, e.g. BAOV): threshold members follow the amount
+  const amountGroups = new Map();
+  for (const t of candidates) {
+    if (t.Mutually_Exclusive || !isAmountCategory(canon(t.Entry_Category))) continue;
+    const key = canon(t.Question) || `tag ${t.Tag_ID}`;
+    if (!amountGroups.has(key)) amountGroups.set(key, []);
+    amountGroups.get(key).push(t);
+  }
+  const amountsBySentence = new Map(
+    sentences
+      .map((s) => [s, [...s.text.matchAll(AMOUNT_RE)].map((m) => parseAmount(m[0].replace(/\s+/g, ""))).find((a) => a != null)])
+      .filter(([, amount]) => amount != null)
+  );
+  for (const members of amountGroups.values()) {
+    const lead = members.find((t) => !t.Comparison) || members[0];
+    const hits = sentenceHits([...amountsBySentence.keys()], amountMatchersFor(members), profileOf.get(lead.Tag_ID)).map((h) => ({
+      ...h,
+      negated: false,
+    }));
+    if (!hits.length) continue;
+    const { best, features } = summarize(hits);
+    const amount = amountsBySentence.get(best.sentence);
+    // another well-matching sentence with a different amount makes the pick less certain
+    const conflict = hits.some((h) => h.score >= best.score * 0.6 && amountsBySentence.get(h.sentence) !== amount);
+    suggest(lead.Tag_ID, String(amount), { ...features, amount: true, conflict }, best);
+  }
+
+  return out;
+}
@@ -0,0 +1,35 @@
+// src/lib/tagMatcher.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { readWorkbookBuffer } from "./workbook.js";
+import { MATCHER_WEIGHTS, calibrate, matchTags } from "./tagMatcher.js";
+
+const db = readWorkbookBuffer(fs.readFileSync(new URL("../../public/DB.xlsx", import.meta.url)));
+const amountOf = (text) => matchTags({ text, tags: db.tags }).find((s) => /^\d/.test(s.answer));
+
+test("the BAOV amount is found without the question's wording", () => {
+  for (const text of ["The estimated value of the contract is $42,000,000.", "The estimated magnitude is $42M."]) {
+    const hit = amountOf(text);
+    assert.ok(hit, text);
+    assert.equal(hit.answer, "42000000");
+    assert.ok(hit.confidence < 0.8, `${text} → ${hit.confidence}`);
+  }
+});
+
+test("naming BAOV, or repeating the question, is confident", () => {
+  assert.equal(amountOf("BAOV: $1.2M.").answer, "1200000");
+  assert.ok(amountOf("BAOV: $1.2M.").confidence >= 0.8);
+  assert.ok(amountOf("The Total Base and All Options Value (BAOV) is $42M.").confidence >= 0.8);
+});
+
+test("a dollar figure with no value wording is not an amount answer", () => {
+  assert.equal(amountOf("We paid $500 for parking."), undefined);
+});
+
+test("similarity in one sentence alone stays under 80%; repeated mentions can pass it", () => {
+  assert.ok(calibrate({ similarity: 1 }) < 0.8);
+  assert.ok(calibrate({ similarity: 1, mentions: 4 }) >= 0.8);
+  assert.ok(calibrate({ term: true, amount: true, similarity: 0.3 }) < 0.8);
+  assert.ok(MATCHER_WEIGHTS.term < MATCHER_WEIGHTS.label);
+});
@@ -0,0 +1,104 @@
+// src/lib/thresholds.js
+//
+// Numeric threshold tags (e.g. BAOV). A Tag Table row declares its comparison in an
+// optional `Threshold` column (">= 250000"), or — for numeric Entry_Categories —
+// in the Tag label itself (">$2,000", "Below SAT (<$250,000)", "at least $1M").
+// One entered amount then decides every threshold tag in the same Tag_Category.
+
+/** Entry_Category values that hold a dollar amount */
+export const AMOUNT_CATEGORIES = ["int dollar", "int", "dollar", "currency"];
+
+const RANGE_RE = /\(?\s*(\$?[\d,.]+\s*[kmb]?)\s*(?:-|–|\.\.|to)\s*(\$?[\d,.]+\s*[kmb]?)\s*\)?\s*$/i;
+
+/**
+ * An Entry_Category without the decorations fields.js reads from it — a "(min - max)"
+ * range, "Required" or a trailing "*":
+ * "Int Dollar ($0 - $10M)*" -> { category: "int dollar", required: true, min: 0, max: 10000000 }
+ */
+export function parseEntryCategory(cat) {
+  let category = String(cat ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+  const required = /required|\*$/.test(category);
+  category = category.replace(/\s*\*$/, "").replace(/\s*\(?required\)?/, "").trim();
+
+  let min = null;
+  let max = null;
+  const range = RANGE_RE.exec(category);
+  if (range) {
+    min = parseAmount(range[1].replace(/\s+/g, ""));
+    max = parseAmount(range[2].replace(/\s+/g, ""));
+    category = category.slice(0, range.index).trim();
+  }
+  return { category, required, min, max };
+}
+
+export const isAmountCategory = (cat) => AMOUNT_CATEGORIES.includes(parseEntryCategory(cat).category);
+
+const SUFFIX = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+/**
+ * "$1.2M" -> 1200000, "250,000" -> 250000, "5 million" -> 5000000, "$35K" -> 35000.
+ * Returns null when the text isn't a single amount.
+ */
+export function parseAmount(text) {
+  if (typeof text === "number") return Number.isFinite(text) ? text : null;
+  const s = String(text ?? "").trim().toLowerCase().replace(/^usd\s*/, "");
+  const m = /^\$?\s*(\d{1,3}(?:,\d{3})+|\d+)?(\.\d+)?\s*(k|thousand|mm|m|million|bn|b|billion)?$/.exec(s);
+  if (!m || (!m[1] && !m[2])) return null;
+  const n = parseFloat(`${(m[1] || "0").replace(/,/g, "")}${m[2] || ""}`);
+  if (!Number.isFinite(n)) return null;
+  return Math.round(n * (m[3] ? SUFFIX[m[3]] : 1) * 100) / 100;
+}
+
+/** 1200000 -> "$1,200,000" */
+export function formatAmount(n) {
+  if (!Number.isFinite(n)) return "";
+  return `$${n.toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+}
+
+const OPS = { ">=": ">=", "≥": ">=", "=>": ">=", "<=": "<=", "≤": "<=", "=<": "<=", ">": ">", "<": "<", "=": "=", "==": "=" };
+const CMP_RE = /(>=|<=|=>|=<|==|≥|≤|>|<|=)\s*(\$?\s*[\d,]*\.?\d+\s*(?:k|thousand|mm|m|million|bn|b|billion)?)\b/i;
+
+// wording before an amount: "at least $250,000", "over $2,000", "not to exceed $7.5M"
+const WORD_OPS = [
+  [/at least|not less than|no less than|minimum of/, ">="],
+  [/at most|not more than|no more than|not to exceed|up to/, "<="],
+  [/more than|greater than|over|above|exceed(?:s|ing)?/, ">"],
+  [/less than|under|below/, "<"],
+];
+const WORD_CMP_RE = new RegExp(
+  `\\b(${WORD_OPS.map(([re]) => re.source).join("|")})\\s+(\\$?\\s*[\\d,]*\\.?\\d+\\s*(?:k|thousand|mm|m|million|bn|b|billion)?)\\b`,
+  "i"
+);
+
+/**
+ * ">= $250,000" / "Below SAT (<$250,000)" -> { op: "<", value: 250000 } (or null).
+ * A symbol wins; otherwise wording right before the amount ("at least $1M", "under $50K").
+ */
+export function parseComparison(text) {
+  const src = String(text ?? "");
+  let m = CMP_RE.exec(src);
+  let op = m && OPS[m[1]];
+  if (!m) {
+    m = WORD_CMP_RE.exec(src);
+    op = m && WORD_OPS.find(([re]) => new RegExp(`^(?:${re.source})$`, "i").test(m[1]))?.[1];
+  }
+  if (!m || !op) return null;
+  const value = parseAmount(m[2].replace(/\s+/g, ""));
+  if (value == null) return null;
+  return { op, value };
+}
+
+/** Does `amount` satisfy { op, value }? */
+export function compareAmount(amount, { op, value }) {
+  switch (op) {
+    case ">=": return amount >= value;
+    case "<=": return amount <= value;
+    case ">":  return amount > value;
+    case "<":  return amount < value;
+    case "=":  return amount === value;
+    default:   return false;
+  }
+}
+
+/** Human label for a comparison: { op: ">=", value: 250000 } -> ">= $250,000" */
+export const describeComparison = (cmp) => (cmp ? `${cmp.op} ${formatAmount(cmp.value)}` : "");
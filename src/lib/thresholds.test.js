@@ -0,0 +1,76 @@
+// src/lib/thresholds.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareAmount, formatAmount, parseAmount, parseComparison, parseEntryCategory } from "./thresholds.js";
+
+test("parseAmount reads suffixes", () => {
+  assert.equal(parseAmount("$1.2M"), 1200000);
+  assert.equal(parseAmount("500k"), 500000);
+  assert.equal(parseAmount("$35K"), 35000);
+  assert.equal(parseAmount("2bn"), 2000000000);
+  assert.equal(parseAmount("1.5 billion"), 1500000000);
+  assert.equal(parseAmount("5 million"), 5000000);
+  assert.equal(parseAmount("3mm"), 3000000);
+  assert.equal(parseAmount("USD 250 thousand"), 250000);
+});
+
+test("parseAmount reads commas and cents, and rejects anything else", () => {
+  assert.equal(parseAmount("250,000"), 250000);
+  assert.equal(parseAmount("$1,250,000.50"), 1250000.5);
+  assert.equal(parseAmount(".5M"), 500000);
+  assert.equal(parseAmount(42), 42);
+  for (const bad of ["", "abc", "12,34", "$1M - $2M", "1 to 2 million", "$", "~$5M"]) {
+    assert.equal(parseAmount(bad), null, bad);
+  }
+});
+
+test("formatAmount writes dollars with commas", () => {
+  assert.equal(formatAmount(1200000), "$1,200,000");
+  assert.equal(formatAmount(1250000.5), "$1,250,000.5");
+  assert.equal(formatAmount(NaN), "");
+});
+
+test("parseComparison reads symbols, also inside a label", () => {
+  assert.deepEqual(parseComparison(">= 250000"), { op: ">=", value: 250000 });
+  assert.deepEqual(parseComparison("≤ $1.5M"), { op: "<=", value: 1500000 });
+  assert.deepEqual(parseComparison("=> 10k"), { op: ">=", value: 10000 });
+  assert.deepEqual(parseComparison("Below SAT (<$250,000)"), { op: "<", value: 250000 });
+  assert.deepEqual(parseComparison(">$2,000"), { op: ">", value: 2000 });
+  assert.equal(parseComparison("Construction"), null);
+  assert.equal(parseComparison(""), null);
+});
+
+test("parseComparison reads at least / over / under wording", () => {
+  assert.deepEqual(parseComparison("at least $250,000"), { op: ">=", value: 250000 });
+  assert.deepEqual(parseComparison("Not less than $1M"), { op: ">=", value: 1000000 });
+  assert.deepEqual(parseComparison("not more than 500k"), { op: "<=", value: 500000 });
+  assert.deepEqual(parseComparison("Not to exceed $7.5M"), { op: "<=", value: 7500000 });
+  assert.deepEqual(parseComparison("Over $2,000"), { op: ">", value: 2000 });
+  assert.deepEqual(parseComparison("more than $35 million"), { op: ">", value: 35000000 });
+  assert.deepEqual(parseComparison("under $50K"), { op: "<", value: 50000 });
+  assert.deepEqual(parseComparison("less than 1bn"), { op: "<", value: 1000000000 });
+  assert.equal(parseComparison("over budget"), null);
+});
+
+test("bounds: >= and <= include the threshold, > and < exclude it", () => {
+  const at = 250000;
+  assert.equal(compareAmount(at, { op: ">=", value: at }), true);
+  assert.equal(compareAmount(at, { op: "<=", value: at }), true);
+  assert.equal(compareAmount(at, { op: ">", value: at }), false);
+  assert.equal(compareAmount(at, { op: "<", value: at }), false);
+  assert.equal(compareAmount(at + 0.01, { op: ">", value: at }), true);
+  assert.equal(compareAmount(at - 0.01, { op: "<", value: at }), true);
+  assert.equal(compareAmount(at, { op: "=", value: at }), true);
+  assert.equal(compareAmount(at, { op: "?", value: at }), false);
+});
+
+test("an Entry_Category range sets inclusive min / max", () => {
+  assert.deepEqual(parseEntryCategory("Int Dollar ($1.2M - $10M)"), {
+    category: "int dollar",
+    required: false,
+    min: 1200000,
+    max: 10000000,
+  });
+  assert.deepEqual(parseEntryCategory("Int Num (1 to 365)").max, 365);
+  assert.deepEqual(parseEntryCategory("Int Dollar").min, null);
+});
@@ -0,0 +1,150 @@
+// src/lib/validator.js
+import { canon } from "./evaluator.js";
+import { compileExpr } from "./expr.js";
+import { AMOUNT_CATEGORIES } from "./thresholds.js";
+import { computeVariables } from "./formulas.js";
+
+/**
+ * Workbook integrity checks for DB.xlsx, run on the loaded repository.
+ *
+ * Each issue: { check, severity: "error"|"warning", sheet, message }
+ * `check` is one of the CHECKS keys so the UI can group issues.
+ */
+export const CHECKS = {
+  "missing-variable": "Variable_Array names with no matching Object_Name",
+  "missing-clause": "Associated_Clause_Array IDs missing from the Clause Table",
+  "missing-tag": "Clause and Default_Answers tag IDs missing from the Tag Table",
+  "duplicate-id": "Duplicate Tag_ID / PC_ID values",
+  "unknown-entry-category": "Entry_Category values with no EntryCategory Table row",
+  "contradictory-clause": "Clauses that can never be included",
+  "bad-formula": "Variable Table Function formulas that don't parse, reference unknown variables or form a cycle",
+};
+
+/**
+ * Entry_Category values that describe a free-entry field rather than an option list,
+ * so they don't need an EntryCategory Table row.
+ */
+export const FREE_ENTRY_CATEGORIES = [
+  "no display",
+  ...AMOUNT_CATEGORIES,
+  "int num",
+  "number",
+  "string open",
+  "string email",
+  "string phone",
+  "string",
+  "text",
+  "date",
+  "date with day",
+  "time",
+];
+
+/** Run every check against the repository (see repository.js); empty optional sheets skip their checks */
+export function validateWorkbook(db) {
+  const issues = [];
+  const add = (check, severity, sheet, message) => issues.push({ check, severity, sheet, message });
+
+  // ---- indexes (counted from the records, so duplicate rows are visible)
+  const countBy = (list, key) => {
+    const counts = new Map();
+    for (const r of list) counts.set(r[key], (counts.get(r[key]) || 0) + 1);
+    return counts;
+  };
+  const tagIdCounts = countBy(db.tags, "Tag_ID");
+  const pcCounts = countBy(db.clauses, "PC_ID");
+
+  // ---- Variable_Array -> Object_Name
+  for (const t of db.templates) {
+    const missing = t.Variable_Array.filter((v) => !db.variablesByObjectName.has(canon(v)));
+    if (missing.length) {
+      add("missing-variable", "error", "Document Table", `"${t.Name}": ${missing.map((m) => `"${m}"`).join(", ")}`);
+    }
+  }
+
+  // ---- Default_Answers -> Tag_ID
+  for (const t of db.templates) {
+    const missing = Object.keys(t.Default_Answers).filter((id) => !tagIdCounts.has(Number(id)));
+    if (missing.length) {
+      add("missing-tag", "error", "Document Table", `"${t.Name}" Default_Answers: tag ${missing.join(", ")}`);
+    }
+  }
+
+  // ---- Associated_Clause_Array -> PC_ID
+  for (const v of db.variables) {
+    const missing = v.Associated_Clause_Array.filter((pc) => !pcCounts.has(pc));
+    if (missing.length) {
+      add("missing-clause", "error", "Variable Table", `Variable ${v.Variable_ID} (${v.Object_Name}): clause ${missing.join(", ")}`);
+    }
+  }
+
+  // ---- clause tag references + contradictions
+  for (const c of db.clauses) {
+    const lists = {
+      Tags_Array: c.Tags_Array,
+      Include_If_List: c.Include_If_List,
+      Exclude_If_List: c.Exclude_If_List,
+    };
+    const compiled = compileExpr(c.Include_If_Expr);
+    if (compiled?.tagIds?.length) lists.Include_If_Expr = compiled.tagIds;
+
+    for (const [listName, ids] of Object.entries(lists)) {
+      const missing = ids.filter((t) => !tagIdCounts.has(t));
+      if (missing.length) {
+        add("missing-tag", "error", "Clause Table", `Clause ${c.PC_ID} ${listName}: tag ${missing.join(", ")}`);
+      }
+    }
+
+    // with an expression, Include_If_List is not used for inclusion
+    if (!compiled) {
+      const exc = new Set(c.Exclude_If_List);
+      const both = c.Include_If_List.filter((t) => exc.has(t));
+      if (both.length) {
+        add(
+          "contradictory-clause",
+          "warning",
+          "Clause Table",
+          `Clause ${c.PC_ID}: tag ${both.join(", ")} is in both Include_If_List and Exclude_If_List`
+        );
+      }
+    }
+  }
+
+  // ---- duplicates
+  for (const [id, n] of tagIdCounts) {
+    if (n > 1) add("duplicate-id", "error", "Tag Table", `Tag_ID ${id} appears ${n} times`);
+  }
+  for (const [id, n] of pcCounts) {
+    if (n > 1) add("duplicate-id", "error", "Clause Table", `PC_ID ${id} appears ${n} times`);
+  }
+
+  // ---- Function / Reference_Variable formulas
+  for (const [id, info] of computeVariables(db).computed) {
+    if (info.error) add("bad-formula", "error", "Variable Table", `Variable ${id} "${info.formula}": ${info.error}`);
+  }
+
+  // ---- Entry_Category -> EntryCategory Table
+  const known = new Set([...FREE_ENTRY_CATEGORIES, ...db.entryOptions.keys()]);
+  for (const [sheet, list, idKey] of [
+    ["Tag Table", db.tags, "Tag_ID"],
+    ["Variable Table", db.variables, "Variable_ID"],
+  ]) {
+    const unknown = new Map();
+    for (const r of list) {
+      const key = canon(r.Entry_Category);
+      if (!key || known.has(key)) continue;
+      if (!unknown.has(r.Entry_Category)) unknown.set(r.Entry_Category, []);
+      unknown.get(r.Entry_Category).push(r[idKey]);
+    }
+    for (const [label, ids] of unknown) {
+      add("unknown-entry-category", "warning", sheet, `"${label}" (used by ${ids.length} row(s): ${ids.join(", ")})`);
+    }
+  }
+
+  return issues;
+}
+
+/** { errors, warnings } counts for a list of issues */
+export const summarizeIssues = (issues) => ({
+  errors: issues.filter((i) => i.severity === "error").length,
+  warnings: issues.filter((i) => i.severity === "warning").length,
+});
@@ -0,0 +1,106 @@
+// src/lib/workbook.js
+import * as XLSX from "xlsx";
+import Papa from "papaparse";
+import FileSaver from "file-saver";
+import { canon } from "./evaluator.js";
+import {
+  SCHEMA,
+  readSheets,
+  createRepository,
+  mergeRecords,
+  exportRecords,
+  importRecords,
+} from "./repository.js";
+
+/**
+ * DB sources -> repository (see repository.js). Shared by useDatabase (browser) and the CLIs.
+ * A source is DB.xlsx, one CSV file per sheet, or a JSON export of the normalized records,
+ * optionally with overlay workbooks applied on top.
+ * Only the sheets named in SCHEMA are read.
+ */
+
+function toAoA(wb, name) {
+  const ws = wb.Sheets[name];
+  return ws ? XLSX.utils.sheet_to_json(ws, { header: 1, blankrows: false }) : null;
+}
+
+function schemaSheets(wb) {
+  const sheets = {};
+  for (const { sheet } of Object.values(SCHEMA)) {
+    for (const name of [].concat(sheet)) {
+      const aoa = toAoA(wb, name);
+      if (aoa) sheets[name] = aoa;
+    }
+  }
+  return sheets;
+}
+
+/** Repository from a parsed workbook; throws when a sheet or column is missing or misspelled */
+export function readWorkbook(wb) {
+  const sheets = schemaSheets(wb);
+  if (!sheets["EntryCategory Table"] && !sheets["EntryCategory"]) {
+    console.warn('[DB] "EntryCategory Table" not found — continuing without dropdown catalogs.');
+  }
+  return createRepository(readSheets(sheets));
+}
+
+/** Parse workbook bytes (ArrayBuffer / Uint8Array / Node Buffer) */
+export function readWorkbookBuffer(buf) {
+  return readWorkbook(XLSX.read(buf, { type: "array" }));
+}
+
+/** Overlay records (for mergeRecords) from overlay workbook bytes */
+export function readOverlayBuffer(buf) {
+  const sheets = schemaSheets(XLSX.read(buf, { type: "array" }));
+  if (!Object.keys(sheets).length) throw new Error("No DB.xlsx sheets (Tag Table, Clause Table, ...) in this workbook.");
+  return readSheets(sheets, { overlay: true });
+}
+
+/**
+ * Base repository + overlays -> merged repository (records carry Source).
+ * overlays: [{ name, records }] from readOverlayBuffer. Returns { db, summary } (see mergeRecords).
+ */
+export function applyOverlays(baseDb, baseName, overlays = []) {
+  const { records, summary } = mergeRecords({ name: baseName, records: baseDb }, overlays);
+  return { db: createRepository(records), summary };
+}
+
+/**
+ * Repository from per-sheet CSV files ([{ name, text }]). The file name picks the sheet:
+ * "Tag Table.csv", "tag_table.csv" and "tags.csv" all load the Tag Table.
+ * Returns { db, ignored } where ignored lists files that match no sheet.
+ */
+export function readCsvFiles(files) {
+  const bySheet = new Map();
+  for (const [key, { sheet }] of Object.entries(SCHEMA)) {
+    const names = [].concat(sheet);
+    for (const n of [key, ...names]) bySheet.set(canon(n).replace(/[\s_-]+/g, ""), names[0]);
+  }
+
+  const sheets = {};
+  const ignored = [];
+  for (const { name, text } of files) {
+    const base = canon(name.replace(/\.[^.]+$/, "")).replace(/[\s_-]+/g, "");
+    const sheet = bySheet.get(base);
+    if (!sheet) {
+      ignored.push(name);
+      continue;
+    }
+    const { data, errors } = Papa.parse(text, { skipEmptyLines: "greedy" });
+    if (errors.length) throw new Error(`${name}, row ${errors[0].row + 1}: ${errors[0].message}`);
+    sheets[sheet] = data;
+  }
+  if (!Object.keys(sheets).length) throw new Error("None of the CSV files is named after a DB.xlsx sheet.");
+  return { db: createRepository(readSheets(sheets)), ignored };
+}
+
+/** Repository from a JSON export (text or parsed object) */
+export function readDatabaseJson(input) {
+  return createRepository(importRecords(input));
+}
+
+/** Download the normalized database as JSON */
+export function downloadDatabaseJson(db, fileName = "DB.json") {
+  const blob = new Blob([JSON.stringify(exportRecords(db), null, 2)], { type: "application/json" });
+  FileSaver.saveAs(blob, fileName);
+}
@@ -1,125 +1,157 @@
-import * as XLSX from "xlsx";
-import { useEffect, useMemo, useState } from "react";
-
-/** ---------- helpers ---------- */
-const SPLIT_RE = /[,;|]+/;
-const canon = (s) => String(s || "").trim().replace(/\s+/g, " ").toLowerCase();
-const findCol = (hdr, name) => {
-  const rx = new RegExp(`^${name}$`, "i");
-  for (let i = 0; i < hdr.length; i++) {
-    const h = String(hdr[i] ?? "").replace(/_/g, " ").trim();
-    if (rx.test(h)) return i;
-  }
-  return -1;
-};
-
-function toAoA(wb, name) {
-  const ws = wb.Sheets[name];
-  return ws ? XLSX.utils.sheet_to_json(ws, { header: 1, blankrows: false }) : null;
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { fingerprintBuffer } from "../lib/session";
+import {
+  readWorkbookBuffer,
+  readCsvFiles,
+  readDatabaseJson,
+  readOverlayBuffer,
+  applyOverlays,
+} from "../lib/workbook";
+
+const DEFAULT_SOURCE = "DB.xlsx";
+
+/** Which kind of source a set of picked / dropped files is, or an error message */
+function classifyFiles(files) {
+  const ext = (f) => (/\.([^.]+)$/.exec(f.name)?.[1] || "").toLowerCase();
+  if (files.length === 1 && ["xlsx", "xlsm", "xls"].includes(ext(files[0]))) return "xlsx";
+  if (files.length === 1 && ext(files[0]) === "json") return "json";
+  if (files.length && files.every((f) => ext(f) === "csv")) return "csv";
+  return "Choose one .xlsx workbook, one .json export, or a set of per-sheet .csv files.";
 }
 
-/** Parse EntryCategory table (sheet name: "EntryCategory Table" or "EntryCategory")
- *  Uses columns:
- *   - Category  (key used by Tag Table.Entry_Category)
- *   - Options   (comma/semicolon/pipe separated)
- *  Returns: { table: AoA|null, map: Map<canon(Category), string[]> }
+/**
+ * The active database and where it came from: a base source plus overlay workbooks.
+ * source   = { kind: "default" | "xlsx" | "csv" | "json", name, loadedAt: Date }
+ * overlays = [{ name, loadedAt, added, replaced, removed, notFound }] in the order applied
+ * A failed load keeps the previous database and reports the error.
  */
-function parseEntryCategory(wb) {
-  const ws =
-    wb.Sheets["EntryCategory Table"] ||
-    wb.Sheets["EntryCategory"] ||
-    null;
-
-  if (!ws) {
-    console.warn('[DB] "EntryCategory Table" not found — continuing without dropdown catalogs.');
-    return { table: null, map: new Map() };
-  }
-
-  const aoa = XLSX.utils.sheet_to_json(ws, { header: 1, blankrows: false });
-  if (!aoa.length) return { table: aoa, map: new Map() };
-
-  const head = aoa[0];
-  const iCat = findCol(head, "category"); // you asked to keep "Category" as the header
-  const iOpt = findCol(head, "options") !== -1 ? findCol(head, "options")
-            : findCol(head, "answers") !== -1 ? findCol(head, "answers")
-            : findCol(head, "values");
-
-  if (iCat === -1 || iOpt === -1) {
-    console.warn(
-      '[DB] "EntryCategory Table" missing required columns (Category, Options). Options can also be named "Answers" or "Values".'
-    );
-  }
-
-  const map = new Map();
-  for (const row of aoa.slice(1)) {
-    const key = canon(row[iCat]);
-    if (!key) continue;
-    const list = String(row[iOpt] ?? "")
-      .split(SPLIT_RE)
-      .map((s) => s.trim())
-      .filter(Boolean);
-    map.set(key, list);
-  }
-  return { table: aoa, map };
-}
-
 export function useDatabase() {
   const [loading, setLoading] = useState(true);
   const [error, setError]     = useState(null);
-  const [tables, setTables]   = useState(null);
-  const [templates, setTemplates] = useState([]);
-  const [entryOptionsMap, setEntryOptionsMap] = useState(new Map());
-
-  useEffect(() => {
-    (async () => {
-      try {
-        setLoading(true);
-        setError(null);
+  const [base, setBase]       = useState(null); // { repo, fingerprint }
+  const [overlayFiles, setOverlayFiles] = useState([]); // [{ name, records, fingerprint, loadedAt }]
+  const [source, setSource]   = useState(null);
+
+  // read(): { repo, bytes } — bytes feed the session fingerprint
+  const load = useCallback(async (kind, name, read) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      // typed + indexed records; throws on a missing sheet/column or a misspelled header
+      const { repo, bytes } = await read();
+      setBase({ repo, fingerprint: await fingerprintBuffer(bytes) });
+      setSource({ kind, name, loadedAt: new Date() });
+    } catch (e) {
+      setError(`${name}: ${e?.message || String(e)}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
+  const loadDefault = useCallback(
+    () =>
+      load("default", DEFAULT_SOURCE, async () => {
         // Load /DB.xlsx from /public (cache bust to avoid stale files while dev)
         const resp = await fetch(`/DB.xlsx?ts=${Date.now()}`, { cache: "no-store" });
         if (!resp.ok) throw new Error(`HTTP ${resp.status} loading DB.xlsx`);
         const buf = await resp.arrayBuffer();
-        const wb  = XLSX.read(buf, { type: "array" });
-
-        const templatesTable = toAoA(wb, "Document Table");
-        const variablesTable = toAoA(wb, "Variable Table");
-        const clausesTable   = toAoA(wb, "Clause Table");
-        const tagsTable      = toAoA(wb, "Tag Table");
-
-        if (!templatesTable || !variablesTable || !clausesTable || !tagsTable) {
-          throw new Error(
-            'Required sheets missing — need "Document Table", "Variable Table", "Clause Table", and "Tag Table".'
-          );
+        return { repo: readWorkbookBuffer(buf), bytes: buf };
+      }),
+    [load]
+  );
+
+  /** Load a user-chosen .xlsx, .json export, or per-sheet .csv files (File / FileList / File[]) */
+  const loadFiles = useCallback(
+    (fileList) => {
+      const files = Array.from(fileList?.length != null ? fileList : [fileList]).filter(Boolean);
+      const kind = classifyFiles(files);
+      const name = files.length === 1 ? files[0].name : `${files.length} CSV files`;
+      if (!["xlsx", "json", "csv"].includes(kind)) {
+        setError(kind);
+        return Promise.resolve();
+      }
+      return load(kind, name, async () => {
+        if (kind === "xlsx") {
+          const buf = await files[0].arrayBuffer();
+          return { repo: readWorkbookBuffer(buf), bytes: buf };
+        }
+        if (kind === "json") {
+          const text = await files[0].text();
+          return { repo: readDatabaseJson(text), bytes: new TextEncoder().encode(text) };
+        }
+        const texts = await Promise.all(
+          [...files].sort((a, b) => a.name.localeCompare(b.name)).map(async (f) => ({ name: f.name, text: await f.text() }))
+        );
+        const { db: repo, ignored } = readCsvFiles(texts);
+        if (ignored.length) console.warn(`[DB] CSV files not matching a sheet were ignored: ${ignored.join(", ")}`);
+        return { repo, bytes: new TextEncoder().encode(texts.map((t) => `${t.name}\n${t.text}`).join("\n")) };
+      });
+    },
+    [load]
+  );
+
+  /** Apply overlay workbooks (.xlsx) on top of the current base, after any already loaded */
+  const addOverlays = useCallback(async (fileList) => {
+    const files = Array.from(fileList || []);
+    try {
+      setLoading(true);
+      setError(null);
+      const added = [];
+      for (const f of files) {
+        const buf = await f.arrayBuffer();
+        try {
+          added.push({
+            name: f.name,
+            records: readOverlayBuffer(buf),
+            fingerprint: await fingerprintBuffer(buf),
+            loadedAt: new Date(),
+          });
+        } catch (e) {
+          throw new Error(`${f.name}: ${e?.message || String(e)}`);
         }
-
-        // EntryCategory is optional (we'll gracefully fall back to free text if missing)
-        const { table: entryCategoriesTable, map } = parseEntryCategory(wb);
-        setEntryOptionsMap(map);
-
-        // Derive template names from Document Table
-        const head = templatesTable[0] || [];
-        const iName = findCol(head, "name") !== -1 ? findCol(head, "name") : 0;
-        const names = templatesTable
-          .slice(1)
-          .map((r) => String(r[iName] ?? "").trim())
-          .filter(Boolean);
-
-        setTables({
-          templatesTable,
-          variablesTable,
-          clausesTable,
-          tagsTable,
-          entryCategoriesTable, // raw AoA (may be null if sheet missing)
-        });
-        setTemplates(Array.from(new Set(names)));
-      } catch (e) {
-        setError(e?.message || String(e));
-      } finally {
-        setLoading(false);
       }
-    })();
+      setOverlayFiles((p) => [...p, ...added]);
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setLoading(false);
+    }
   }, []);
 
-  return { loading, error, tables, templates, entryOptionsMap };
+  const removeOverlay = useCallback((index) => {
+    setOverlayFiles((p) => p.filter((_, i) => i !== index));
+  }, []);
+
+  useEffect(() => {
+    loadDefault();
+  }, [loadDefault]);
+
+  // base + overlays -> the db everyone reads; records carry Source
+  const merged = useMemo(() => {
+    if (!base) return { db: null, summary: [] };
+    return applyOverlays(base.repo, source?.name || DEFAULT_SOURCE, overlayFiles);
+  }, [base, source, overlayFiles]);
+
+  const db = merged.db;
+  const templates = useMemo(() => db?.templateNames || [], [db]);
+  const entryOptionsMap = useMemo(() => db?.entryOptions || new Map(), [db]);
+  // answers depend on every layer, so sessions are pinned to the whole stack
+  const fingerprint = base ? [base.fingerprint, ...overlayFiles.map((o) => o.fingerprint)].join("+") : "";
+  const overlays = overlayFiles.map((o, i) => ({ name: o.name, loadedAt: o.loadedAt, ...merged.summary[i] }));
+
+  return {
+    loading,
+    error,
+    db,
+    templates,
+    entryOptionsMap,
+    fingerprint,
+    source,
+    overlays,
+    loadFiles,
+    loadDefault,
+    addOverlays,
+    removeOverlay,
+  };
 }